@@ -0,0 +1,20 @@
+// backend/appsScript.js
+import { enqueue, targetUrl } from './outbox.js';
+
+/**
+ * Post an event to your Apps Script through the durable outbox.
+ * Returns null (and sends nothing) when APPS_SCRIPT_URL is not configured.
+ * Deliveries are signed with APPS_SCRIPT_SIGNING_SECRET; the script checks
+ * `e.parameter.t` / `e.parameter.signature` against `e.postData.contents`.
+ *
+ * @param {string} event - e.g. 'PAYMENT_FAILED', 'CONTACT_MESSAGE'
+ * @param {object} payload - Merged into the JSON body next to `event`
+ * @param {object} [opts]
+ * @param {boolean} [opts.attemptNow=false] - Wait for the first delivery attempt
+ * @param {string} [opts.dedupeKey] - Send at most once per key (see outbox.js)
+ * @returns {Promise<{id:string, status:string, result:object|null, duplicate?:boolean} | null>}
+ */
+export async function notifyAppsScript(event, payload, { attemptNow = false, dedupeKey } = {}) {
+  if (!targetUrl('apps_script')) return null;
+  return enqueue({ target: 'apps_script', body: { event, ...payload }, dedupeKey }, { attemptNow });
+}
@@ -0,0 +1,241 @@
+// backend/auth.js
+import crypto from 'node:crypto';
+import { createJsonStore } from './store.js';
+import { config } from './config.js';
+
+/**
+ * API authentication and roles.
+ *
+ * Roles:
+ *  - public      : anyone (storefront routes; may still check their own tokens)
+ *  - customer    : a customer acting on one resource, proven by that resource's
+ *                  token (order token, quote token) - or operator/admin staff.
+ *                  A customer-role key or JWT still needs the resource token.
+ *  - operator    : back-office staff (order operations, diagnostics)
+ *  - admin       : everything, including money movements and key management
+ *  - integration : machine callers (Make, Apps Script)
+ *
+ * Credentials, all as `Authorization: Bearer <credential>`:
+ *  - API keys `prk_<id>_<secret>` issued through /api/admin/api-keys; only a hash
+ *    is stored, so keys are created, rotated and revoked at runtime.
+ *  - HS256 JWTs with a `role` claim, signed with one of AUTH_JWT_SECRETS
+ *    (comma-separated: put the new secret first, drop the old one once rotated).
+ *  - ADMIN_API_TOKEN, kept as a bootstrap admin credential.
+ * Make's callbacks are authenticated by their HMAC signature instead (signing.js).
+ */
+
+export const ROLES = ['customer', 'operator', 'admin', 'integration'];
+
+// principals that satisfy each required role; customer routes are scoped to one
+// order or quote, so only staff get in without that resource's token
+const GRANTS = {
+  customer: ['operator', 'admin'],
+  operator: ['operator', 'admin'],
+  admin: ['admin'],
+  integration: ['integration', 'admin'],
+};
+
+const ROTATION_GRACE_HOURS = config.AUTH_KEY_ROTATION_GRACE_HOURS;
+
+const keys = createJsonStore('api-keys', () => ({ keys: {} }));
+
+/** Error with an HTTP status for routes to surface. */
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest();
+
+function safeEqual(a, b) {
+  const x = sha256(a);
+  const y = sha256(b);
+  return crypto.timingSafeEqual(x, y);
+}
+
+/* ------------------------------- API keys ------------------------------- */
+
+const publicKey = ({ hash, ...rest }) => rest;
+
+function keyIsLive(record, now = Date.now()) {
+  if (record.revoked_at) return false;
+  return !record.expires_at || Date.parse(record.expires_at) > now;
+}
+
+/**
+ * Issue a new API key. The plain key is only returned here.
+ * @param {object} params
+ * @param {string} params.role
+ * @param {string} [params.label]
+ * @param {number} [params.expiresInDays]
+ * @returns {Promise<{key:string, record:object}>}
+ */
+export function createApiKey({ role, label, expiresInDays }) {
+  if (!ROLES.includes(role)) throw new AuthError(`role must be one of ${ROLES.join(', ')}`, 400);
+  if (expiresInDays != null && !(Number(expiresInDays) > 0)) {
+    throw new AuthError('expires_in_days must be a positive number', 400);
+  }
+  const id = crypto.randomBytes(6).toString('hex');
+  const key = `prk_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const now = new Date();
+  const record = {
+    id,
+    role,
+    label: label ? String(label).slice(0, 100) : null,
+    hash: sha256(key).toString('hex'),
+    created_at: now.toISOString(),
+    expires_at: expiresInDays ? new Date(now.getTime() + expiresInDays * 86400 * 1000).toISOString() : null,
+    revoked_at: null,
+  };
+  return keys.update((doc) => {
+    doc.keys[id] = record;
+    return { key, record: publicKey(record) };
+  });
+}
+
+/** All keys without their hashes, newest first. */
+export function listApiKeys() {
+  return Object.values(keys.read().keys)
+    .map((k) => ({ ...publicKey(k), active: keyIsLive(k) }))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Revoke a key immediately.
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export function revokeApiKey(id) {
+  return keys.update((doc) => {
+    const record = doc.keys[id];
+    if (!record) return null;
+    record.revoked_at ||= new Date().toISOString();
+    return publicKey(record);
+  });
+}
+
+/**
+ * Replace a key with a new one of the same role; the old key keeps working for
+ * AUTH_KEY_ROTATION_GRACE_HOURS so callers can be switched over.
+ * @param {string} id
+ * @returns {Promise<{key:string, record:object, previous:object}|null>}
+ */
+export async function rotateApiKey(id) {
+  const old = keys.read().keys[id];
+  if (!old || !keyIsLive(old)) return null;
+  const created = await createApiKey({ role: old.role, label: old.label });
+  const previous = await keys.update((doc) => {
+    const record = doc.keys[id];
+    const graceEnd = Date.now() + ROTATION_GRACE_HOURS * 3600 * 1000;
+    if (!record.expires_at || Date.parse(record.expires_at) > graceEnd) {
+      record.expires_at = new Date(graceEnd).toISOString();
+    }
+    record.replaced_by = created.record.id;
+    return publicKey(record);
+  });
+  return { ...created, previous };
+}
+
+function principalFromApiKey(token) {
+  const m = /^prk_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(token);
+  if (!m) return null;
+  const record = keys.read().keys[m[1]];
+  if (!record || !keyIsLive(record)) return null;
+  const given = sha256(token);
+  if (!crypto.timingSafeEqual(given, Buffer.from(record.hash, 'hex'))) return null;
+  return { id: `key:${record.id}`, role: record.role, via: 'api_key' };
+}
+
+/* --------------------------------- JWT --------------------------------- */
+
+function principalFromJwt(token) {
+  const parts = token.split('.');
+  const secrets = config.AUTH_JWT_SECRETS;
+  if (parts.length !== 3 || !secrets.length) return null;
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (header.alg !== 'HS256') return null;
+
+  const signed = `${parts[0]}.${parts[1]}`;
+  const valid = secrets.some((secret) =>
+    safeEqual(crypto.createHmac('sha256', secret).update(signed).digest('base64url'), parts[2])
+  );
+  if (!valid) return null;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp < now) return null;
+  if (claims.nbf && claims.nbf > now) return null;
+  if (config.AUTH_JWT_ISSUER && claims.iss !== config.AUTH_JWT_ISSUER) return null;
+  if (!ROLES.includes(claims.role)) return null;
+  return { id: `jwt:${claims.sub || 'unknown'}`, role: claims.role, via: 'jwt' };
+}
+
+/* ----------------------------- middleware ----------------------------- */
+
+/**
+ * Resolve the caller from the request headers (cached on `req.auth`).
+ * @returns {{id:string, role:string, via:string}|null}
+ */
+export function authenticate(req) {
+  if (req.auth !== undefined) return req.auth;
+  let principal = null;
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1]?.trim();
+  if (bearer) {
+    if (config.ADMIN_API_TOKEN && safeEqual(bearer, config.ADMIN_API_TOKEN)) {
+      principal = { id: 'admin-token', role: 'admin', via: 'admin_token' };
+    } else {
+      principal = principalFromApiKey(bearer) || principalFromJwt(bearer);
+    }
+  }
+
+  req.auth = principal;
+  return principal;
+}
+
+/**
+ * Route guard. Every route declares the role it needs:
+ *   requireRole('public')
+ *   requireRole('admin')
+ *   requireRole(['operator', 'integration'])
+ *   requireRole('customer', { resourceToken: (req) => verifyOrderToken(...) })
+ *
+ * For customer routes a failing resource token answers 404, so the response
+ * does not reveal whether the resource exists. That includes callers with a
+ * customer-role credential: it doesn't stand in for the token.
+ *
+ * @param {string|string[]} roles
+ * @param {object} [opts]
+ * @param {(req) => boolean} [opts.resourceToken] - Customer proof for the requested resource
+ */
+export function requireRole(roles, { resourceToken } = {}) {
+  const required = [].concat(roles);
+  for (const r of required) {
+    if (r !== 'public' && !GRANTS[r]) throw new Error(`Unknown role "${r}"`);
+  }
+  const isPublic = required.includes('public');
+  const allowed = new Set(required.flatMap((r) => GRANTS[r] || []));
+
+  return (req, res, next) => {
+    const principal = authenticate(req);
+    if (isPublic || (principal && allowed.has(principal.role))) return next();
+    if (required.includes('customer') && resourceToken) {
+      if (resourceToken(req)) {
+        req.auth = { id: 'resource-token', role: 'customer', via: 'resource_token' };
+        return next();
+      }
+      return res.status(404).json({ ok: false, error: 'Not found' });
+    }
+    if (!principal) return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    return res.status(403).json({ ok: false, error: `Requires role: ${required.join(' or ')}` });
+  };
+}
@@ -0,0 +1,365 @@
+// backend/config.js
+import 'dotenv/config';
+
+/**
+ * Backend configuration: every environment variable the backend reads, with its
+ * type, default and constraints, parsed and validated once at startup.
+ *
+ *   import { config } from './config.js';
+ *   config.MAX_UPLOAD_MB   // number
+ *   config.CORS_ORIGINS    // string[]
+ *
+ * Keys are the environment variable names. Unset and empty variables take the
+ * default (null when there is none). An invalid value stops the process at boot
+ * with the list of problems, instead of surfacing on the first request that
+ * needs it.
+ *
+ * Secrets are marked so configReport() (boot log, GET /api/admin/config) can
+ * show whether they're set without their values.
+ */
+
+/** Invalid configuration value. */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/* ------------------------------ field types ------------------------------ */
+
+const TRUE = ['true', '1', 'yes', 'on'];
+const FALSE = ['false', '0', 'no', 'off'];
+
+const splitList = (raw) =>
+  raw
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const str = (opts = {}) => ({
+  ...opts,
+  parse(raw) {
+    if (opts.pattern && !opts.pattern.test(raw)) throw new Error(opts.patternHint || `must match ${opts.pattern}`);
+    return raw;
+  },
+});
+
+const num = ({ integer = false, min, max, ...opts } = {}) => ({
+  ...opts,
+  parse(raw) {
+    const n = Number(raw);
+    if (!Number.isFinite(n) || (integer && !Number.isInteger(n))) {
+      throw new Error(`must be ${integer ? 'an integer' : 'a number'}`);
+    }
+    if (min !== undefined && n < min) throw new Error(`must be >= ${min}`);
+    if (max !== undefined && n > max) throw new Error(`must be <= ${max}`);
+    return n;
+  },
+});
+
+const int = (opts) => num({ ...opts, integer: true });
+
+const bool = (opts = {}) => ({
+  ...opts,
+  parse(raw) {
+    const v = raw.toLowerCase();
+    if (TRUE.includes(v)) return true;
+    if (FALSE.includes(v)) return false;
+    throw new Error('must be true or false');
+  },
+});
+
+const oneOf = (values, opts = {}) => ({
+  ...opts,
+  parse(raw) {
+    if (!values.includes(raw)) throw new Error(`must be one of ${values.join(', ')}`);
+    return raw;
+  },
+});
+
+const url = (opts = {}) => ({
+  ...opts,
+  parse(raw) {
+    let parsed;
+    try {
+      parsed = new URL(raw);
+    } catch {
+      throw new Error('must be a URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('must be an http(s) URL');
+    return raw;
+  },
+});
+
+const list = (opts = {}) => ({
+  default: [],
+  ...opts,
+  parse(raw) {
+    return splitList(raw).map((item) => {
+      if (!opts.item) return item;
+      try {
+        return opts.item.parse(item);
+      } catch (e) {
+        throw new Error(`entry "${item}" ${e.message}`);
+      }
+    });
+  },
+});
+
+/* -------------------------------- schema -------------------------------- */
+
+const SCHEMA = {
+  // server
+  NODE_ENV: oneOf(['development', 'production', 'test']),
+  PORT: int({ default: 5000, min: 1, max: 65535 }),
+  TRUST_PROXY: str({ description: 'hop count, or an Express trust proxy value' }),
+  CORS_ORIGINS: list({
+    item: url(),
+    default: ['http://localhost:5173', 'http://localhost:3000', 'https://printora.it', 'https://www.printora.it'],
+  }),
+  FRONTEND_URL: url({ default: 'https://printora.it' }),
+  HTTP_KEEP_ALIVE_TIMEOUT_MS: int({ default: 65_000, min: 1000 }),
+  HTTP_HEADERS_TIMEOUT_MS: int({ default: 66_000, min: 1000 }),
+  HTTP_REQUEST_TIMEOUT_MS: int({ default: 0, min: 0, description: '0 disables (large uploads)' }),
+  LOG_LEVEL: oneOf(['debug', 'info', 'warn', 'error'], { default: 'info' }),
+  DATA_DIR: str({ default: 'data' }),
+
+  // auth
+  ADMIN_API_TOKEN: str({ secret: true }),
+  AUTH_JWT_SECRETS: list({ secret: true }),
+  AUTH_JWT_ISSUER: str(),
+  AUTH_KEY_ROTATION_GRACE_HOURS: num({ default: 24, min: 0 }),
+
+  // Stripe
+  STRIPE_SECRET_KEY: str({
+    secret: true,
+    required: true,
+    pattern: /^(sk|rk)_(test|live)_/,
+    patternHint: 'must be a secret (sk_) or restricted (rk_) Stripe key',
+  }),
+  STRIPE_WEBHOOK_SECRET: str({ secret: true, pattern: /^whsec_/, patternHint: 'must start with whsec_' }),
+  STRIPE_WEBHOOK_MODE: oneOf(['test', 'live'], {
+    description: 'mode of the Dashboard endpoint STRIPE_WEBHOOK_SECRET belongs to',
+  }),
+  STRIPE_PMC_ID: str(),
+  STRIPE_VAT_TAX_RATE_ID: str(),
+  PRICE_MISMATCH_POLICY: oneOf(['reject', 'override'], { default: 'reject' }),
+  WEBHOOK_EVENTS_MAX: int({ default: 2000, min: 1 }),
+
+  // pricing, VAT, promo codes, quotes
+  PRICING_CATALOG_PATH: str(),
+  PROMO_CODES_PATH: str(),
+  VAT_RATE: num({ default: 22, min: 0, max: 100 }),
+  VAT_VIES_CHECK: bool({ default: true, description: 'false charges VAT to every EU business (no reverse charge)' }),
+  VAT_VIES_TIMEOUT_MS: int({ default: 8000, min: 100 }),
+  QUOTE_VALID_DAYS: int({ default: 30, min: 1 }),
+  BANK_TRANSFER_IBAN: str(),
+  BANK_TRANSFER_BENEFICIARY: str({ default: 'Printora' }),
+  BANK_TRANSFER_BIC: str(),
+  BANK_TRANSFER_BANK_NAME: str(),
+  BANK_TRANSFER_DUE_DAYS: int({ default: 10, min: 0 }),
+
+  // file storage (storage.js)
+  STORAGE_BACKEND: oneOf(['drive', 's3', 'local'], { default: 'drive' }),
+  STORAGE_LINK_TTL_SECONDS: int({ default: 3600, min: 60, max: 7 * 24 * 3600, description: 'signed links (s3, local)' }),
+  STORAGE_S3_ENDPOINT: url({ description: 'defaults to AWS; e.g. http://localhost:9000 for MinIO' }),
+  STORAGE_S3_REGION: str({ default: 'us-east-1' }),
+  STORAGE_S3_BUCKET: str(),
+  STORAGE_S3_ACCESS_KEY_ID: str(),
+  STORAGE_S3_SECRET_ACCESS_KEY: str({ secret: true }),
+  STORAGE_S3_FORCE_PATH_STYLE: bool({ default: false, description: 'bucket in the path instead of the host name (MinIO)' }),
+  STORAGE_LOCAL_DIR: str({ description: 'defaults to <DATA_DIR>/storage' }),
+  STORAGE_LOCAL_LINK_SECRET: str({ secret: true, description: 'random per process when unset' }),
+  PUBLIC_API_URL: url({ description: 'base URL of this API for local storage links; defaults to http://localhost:<PORT>' }),
+
+  // Google Drive
+  GOOGLE_SERVICE_ACCOUNT_JSON_PATH: str(),
+  GOOGLE_DRIVE_ROOT_FOLDER_ID: str(),
+  DRIVE_STAGING_FOLDER_ID: str(),
+  DRIVE_STAGING_TRASH_FOLDER_ID: str(),
+  DRIVE_SUPPORT_FOLDER_ID: str(),
+  DRIVE_MAX_CONCURRENT: int({ default: 6, min: 1 }),
+  DRIVE_MAX_RETRIES: int({ default: 5, min: 0 }),
+  DRIVE_RETRY_BASE_MS: int({ default: 500, min: 1 }),
+  DRIVE_RETRY_MAX_MS: int({ default: 32_000, min: 1 }),
+  STAGING_GC_ENABLED: bool({ default: false }),
+  STAGING_GC_DRY_RUN: bool({ default: false }),
+  STAGING_GC_MAX_AGE_HOURS: num({ default: 72, min: 1 }),
+  STAGING_GC_GRACE_DAYS: num({ default: 14, min: 0 }),
+  STAGING_GC_INTERVAL_HOURS: num({ default: 6, min: 0.1 }),
+
+  // uploads
+  MAX_UPLOAD_MB: num({ default: 2048, min: 1 }),
+  ALLOWED_EXTENSIONS: list({ default: ['pdf', 'tif', 'tiff', 'png', 'jpg', 'jpeg', 'ai', 'cdr'] }),
+  UPLOAD_MAX_CONCURRENT: int({ default: 8, min: 1 }),
+  UPLOAD_MAX_CONCURRENT_PER_IP: int({ default: 2, min: 1 }),
+  UPLOAD_TMP_MAX_MB: num({ default: 20480, min: 1 }),
+  UPLOAD_TMP_MAX_AGE_MIN: num({ default: 120, min: 1 }),
+  UPLOAD_RETRY_AFTER_S: int({ default: 30, min: 1 }),
+  RESUMABLE_UPLOAD_TTL_HOURS: num({ default: 24, min: 1 }),
+  PREFLIGHT_MIN_DPI: num({ default: 100, min: 1 }),
+  PREFLIGHT_MAX_PDF_MB: num({ default: 50, min: 1, description: 'pdf-lib holds several times the file size in memory' }),
+  MALWARE_SCANNER: oneOf(['clamd', 'none'], { description: 'defaults to clamd when CLAMD_SOCKET or CLAMD_HOST is set' }),
+  CLAMD_SOCKET: str(),
+  CLAMD_HOST: str(),
+  CLAMD_PORT: int({ default: 3310, min: 1, max: 65535 }),
+  CLAMD_TIMEOUT_MS: int({ default: 120_000, min: 1000 }),
+
+  // Make, Apps Script, outbox
+  MAKE_ORDER_CREATED_WEBHOOK_URL: url(),
+  MAKE_SIGNING_SECRET: list({ secret: true }),
+  MAKE_TIMEOUT_MS: int({ default: 8000, min: 100 }),
+  APPS_SCRIPT_URL: url(),
+  APPS_SCRIPT_SIGNING_SECRET: list({ secret: true }),
+  APPS_SCRIPT_TIMEOUT_MS: int({ default: 15_000, min: 100 }),
+  SIGNATURE_TOLERANCE_SEC: int({ default: 300, min: 1 }),
+  OUTBOX_MAX_ATTEMPTS: int({ default: 10, min: 1 }),
+  OUTBOX_BASE_DELAY_MS: int({ default: 5000, min: 1 }),
+  OUTBOX_MAX_DELAY_MS: int({ default: 60 * 60 * 1000, min: 1 }),
+  OUTBOX_POLL_MS: int({ default: 2000, min: 100 }),
+
+  // contact form
+  CONTACT_MAX_ATTACHMENTS: int({ default: 3, min: 0 }),
+  CONTACT_ATTACHMENT_MAX_MB: num({ default: 25, min: 1 }),
+  CONTACT_RATE_WINDOW_MIN: num({ default: 60, min: 1 }),
+  CONTACT_MAX_PER_IP: int({ default: 5, min: 1, description: 'attempts per IP per window, rejected ones included' }),
+  CONTACT_MAX_PER_EMAIL: int({ default: 3, min: 1 }),
+  CONTACT_HONEYPOT_FIELD: str({ default: 'website', pattern: /^[A-Za-z_][\w-]*$/, patternHint: 'must be a form field name' }),
+  CONTACT_MIN_SUBMIT_SECONDS: num({ default: 3, min: 0, description: '0 disables the form timing check' }),
+  CONTACT_SPAM_SCORE_THRESHOLD: num({ default: 5, min: 1 }),
+  CONTACT_SPAM_PHRASES: list(),
+  CONTACT_FORM_SECRET: str({ secret: true, description: 'random per process when unset' }),
+  CONTACT_CAPTCHA_PROVIDER: str({ description: 'turnstile, hcaptcha, recaptcha, stub, none or a registered provider' }),
+  CONTACT_CAPTCHA_SECRET: str({ secret: true }),
+
+  // health checks
+  HEALTH_CACHE_SECONDS: num({ default: 10, min: 0 }),
+  HEALTH_CHECK_TIMEOUT_MS: int({ default: 5000, min: 100 }),
+  HEALTH_TMP_MIN_FREE_MB: num({ default: 1024, min: 0 }),
+};
+
+/* ------------------------------- loading ------------------------------- */
+
+/**
+ * Parse and validate an environment.
+ * @param {Record<string, string|undefined>} env
+ * @returns {Readonly<Record<string, any>>}
+ * @throws {ConfigError} listing every invalid or missing variable
+ */
+export function loadConfig(env) {
+  const values = {};
+  const problems = [];
+  for (const [name, field] of Object.entries(SCHEMA)) {
+    const raw = env[name]?.trim();
+    if (!raw) {
+      if (field.required) problems.push(`${name} is required`);
+      values[name] = field.default ?? null;
+      continue;
+    }
+    try {
+      values[name] = field.parse(raw);
+    } catch (e) {
+      problems.push(`${name} ${e.message} (got "${field.secret ? '[redacted]' : raw}")`);
+    }
+  }
+  if (values.HTTP_HEADERS_TIMEOUT_MS < values.HTTP_KEEP_ALIVE_TIMEOUT_MS) {
+    problems.push('HTTP_HEADERS_TIMEOUT_MS must be >= HTTP_KEEP_ALIVE_TIMEOUT_MS');
+  }
+  if (values.DRIVE_RETRY_MAX_MS < values.DRIVE_RETRY_BASE_MS) {
+    problems.push('DRIVE_RETRY_MAX_MS must be >= DRIVE_RETRY_BASE_MS');
+  }
+  if (values.STORAGE_BACKEND === 's3') {
+    for (const name of ['STORAGE_S3_BUCKET', 'STORAGE_S3_ACCESS_KEY_ID', 'STORAGE_S3_SECRET_ACCESS_KEY']) {
+      if (!values[name]) problems.push(`${name} is required when STORAGE_BACKEND is s3`);
+    }
+  }
+  if (values.NODE_ENV === 'production' && !values.STRIPE_WEBHOOK_SECRET) {
+    problems.push('STRIPE_WEBHOOK_SECRET is required when NODE_ENV is production');
+  }
+  if (values.OUTBOX_MAX_DELAY_MS < values.OUTBOX_BASE_DELAY_MS) {
+    problems.push('OUTBOX_MAX_DELAY_MS must be >= OUTBOX_BASE_DELAY_MS');
+  }
+  if (problems.length) throw new ConfigError(problems);
+  return Object.freeze(values);
+}
+
+function loadOrExit() {
+  try {
+    return loadConfig(process.env);
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    // written by hand: the logger itself is configured from here
+    const line = { time: new Date().toISOString(), level: 'error', component: 'config', msg: 'invalid configuration', problems: e.problems };
+    process.stderr.write(`${JSON.stringify(line)}\n`);
+    process.exit(1);
+  }
+}
+
+/** The validated configuration (frozen). */
+export const config = loadOrExit();
+
+/** Stripe mode of the secret key. */
+export const stripeMode = (key = config.STRIPE_SECRET_KEY) => (/^(sk|rk)_live_/.test(key || '') ? 'live' : 'test');
+
+/**
+ * Settings that are valid on their own but look wrong together, for the boot log.
+ * @param {Record<string, any>} [cfg]
+ * @returns {string[]}
+ */
+export function configWarnings(cfg = config) {
+  const warnings = [];
+  const production = cfg.NODE_ENV === 'production';
+  const mode = stripeMode(cfg.STRIPE_SECRET_KEY);
+
+  if (cfg.STRIPE_WEBHOOK_MODE && cfg.STRIPE_WEBHOOK_MODE !== mode) {
+    warnings.push(
+      `STRIPE_SECRET_KEY is a ${mode} key but STRIPE_WEBHOOK_SECRET is for ${cfg.STRIPE_WEBHOOK_MODE} mode: ` +
+        'webhook events will fail verification or refer to objects the key cannot see'
+    );
+  }
+  if (cfg.STRIPE_WEBHOOK_SECRET && !cfg.STRIPE_WEBHOOK_MODE) {
+    warnings.push(`STRIPE_WEBHOOK_MODE is not set, so the webhook secret can't be checked against the ${mode} key`);
+  }
+  if (production && mode === 'test') warnings.push('NODE_ENV is production but STRIPE_SECRET_KEY is a test key');
+  if (!production && mode === 'live') warnings.push('STRIPE_SECRET_KEY is a live key outside production');
+  if (!cfg.STRIPE_WEBHOOK_SECRET) {
+    warnings.push('STRIPE_WEBHOOK_SECRET is not set: webhook payloads are not verified and payment successes are refused');
+  }
+  if (!cfg.MAKE_ORDER_CREATED_WEBHOOK_URL) warnings.push('MAKE_ORDER_CREATED_WEBHOOK_URL is not set');
+  if (!cfg.MAKE_SIGNING_SECRET.length) {
+    warnings.push('MAKE_SIGNING_SECRET is not set (Make calls unsigned, make-callback disabled)');
+  }
+  if (cfg.APPS_SCRIPT_URL && !cfg.APPS_SCRIPT_SIGNING_SECRET.length) {
+    warnings.push('APPS_SCRIPT_SIGNING_SECRET is not set (Apps Script calls unsigned)');
+  }
+  if (cfg.STAGING_GC_ENABLED && cfg.STORAGE_BACKEND === 'drive' && !cfg.DRIVE_STAGING_FOLDER_ID) {
+    warnings.push('STAGING_GC_ENABLED is set but DRIVE_STAGING_FOLDER_ID is not');
+  }
+  if (production && cfg.STORAGE_BACKEND === 'local') {
+    warnings.push('STORAGE_BACKEND is local in production: files live on this machine only');
+  }
+  if (cfg.STORAGE_BACKEND === 'local' && !cfg.STORAGE_LOCAL_LINK_SECRET) {
+    warnings.push('STORAGE_LOCAL_LINK_SECRET is not set: file links are invalidated by every restart');
+  }
+  if (production && !cfg.CONTACT_FORM_SECRET) {
+    warnings.push('CONTACT_FORM_SECRET is not set: form tokens are invalidated by every restart');
+  }
+  return warnings;
+}
+
+/**
+ * Configuration with secrets redacted (set secrets show as "[redacted]").
+ * @param {Record<string, any>} [cfg]
+ * @returns {Record<string, any>}
+ */
+export function configReport(cfg = config) {
+  return Object.fromEntries(
+    Object.entries(SCHEMA).map(([name, field]) => {
+      const value = cfg[name];
+      const isSet = Array.isArray(value) ? value.length > 0 : value !== null;
+      return [name, field.secret && isSet ? '[redacted]' : value];
+    })
+  );
+}
@@ -0,0 +1,320 @@
+// backend/contactSpam.js
+import crypto from 'node:crypto';
+import { createLogger } from './logger.js';
+import { createJsonStore } from './store.js';
+import { config } from './config.js';
+
+/**
+ * Anti-spam checks for POST /api/contact, cheapest first:
+ *  1. rate limits per IP (every attempt) and per email (accepted messages), sliding window in memory
+ *  2. honeypot field (hidden input humans leave empty)
+ *  3. minimum fill time, proven by the signed `form_token` from GET /api/contact
+ *  4. CAPTCHA, through a pluggable provider (CONTACT_CAPTCHA_PROVIDER)
+ *  5. content score (links, blacklisted phrases, markup)
+ *
+ * Rejections are logged with their reason and kept in the 'contact-rejections'
+ * store (last REJECTIONS_KEPT) for GET /api/admin/contact-rejections, at most
+ * REJECTIONS_PER_IP per IP and window so a flood can't keep rewriting the store.
+ */
+
+const RATE_WINDOW_MS = config.CONTACT_RATE_WINDOW_MIN * 60 * 1000;
+const MAX_PER_IP = config.CONTACT_MAX_PER_IP;
+const MAX_PER_EMAIL = config.CONTACT_MAX_PER_EMAIL;
+export const HONEYPOT_FIELD = config.CONTACT_HONEYPOT_FIELD;
+const MIN_SUBMIT_MS = config.CONTACT_MIN_SUBMIT_SECONDS * 1000;
+const FORM_TOKEN_MAX_AGE_MS = 24 * 3600 * 1000;
+const SPAM_SCORE_THRESHOLD = config.CONTACT_SPAM_SCORE_THRESHOLD;
+const REJECTIONS_KEPT = 500;
+const REJECTIONS_PER_IP = 3;
+
+// a per-process fallback only works with a single instance and resets form tokens on restart
+const FORM_SECRET = config.CONTACT_FORM_SECRET || crypto.randomBytes(32).toString('hex');
+
+const DEFAULT_SPAM_PHRASES = [
+  'seo services',
+  'rank your website',
+  'backlinks',
+  'crypto investment',
+  'bitcoin',
+  'casino',
+  'viagra',
+  'cialis',
+  'loan offer',
+  'work from home',
+  'guest post',
+  'increase your traffic',
+];
+
+const log = createLogger('contact');
+const rejections = createJsonStore('contact-rejections', () => ({ items: [] }));
+// ip: every attempt, email: accepted messages, rejected: stored rejections per IP
+const hits = { ip: new Map(), email: new Map(), rejected: new Map() };
+
+/** Contact message refused by a spam check. */
+export class ContactRejectedError extends Error {
+  /**
+   * @param {string} message - Shown to the sender
+   * @param {object} params
+   * @param {string} params.reason - rate_limit_ip | rate_limit_email | honeypot | form_token |
+   *   too_fast | captcha | spam_score
+   * @param {number} [params.status=400]
+   * @param {boolean} [params.silent=false] - Answer as if the message was sent (bots only)
+   * @param {number} [params.retryAfter] - Seconds, for rate limits
+   */
+  constructor(message, { reason, status = 400, silent = false, retryAfter } = {}) {
+    super(message);
+    this.name = 'ContactRejectedError';
+    this.reason = reason;
+    this.status = status;
+    this.silent = silent;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/* ----------------------------- rate limits ----------------------------- */
+
+function recentHits(map, key, now) {
+  const list = (map.get(key) || []).filter((t) => now - t < RATE_WINDOW_MS);
+  if (list.length) map.set(key, list);
+  else map.delete(key);
+  return list;
+}
+
+function checkRate(map, key, max, reason, now) {
+  if (!key || !max) return;
+  const list = recentHits(map, key, now);
+  if (list.length >= max) {
+    const retryAfter = Math.ceil((list[0] + RATE_WINDOW_MS - now) / 1000);
+    throw new ContactRejectedError('Too many messages, please try again later', {
+      reason,
+      status: 429,
+      retryAfter,
+    });
+  }
+}
+
+function recordHit(map, key, now) {
+  if (key) map.set(key, [...recentHits(map, key, now), now]);
+}
+
+// drop idle keys so the maps don't grow with every IP ever seen
+setInterval(() => {
+  const now = Date.now();
+  for (const map of Object.values(hits)) for (const key of map.keys()) recentHits(map, key, now);
+}, RATE_WINDOW_MS).unref();
+
+/* ------------------------------ form token ------------------------------ */
+
+/**
+ * Signed "form rendered at" token, handed out by GET /api/contact.
+ * @returns {string}
+ */
+export function issueFormToken(now = Date.now()) {
+  const issued = String(now);
+  const sig = crypto.createHmac('sha256', FORM_SECRET).update(issued).digest('base64url');
+  return `${issued}.${sig}`;
+}
+
+function checkFormToken(token, now) {
+  if (!MIN_SUBMIT_MS) return;
+  const [issued, sig] = String(token || '').split('.');
+  const expected = crypto.createHmac('sha256', FORM_SECRET).update(String(issued)).digest('base64url');
+  const valid =
+    /^\d+$/.test(issued || '') &&
+    sig?.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
+  if (!valid || now - Number(issued) > FORM_TOKEN_MAX_AGE_MS) {
+    throw new ContactRejectedError('The form has expired, please reload the page and try again', {
+      reason: 'form_token',
+    });
+  }
+  if (now - Number(issued) < MIN_SUBMIT_MS) {
+    throw new ContactRejectedError('Message sent too quickly, please try again', { reason: 'too_fast' });
+  }
+}
+
+/* ------------------------------- CAPTCHA ------------------------------- */
+
+/** Verify a token against a siteverify endpoint (Turnstile, hCaptcha and reCAPTCHA share the protocol). */
+const siteverify = (url) => async (token, { ip }) => {
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      secret: config.CONTACT_CAPTCHA_SECRET || '',
+      response: token,
+      ...(ip && { remoteip: ip }),
+    }),
+    signal: AbortSignal.timeout(8000),
+  });
+  const body = await resp.json().catch(() => ({}));
+  return resp.ok && body.success === true;
+};
+
+const captchaProviders = {
+  turnstile: siteverify('https://challenges.cloudflare.com/turnstile/v0/siteverify'),
+  hcaptcha: siteverify('https://api.hcaptcha.com/siteverify'),
+  recaptcha: siteverify('https://www.google.com/recaptcha/api/siteverify'),
+  // local development: any token except "fail" passes
+  stub: async (token) => token !== 'fail',
+};
+
+/**
+ * Add or replace a CAPTCHA provider, selected with CONTACT_CAPTCHA_PROVIDER=<name>.
+ * @param {string} name
+ * @param {(token:string, ctx:{ip:string}) => Promise<boolean>} verify
+ */
+export function registerCaptchaProvider(name, verify) {
+  captchaProviders[name] = verify;
+}
+
+async function checkCaptcha(token, ip) {
+  const name = config.CONTACT_CAPTCHA_PROVIDER;
+  if (!name || name === 'none') return;
+  const verify = captchaProviders[name];
+  if (!verify) throw new Error(`Unknown CAPTCHA provider "${name}"`);
+
+  let ok = false;
+  if (token) {
+    try {
+      ok = await verify(String(token), { ip });
+    } catch (e) {
+      // provider outage: let the content score decide rather than losing real messages
+      log.warn('CAPTCHA provider unavailable', { provider: name, err: e });
+      return;
+    }
+  }
+  if (!ok) throw new ContactRejectedError('CAPTCHA verification failed', { reason: 'captcha' });
+}
+
+/* ---------------------------- content score ---------------------------- */
+
+function spamPhrases() {
+  return [...DEFAULT_SPAM_PHRASES, ...config.CONTACT_SPAM_PHRASES.map((s) => s.toLowerCase())];
+}
+
+/**
+ * Score a message for obvious spam; SPAM_SCORE_THRESHOLD or more is rejected.
+ * @param {{name?:string, subject?:string, message?:string}} fields
+ * @returns {{score:number, signals:string[]}}
+ */
+export function spamScore({ name, subject, message }) {
+  const text = [name, subject, message].filter(Boolean).join('\n');
+  const lower = text.toLowerCase();
+  const signals = [];
+  let score = 0;
+
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  if (links) {
+    score += links > 2 ? 2 + links : links;
+    signals.push(`links:${links}`);
+  }
+  for (const phrase of spamPhrases()) {
+    if (lower.includes(phrase)) {
+      score += 3;
+      signals.push(`phrase:${phrase}`);
+    }
+  }
+  if (/\[url=|<a\s+href=/i.test(text)) {
+    score += 3;
+    signals.push('markup');
+  }
+  if (/https?:\/\//i.test(name || '')) {
+    score += 3;
+    signals.push('link_in_name');
+  }
+  const letters = text.replace(/[^a-zA-Z]/g, '');
+  if (letters.length > 40 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    score += 1;
+    signals.push('shouting');
+  }
+  return { score, signals };
+}
+
+/* ------------------------------- screening ------------------------------- */
+
+/**
+ * Run all checks on a contact submission.
+ * @param {object} params
+ * @param {object} params.body - Request body (fields, honeypot, form_token, captcha_token)
+ * @param {string} params.ip
+ * @returns {Promise<{score:number}>}
+ * @throws {ContactRejectedError}
+ */
+export async function screenContactMessage({ body, ip }) {
+  const now = Date.now();
+  const email = String(body.email || '').trim().toLowerCase();
+
+  checkRate(hits.ip, ip, MAX_PER_IP, 'rate_limit_ip', now);
+  checkRate(hits.email, email, MAX_PER_EMAIL, 'rate_limit_email', now);
+  // counted before the checks below, so bots failing them are throttled too; the
+  // email limit only counts accepted messages (anyone can type someone else's address)
+  recordHit(hits.ip, ip, now);
+
+  if (String(body[HONEYPOT_FIELD] || '').trim()) {
+    throw new ContactRejectedError('Honeypot field filled', { reason: 'honeypot', silent: true });
+  }
+  checkFormToken(body.form_token, now);
+  await checkCaptcha(body.captcha_token, ip);
+
+  const { score, signals } = spamScore(body);
+  if (score >= SPAM_SCORE_THRESHOLD) {
+    const err = new ContactRejectedError(
+      'Your message looks like spam. Please remove links and try again, or write to us by email',
+      { reason: 'spam_score', status: 422 }
+    );
+    err.signals = signals;
+    err.score = score;
+    throw err;
+  }
+
+  recordHit(hits.email, email, now);
+  return { score };
+}
+
+/**
+ * Log a rejected message (with a short excerpt) for review. Past REJECTIONS_PER_IP
+ * in the rate window, further rejections from the same IP are only logged at debug level.
+ * @param {ContactRejectedError} err
+ * @param {object} params
+ * @param {object} params.body
+ * @param {string} params.ip
+ * @returns {Promise<object|null>} The stored entry, null when skipped
+ */
+export async function recordContactRejection(err, { body, ip }) {
+  const now = Date.now();
+  if (recentHits(hits.rejected, ip, now).length >= REJECTIONS_PER_IP) {
+    log.debug('message rejected (not stored)', { reason: err.reason, ip });
+    return null;
+  }
+  recordHit(hits.rejected, ip, now);
+  const entry = {
+    at: new Date(now).toISOString(),
+    reason: err.reason,
+    ip,
+    email: body.email ? String(body.email).slice(0, 200) : null,
+    subject: body.subject ? String(body.subject).slice(0, 120) : null,
+    excerpt: body.message ? String(body.message).slice(0, 200) : null,
+    ...(err.score != null && { score: err.score, signals: err.signals }),
+  };
+  log.warn('message rejected', { reason: entry.reason, ip, email: entry.email, score: entry.score });
+  await rejections.update((doc) => {
+    doc.items.push(entry);
+    if (doc.items.length > REJECTIONS_KEPT) doc.items.splice(0, doc.items.length - REJECTIONS_KEPT);
+  });
+  return entry;
+}
+
+/**
+ * Recent rejections, newest first.
+ * @param {object} [filter]
+ * @param {string} [filter.reason]
+ * @param {number} [filter.limit=50]
+ */
+export function listContactRejections({ reason, limit = 50 } = {}) {
+  return rejections
+    .read()
+    .items.filter((r) => !reason || r.reason === reason)
+    .slice(-limit)
+    .reverse();
+}
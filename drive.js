@@ -2,31 +2,209 @@
 import { google } from 'googleapis';
 import fs from 'node:fs';
 import path from 'node:path';
-import 'dotenv/config';
+import { driveDuration, driveErrors, driveRetries } from './metrics.js';
+import { config } from './config.js';
+import { createLogger } from './logger.js';
 
 const SCOPES = ['https://www.googleapis.com/auth/drive'];
+const log = createLogger('drive');
+
+/**
+ * Every Drive call goes through driveRequest():
+ *  - one shared client and GoogleAuth (access tokens are cached and refreshed by the library)
+ *  - at most DRIVE_MAX_CONCURRENT calls in flight, the rest queue
+ *  - 429, 5xx, 403 rate-limit reasons and network errors are retried with exponential
+ *    backoff and jitter (DRIVE_MAX_RETRIES, honouring Retry-After)
+ *  - failures surface as DriveError with an HTTP status routes can pass on
+ */
+
+/** Drive call failure, normalized from googleapis / fetch errors. */
+export class DriveError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} params
+   * @param {number} params.status - HTTP status for our API (404 not found, 503 rate limited, 502 otherwise)
+   * @param {number|string} [params.code] - Drive's HTTP status or the network error code
+   * @param {string} [params.reason] - Drive error reason, e.g. "userRateLimitExceeded"
+   * @param {boolean} [params.retryable]
+   * @param {number} [params.retryAfterMs]
+   */
+  constructor(message, { status, code, reason, retryable = false, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'DriveError';
+    this.status = status;
+    this.code = code;
+    this.reason = reason || null;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const RATE_LIMIT_REASONS = ['userRateLimitExceeded', 'rateLimitExceeded', 'sharingRateLimitExceeded'];
+const NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET'];
+
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? undefined : Math.max(0, at - Date.now());
+}
+
+/**
+ * Build a DriveError from an HTTP status and Drive's error body.
+ * @param {string} operation
+ * @param {number} httpStatus
+ * @param {object} [body] - Drive JSON error body ({ error: { message, errors: [{ reason }] } })
+ * @param {string|null} [retryAfter] - Retry-After header
+ */
+function httpDriveError(operation, httpStatus, body, retryAfter) {
+  const reason = body?.error?.errors?.[0]?.reason || body?.error?.status;
+  const rateLimited = httpStatus === 429 || (httpStatus === 403 && RATE_LIMIT_REASONS.includes(reason));
+  const retryable = rateLimited || httpStatus >= 500;
+  let status = 502;
+  if (httpStatus === 404) status = 404;
+  else if (rateLimited) status = 503;
+  const detail = body?.error?.message || `HTTP ${httpStatus}`;
+  return new DriveError(`Drive ${operation} failed: ${detail}`, {
+    status,
+    code: httpStatus,
+    reason,
+    retryable,
+    retryAfterMs: parseRetryAfter(retryAfter),
+  });
+}
+
+/** Normalize anything thrown by a Drive call. */
+function toDriveError(e, operation) {
+  if (e instanceof DriveError) return e;
+  const httpStatus = e?.response?.status ?? (typeof e?.code === 'number' ? e.code : Number(e?.code) || undefined);
+  if (httpStatus) {
+    return httpDriveError(operation, httpStatus, e.response?.data, e.response?.headers?.['retry-after']);
+  }
+  const netCode = e?.code || e?.cause?.code;
+  // fetch() reports network failures as TypeError('fetch failed')
+  if (NETWORK_CODES.includes(netCode) || e?.name === 'AbortError' || e?.message === 'fetch failed') {
+    return new DriveError(`Drive ${operation} failed: ${e.message}`, { status: 502, code: netCode || e.name, retryable: true });
+  }
+  return new DriveError(`Drive ${operation} failed: ${e?.message || e}`, { status: 502, code: netCode });
+}
 
 /**
  * Auth using a Google Service Account key file.
  * TIP: For Shared Drives, make sure the service account is a member
  * with at least "Content manager" permission.
  */
+let auth = null;
 function getAuth() {
-  const keyPath = process.env.GOOGLE_SERVICE_ACCOUNT_JSON_PATH;
+  if (auth) return auth;
+  const keyPath = config.GOOGLE_SERVICE_ACCOUNT_JSON_PATH;
   if (!keyPath || !fs.existsSync(keyPath)) {
-    throw new Error('Service account JSON not found. Check GOOGLE_SERVICE_ACCOUNT_JSON_PATH.');
+    throw new DriveError('Service account JSON not found. Check GOOGLE_SERVICE_ACCOUNT_JSON_PATH.', {
+      status: 503,
+      reason: 'not_configured',
+    });
   }
-  return new google.auth.GoogleAuth({
-    keyFile: keyPath,
-    scopes: SCOPES,
-  });
+  auth = new google.auth.GoogleAuth({ keyFile: keyPath, scopes: SCOPES });
+  return auth;
 }
 
+let client = null;
+/** Shared Drive v3 client. Prefer the helpers below, which add retries and the concurrency limit. */
 export function getDrive() {
-  const auth = getAuth();
-  return google.drive({ version: 'v3', auth });
+  client ||= google.drive({ version: 'v3', auth: getAuth() });
+  return client;
+}
+
+// concurrency limit: a released slot is handed straight to the next waiter
+let active = 0;
+const waiting = [];
+
+function acquireSlot() {
+  if (active < config.DRIVE_MAX_CONCURRENT) {
+    active += 1;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) next();
+  else active -= 1;
+}
+
+/** Time a Drive call (drive_api_duration_seconds) and count failures (drive_api_errors_total). */
+async function timeDrive(operation, fn) {
+  try {
+    return await driveDuration.time({ operation }, fn);
+  } catch (e) {
+    driveErrors.inc({ operation, code: e?.code || e?.response?.status || 'error' });
+    throw e;
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Full-jitter exponential backoff, at least Retry-After when Drive sent one. */
+function backoffMs(attempt, retryAfterMs) {
+  const cap = Math.min(config.DRIVE_RETRY_MAX_MS, config.DRIVE_RETRY_BASE_MS * 2 ** attempt);
+  return Math.max(retryAfterMs || 0, Math.round(Math.random() * cap));
+}
+
+/**
+ * Run one Drive call with the concurrency limit and retries. `fn` is invoked per
+ * attempt, so request bodies (streams) must be created inside it.
+ * @template T
+ * @param {string} operation - Metric / error label, e.g. "files.get"
+ * @param {(drive: import('googleapis').drive_v3.Drive) => Promise<T>} fn
+ * @param {object} [opts]
+ * @param {number} [opts.retries=DRIVE_MAX_RETRIES]
+ * @returns {Promise<T>}
+ * @throws {DriveError}
+ */
+async function driveRequest(operation, fn, { retries = config.DRIVE_MAX_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      await acquireSlot();
+      try {
+        return await timeDrive(operation, () => fn(getDrive()));
+      } finally {
+        releaseSlot();
+      }
+    } catch (e) {
+      const err = toDriveError(e, operation);
+      if (!err.retryable || attempt >= retries) throw err;
+      driveRetries.inc({ operation, code: err.code });
+      const delay = backoffMs(attempt, err.retryAfterMs);
+      log.warn('Drive call failed, retrying', { operation, attempt: attempt + 1, code: err.code, reason: err.reason, delay_ms: delay });
+      await sleep(delay);
+    }
+  }
 }
 
+/**
+ * fetch() for the raw resumable-upload endpoints, with auth, the same limit and retries.
+ * Resolves with any 2xx/3xx response (308 is how resumable sessions report progress).
+ */
+async function driveFetch(operation, url, init, opts) {
+  return driveRequest(
+    operation,
+    async () => {
+      const resp = await fetch(url, { ...init, headers: { ...(await authHeader()), ...init.headers } });
+      if (resp.status >= 400) {
+        const body = await resp.json().catch(() => null);
+        throw httpDriveError(operation, resp.status, body, resp.headers.get('retry-after'));
+      }
+      return resp;
+    },
+    opts
+  );
+}
+
+/** Drive query string literal. */
+const escapeQuery = (v) => String(v).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+
 /**
  * Upload a local file to Google Drive under a parent folder (Shared Drive supported).
  * @param {object} params
@@ -34,30 +212,28 @@ export function getDrive() {
  * @param {string} params.fileName  - File name to use in Drive
  * @param {string} params.mimeType  - MIME type
  * @param {string} params.parentId  - Target parent folder ID (e.g., your _staging folder in Shared Drive)
+ * @param {Record<string,string>} [params.properties] - Custom Drive file properties (e.g., preflight report)
  * @returns {Promise<{id:string, webViewLink:string, name:string, mimeType:string, size:number}>}
  */
-export async function uploadFileToDrive({ localPath, fileName, mimeType, parentId }) {
-  const drive = getDrive();
-
-  const { data } = await drive.files.create({
-    requestBody: {
-      name: fileName,
-      parents: parentId ? [parentId] : undefined,
-    },
-    media: {
-      mimeType,
-      body: fs.createReadStream(localPath),
-    },
-    fields: 'id, name, mimeType, size, webViewLink',
-    supportsAllDrives: true, // IMPORTANT for Shared Drives
-  });
+export async function uploadFileToDrive({ localPath, fileName, mimeType, parentId, properties }) {
+  const { data } = await driveRequest('files.create', (drive) =>
+    drive.files.create({
+      requestBody: {
+        name: fileName,
+        parents: parentId ? [parentId] : undefined,
+        properties,
+      },
+      media: {
+        mimeType,
+        body: fs.createReadStream(localPath), // fresh stream per attempt
+      },
+      fields: 'id, name, mimeType, size, webViewLink',
+      supportsAllDrives: true, // IMPORTANT for Shared Drives
+    })
+  );
 
   // Fetch complete metadata (ensures webViewLink is present)
-  const { data: full } = await drive.files.get({
-    fileId: data.id,
-    fields: 'id, name, mimeType, size, webViewLink, parents',
-    supportsAllDrives: true,
-  });
+  const full = await getFile(data.id);
 
   return {
     id: full.id,
@@ -76,23 +252,23 @@ export async function uploadFileToDrive({ localPath, fileName, mimeType, parentI
  * @returns {Promise<{id:string, name:string, webViewLink?:string}>}
  */
 export async function createFolder({ name, parentId }) {
-  const drive = getDrive();
-
-  const { data } = await drive.files.create({
-    requestBody: {
-      name,
-      mimeType: 'application/vnd.google-apps.folder',
-      parents: parentId ? [parentId] : undefined,
-    },
-    fields: 'id, name, webViewLink',
-    supportsAllDrives: true,
-  });
+  const { data } = await driveRequest('files.create', (drive) =>
+    drive.files.create({
+      requestBody: {
+        name,
+        mimeType: 'application/vnd.google-apps.folder',
+        parents: parentId ? [parentId] : undefined,
+      },
+      fields: 'id, name, webViewLink',
+      supportsAllDrives: true,
+    })
+  );
 
   return data;
 }
 
 /**
- * Find a folder by name under a parent. Returns the first match or null.
+ * Find a (non-trashed) folder by name under a parent. Returns the first match or null.
  * NOTE: Folder names are not guaranteed to be unique—prefer IDs where possible.
  * @param {object} params
  * @param {string} params.name
@@ -100,26 +276,33 @@ export async function createFolder({ name, parentId }) {
  * @returns {Promise<{id:string, name:string} | null>}
  */
 export async function findFolder({ name, parentId }) {
-  const drive = getDrive();
-
   const qParts = [
     `mimeType = 'application/vnd.google-apps.folder'`,
-    `name = '${name.replace(/'/g, "\\'")}'`,
+    `name = '${escapeQuery(name)}'`,
+    'trashed = false',
   ];
-  if (parentId) qParts.push(`'${parentId}' in parents`);
+  if (parentId) qParts.push(`'${escapeQuery(parentId)}' in parents`);
 
-  const { data } = await drive.files.list({
-    q: qParts.join(' and '),
-    fields: 'files(id, name)',
-    includeItemsFromAllDrives: true,
-    supportsAllDrives: true,
-    spaces: 'drive',
-    pageSize: 10,
-    corpora: 'drive', // using a single drive (the shared drive) when querying by parent
-  });
-
-  const files = data.files || [];
-  return files.length ? files[0] : null;
+  // Drive may return empty pages with a nextPageToken, so keep paging until a match or the end
+  let pageToken;
+  do {
+    const { data } = await driveRequest('files.list', (drive) =>
+      drive.files.list({
+        q: qParts.join(' and '),
+        fields: 'nextPageToken, files(id, name)',
+        includeItemsFromAllDrives: true,
+        supportsAllDrives: true,
+        spaces: 'drive',
+        // 'drive' would need a driveId; the parent clause already scopes the search
+        corpora: 'allDrives',
+        pageSize: 100,
+        pageToken,
+      })
+    );
+    if (data.files?.length) return data.files[0];
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+  return null;
 }
 
 /**
@@ -151,45 +334,248 @@ export async function ensureFolderPath({ rootId, segments }) {
  * @param {string} params.fileId
  * @param {string} params.newParentId
  * @param {boolean} [params.keepOldParents=false] - if false, removes previous parents (recommended)
- * @returns {Promise<{id:string, parents:string[]}>}
+ * @param {string} [params.name] - Optional new file name, applied in the same request
+ * @returns {Promise<{id:string, name:string, parents:string[]}>}
  */
-export async function moveFileToFolder({ fileId, newParentId, keepOldParents = false }) {
-  const drive = getDrive();
-
+export async function moveFileToFolder({ fileId, newParentId, keepOldParents = false, name }) {
   // Get current parents
-  const { data: meta } = await drive.files.get({
-    fileId,
-    fields: 'id, parents',
-    supportsAllDrives: true,
-  });
+  const { data: meta } = await driveRequest('files.get', (drive) =>
+    drive.files.get({
+      fileId,
+      fields: 'id, parents',
+      supportsAllDrives: true,
+    })
+  );
 
-  const previousParents = (meta.parents || []).join(',');
+  // Never remove the target itself (moving a file into the folder it's already in)
+  const previousParents = (meta.parents || []).filter((p) => p !== newParentId).join(',');
   const request = {
     fileId,
     addParents: newParentId,
-    fields: 'id, parents',
+    fields: 'id, name, parents',
     supportsAllDrives: true,
   };
+  if (name) request.requestBody = { name };
 
   if (!keepOldParents && previousParents) {
     request.removeParents = previousParents;
   }
 
-  const { data } = await drive.files.update(request);
+  const { data } = await driveRequest('files.update', (drive) => drive.files.update(request));
+  return data;
+}
+
+/**
+ * List the (non-folder, non-trashed) files directly under a folder, following pagination.
+ * @param {object} params
+ * @param {string} params.parentId
+ * @param {Date} [params.createdBefore] - Only files created before this date
+ * @param {Record<string,string>} [params.properties] - Only files having these property values
+ * @returns {Promise<Array<{id:string, name:string, createdTime:string, size?:string, properties?:Record<string,string>}>>}
+ */
+export async function listFiles({ parentId, createdBefore, properties }) {
+  const qParts = [
+    `'${escapeQuery(parentId)}' in parents`,
+    'trashed = false',
+    `mimeType != 'application/vnd.google-apps.folder'`,
+  ];
+  if (createdBefore) qParts.push(`createdTime < '${createdBefore.toISOString()}'`);
+  for (const [key, value] of Object.entries(properties || {})) {
+    qParts.push(`properties has { key='${escapeQuery(key)}' and value='${escapeQuery(value)}' }`);
+  }
+
+  const files = [];
+  let pageToken;
+  do {
+    const { data } = await driveRequest('files.list', (drive) =>
+      drive.files.list({
+        q: qParts.join(' and '),
+        fields: 'nextPageToken, files(id, name, size, createdTime, properties)',
+        includeItemsFromAllDrives: true,
+        supportsAllDrives: true,
+        corpora: 'allDrives',
+        pageSize: 1000,
+        pageToken,
+      })
+    );
+    files.push(...(data.files || []));
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+  return files;
+}
+
+/**
+ * Permanently delete a file (Shared Drive supported; needs organizer/manager rights there).
+ * @param {string} fileId
+ */
+export async function deleteFile(fileId) {
+  await driveRequest('files.delete', (drive) => drive.files.delete({ fileId, supportsAllDrives: true }));
+}
+
+/**
+ * Merge custom properties into a file's `properties` (Shared Drive supported).
+ * @param {string} fileId
+ * @param {Record<string,string|null>} properties - null values delete a key
+ * @returns {Promise<{id:string, properties:Record<string,string>}>}
+ */
+export async function setFileProperties(fileId, properties) {
+  const { data } = await driveRequest('files.update', (drive) =>
+    drive.files.update({
+      fileId,
+      requestBody: { properties },
+      fields: 'id, properties',
+      supportsAllDrives: true,
+    })
+  );
   return data;
 }
 
 /**
  * Fetch basic file metadata (including webViewLink).
  * @param {string} fileId
- * @returns {Promise<{id:string,name:string,mimeType:string,size?:string,webViewLink?:string,parents?:string[]}>}
+ * @returns {Promise<{id:string,name:string,mimeType:string,size?:string,webViewLink?:string,parents?:string[],properties?:Record<string,string>}>}
  */
 export async function getFile(fileId) {
-  const drive = getDrive();
-  const { data } = await drive.files.get({
-    fileId,
-    fields: 'id, name, mimeType, size, webViewLink, parents',
-    supportsAllDrives: true,
-  });
+  const { data } = await driveRequest('files.get', (drive) =>
+    drive.files.get({
+      fileId,
+      fields: 'id, name, mimeType, size, webViewLink, parents, properties',
+      supportsAllDrives: true,
+    })
+  );
   return data;
-}
\ No newline at end of file
+}
+
+const RESUMABLE_ENDPOINT =
+  'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable&supportsAllDrives=true';
+// Drive requires chunk sizes in multiples of 256 KiB (except the last chunk)
+const RESUMABLE_CHUNK = 32 * 256 * 1024; // 8 MiB
+
+async function authHeader() {
+  const token = await getAuth().getAccessToken();
+  return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * Start a Drive resumable-upload session (Shared Drive supported).
+ * The returned session URI is valid for about a week and can be resumed after failures.
+ * @param {object} params
+ * @param {string} params.fileName
+ * @param {string} params.mimeType
+ * @param {string} params.parentId
+ * @param {number} params.size - Total size in bytes
+ * @param {Record<string,string>} [params.properties] - Custom Drive file properties
+ * @returns {Promise<string>} - Session URI
+ */
+export async function createResumableSession({ fileName, mimeType, parentId, size, properties }) {
+  const resp = await driveFetch('resumable.create', RESUMABLE_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json; charset=UTF-8',
+      'X-Upload-Content-Type': mimeType,
+      'X-Upload-Content-Length': String(size),
+    },
+    body: JSON.stringify({ name: fileName, parents: parentId ? [parentId] : undefined, properties }),
+  });
+  const location = resp.headers.get('location');
+  if (!location) {
+    throw new DriveError(`Drive resumable.create failed: HTTP ${resp.status} without a session URI`, { status: 502, code: resp.status });
+  }
+  return location;
+}
+
+/**
+ * Ask Drive how many bytes of a resumable session it has persisted.
+ * @param {string} sessionUri
+ * @param {number} size
+ * @returns {Promise<{done:boolean, offset:number, file?:object}>}
+ */
+async function querySessionOffset(sessionUri, size) {
+  const resp = await driveFetch('resumable.status', sessionUri, {
+    method: 'PUT',
+    headers: { 'Content-Range': `bytes */${size}` },
+  });
+  if (resp.status === 200 || resp.status === 201) return { done: true, offset: size, file: await resp.json() };
+  if (resp.status === 308) {
+    const range = resp.headers.get('range'); // "bytes=0-12345"
+    return { done: false, offset: range ? Number(range.split('-')[1]) + 1 : 0 };
+  }
+  throw new DriveError(`Drive resumable.status failed: HTTP ${resp.status}`, { status: 502, code: resp.status });
+}
+
+/**
+ * Stream a local file into a resumable session chunk by chunk, resuming from
+ * Drive's persisted offset after network errors or 5xx responses. A session
+ * reused from an earlier attempt (or an earlier process) continues where Drive
+ * left off, and one that already completed just returns its file.
+ * @param {object} params
+ * @param {string} params.sessionUri - From createResumableSession
+ * @param {string} params.localPath
+ * @param {number} params.size
+ * @param {number} [params.maxRetries=5] - Consecutive failures tolerated per chunk
+ * @returns {Promise<{id:string, webViewLink:string, name:string, mimeType:string, size:number}>}
+ */
+export async function uploadToResumableSession({ sessionUri, localPath, size, maxRetries = 5 }) {
+  const fh = await fs.promises.open(localPath, 'r');
+  try {
+    const start = await querySessionOffset(sessionUri, size);
+    let offset = start.offset;
+    let created = start.done ? start.file : null;
+    let failures = 0;
+
+    while (!created) {
+      const length = Math.min(RESUMABLE_CHUNK, size - offset);
+      const buf = Buffer.alloc(length);
+      await fh.read(buf, 0, length, offset);
+
+      // a failed chunk is not retried blindly: Drive may have persisted part of it,
+      // so back off and resume from the offset it reports
+      let resp = null;
+      let failure = null;
+      try {
+        resp = await driveFetch(
+          'resumable.chunk',
+          sessionUri,
+          {
+            method: 'PUT',
+            headers: {
+              'Content-Length': String(length),
+              'Content-Range': size === 0 ? 'bytes */0' : `bytes ${offset}-${offset + length - 1}/${size}`,
+            },
+            body: buf,
+          },
+          { retries: 0 }
+        );
+      } catch (e) {
+        if (!(e instanceof DriveError) || !e.retryable || ++failures > maxRetries) throw e;
+        failure = e;
+      }
+
+      if (resp && (resp.status === 200 || resp.status === 201)) {
+        created = await resp.json();
+      } else if (resp && resp.status === 308) {
+        const range = resp.headers.get('range');
+        offset = range ? Number(range.split('-')[1]) + 1 : 0;
+        failures = 0;
+      } else if (resp) {
+        throw new DriveError(`Drive resumable.chunk failed: unexpected HTTP ${resp.status}`, { status: 502, code: resp.status });
+      } else {
+        await sleep(backoffMs(failures, failure?.retryAfterMs));
+        const status = await querySessionOffset(sessionUri, size);
+        if (status.done) created = status.file;
+        else offset = status.offset;
+      }
+    }
+
+    const full = await getFile(created.id);
+    return {
+      id: full.id,
+      name: full.name,
+      mimeType: full.mimeType,
+      size: Number(full.size || 0),
+      webViewLink: full.webViewLink,
+    };
+  } finally {
+    await fh.close();
+  }
+}
@@ -0,0 +1,142 @@
+// backend/health.js
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createLogger } from './logger.js';
+import { STORAGE_BACKEND, getFolder, storageFolders } from './storage.js';
+import { UPLOAD_TMP_DIR } from './uploadTemp.js';
+import { config } from './config.js';
+
+/**
+ * Readiness checks behind GET /api/health/ready: each dependency is actually
+ * exercised (storage folders, Stripe key, temp upload dir, Make / Apps Script),
+ * not just looked up in the environment.
+ *
+ * Results are cached for HEALTH_CACHE_SECONDS so frequent probes from the load
+ * balancer don't turn into a stream of storage and Stripe calls; concurrent probes
+ * share one run.
+ *
+ * Critical checks decide readiness. Make and Apps Script are reported but not
+ * critical: their calls go through the outbox and are retried while they're down.
+ */
+
+const CACHE_MS = config.HEALTH_CACHE_SECONDS * 1000;
+const CHECK_TIMEOUT_MS = config.HEALTH_CHECK_TIMEOUT_MS;
+const MIN_FREE_BYTES = config.HEALTH_TMP_MIN_FREE_MB * 1024 * 1024;
+
+const log = createLogger('health');
+
+let cached = null; // { at, result }
+let running = null;
+
+/** Check skipped because its dependency isn't configured. */
+class SkipCheck extends Error {}
+
+async function storageFolder(folderId, setting) {
+  if (!folderId) throw new Error(`${setting} not set`);
+  const folder = await getFolder(folderId);
+  return { backend: STORAGE_BACKEND, name: folder.name };
+}
+
+async function stripeKey(stripe) {
+  try {
+    const balance = await stripe.balance.retrieve();
+    return { livemode: balance.livemode };
+  } catch (e) {
+    // restricted keys may not read the balance, but a permission error still proves the key is valid
+    if (e?.type === 'StripePermissionError') return { restricted: true };
+    throw e;
+  }
+}
+
+async function tempDir() {
+  const probe = path.join(UPLOAD_TMP_DIR, `.health-${crypto.randomUUID()}`);
+  await fs.promises.writeFile(probe, 'ok');
+  await fs.promises.unlink(probe);
+  const { bavail, bsize } = await fs.promises.statfs(UPLOAD_TMP_DIR);
+  const freeBytes = bavail * bsize;
+  if (freeBytes < MIN_FREE_BYTES) {
+    throw new Error(`Only ${Math.floor(freeBytes / 1024 / 1024)} MB free in the upload temp dir`);
+  }
+  return { free_mb: Math.floor(freeBytes / 1024 / 1024) };
+}
+
+/**
+ * Reachability of an integration: any HTTP answer from its host counts. Only the
+ * origin is probed (HEAD), never the webhook itself, which would run the scenario.
+ */
+async function reachable(url) {
+  if (!url) throw new SkipCheck('not configured');
+  const { origin } = new URL(url);
+  const resp = await fetch(origin, { method: 'HEAD', redirect: 'manual', signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+  return { http_status: resp.status };
+}
+
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(name, { critical, fn }) {
+  const started = process.hrtime.bigint();
+  const latency = () => Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+  try {
+    const details = await withTimeout(fn());
+    return { name, ok: true, critical, latency_ms: latency(), ...(details && { details }) };
+  } catch (e) {
+    if (e instanceof SkipCheck) return { name, ok: true, skipped: true, critical, latency_ms: 0, error: e.message };
+    return { name, ok: false, critical, latency_ms: latency(), error: String(e?.message || e) };
+  }
+}
+
+async function runAll({ stripe }) {
+  const checks = {
+    // the setting names only matter on Drive: the other backends have fixed folders
+    storage_staging_folder: {
+      critical: true,
+      fn: () => storageFolder(storageFolders().staging, 'DRIVE_STAGING_FOLDER_ID'),
+    },
+    storage_root_folder: {
+      critical: true,
+      fn: () => storageFolder(storageFolders().root, 'GOOGLE_DRIVE_ROOT_FOLDER_ID'),
+    },
+    stripe: { critical: true, fn: () => stripeKey(stripe) },
+    upload_temp_dir: { critical: true, fn: tempDir },
+    apps_script: { critical: false, fn: () => reachable(config.APPS_SCRIPT_URL) },
+    make: { critical: false, fn: () => reachable(config.MAKE_ORDER_CREATED_WEBHOOK_URL) },
+  };
+  const results = await Promise.all(Object.entries(checks).map(([name, check]) => runCheck(name, check)));
+
+  const failed = results.filter((r) => !r.ok);
+  for (const r of failed) log.warn('readiness check failed', { check: r.name, critical: r.critical, error: r.error });
+  return {
+    ready: !failed.some((r) => r.critical),
+    checked_at: new Date().toISOString(),
+    checks: Object.fromEntries(results.map(({ name, ...r }) => [name, r])),
+  };
+}
+
+/**
+ * Run the readiness checks, or return the cached result.
+ * @param {object} params
+ * @param {import('stripe').Stripe} params.stripe
+ * @returns {Promise<{ready:boolean, checked_at:string, cached:boolean,
+ *   checks:Object<string,{ok:boolean, critical:boolean, latency_ms:number, skipped?:boolean, error?:string, details?:object}>}>}
+ */
+export async function checkReadiness({ stripe }) {
+  if (cached && Date.now() - cached.at < CACHE_MS) return { ...cached.result, cached: true };
+  if (!running) {
+    running = runAll({ stripe })
+      .then((result) => {
+        cached = { at: Date.now(), result };
+        return result;
+      })
+      .finally(() => {
+        running = null;
+      });
+  }
+  return { ...(await running), cached: false };
+}
@@ -0,0 +1,253 @@
+// backend/invoicing.js
+
+/**
+ * Italian e-invoicing (fattura elettronica) details collected at checkout.
+ *
+ * Business customers give company name, Partita IVA, SDI code or PEC and their
+ * VAT regime; private customers who want an invoice give their Codice Fiscale.
+ * Everything is validated here (including check digits) so accounting never has
+ * to chase customers for missing or mistyped data.
+ *
+ * Businesses from other EU countries give their VAT number instead of the
+ * Italian fields; tax.js checks it against VIES for reverse charge.
+ */
+
+/** FatturaPA RegimeFiscale codes. */
+export const VAT_REGIMES = {
+  RF01: 'Ordinario',
+  RF02: 'Contribuenti minimi',
+  RF04: 'Agricoltura e attività connesse e pesca',
+  RF05: 'Vendita sali e tabacchi',
+  RF06: 'Commercio fiammiferi',
+  RF07: 'Editoria',
+  RF08: 'Gestione servizi telefonia pubblica',
+  RF09: 'Rivendita documenti di trasporto pubblico e di sosta',
+  RF10: 'Intrattenimenti, giochi e altre attività',
+  RF11: 'Agenzie viaggi e turismo',
+  RF12: 'Agriturismo',
+  RF13: 'Vendite a domicilio',
+  RF14: 'Rivendita beni usati, oggetti d’arte, d’antiquariato o da collezione',
+  RF15: 'Agenzie di vendite all’asta',
+  RF16: 'IVA per cassa P.A.',
+  RF17: 'IVA per cassa',
+  RF18: 'Altro',
+  RF19: 'Forfettario',
+};
+
+/** Invalid or missing invoicing field. */
+export class InvoiceDetailsError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} field - Offending field name
+   */
+  constructor(message, field) {
+    super(message);
+    this.name = 'InvoiceDetailsError';
+    this.status = 400;
+    this.field = field;
+  }
+}
+
+const clean = (v) => String(v ?? '').trim();
+
+/** VAT number formats (without the country prefix) for EU member states; Greece uses "EL". */
+export const EU_VAT_FORMATS = {
+  AT: /^U\d{8}$/,
+  BE: /^[01]\d{9}$/,
+  BG: /^\d{9,10}$/,
+  CY: /^\d{8}[A-Z]$/,
+  CZ: /^\d{8,10}$/,
+  DE: /^\d{9}$/,
+  DK: /^\d{8}$/,
+  EE: /^\d{9}$/,
+  EL: /^\d{9}$/,
+  ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^\d{8}$/,
+  FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  HR: /^\d{11}$/,
+  HU: /^\d{8}$/,
+  IE: /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+  IT: /^\d{11}$/,
+  LT: /^(\d{9}|\d{12})$/,
+  LU: /^\d{8}$/,
+  LV: /^\d{11}$/,
+  MT: /^\d{8}$/,
+  NL: /^\d{9}B\d{2}$/,
+  PL: /^\d{10}$/,
+  PT: /^\d{9}$/,
+  RO: /^\d{2,10}$/,
+  SE: /^\d{12}$/,
+  SI: /^\d{8}$/,
+  SK: /^\d{10}$/,
+};
+
+/**
+ * VAT prefix for an ISO country code (GR → EL), or null outside the EU.
+ * @param {string} country
+ */
+export function euVatPrefix(country) {
+  const cc = clean(country).toUpperCase();
+  const prefix = cc === 'GR' ? 'EL' : cc;
+  return EU_VAT_FORMATS[prefix] ? prefix : null;
+}
+
+/**
+ * Partita IVA: 11 digits, the last one a Luhn-style check digit.
+ * @param {string} value - With or without the "IT" prefix
+ * @returns {boolean}
+ */
+export function isValidPartitaIva(value) {
+  const v = clean(value).toUpperCase().replace(/^IT/, '');
+  if (!/^\d{11}$/.test(v) || v === '00000000000') return false;
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    let d = Number(v[i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return (10 - (sum % 10)) % 10 === Number(v[10]);
+}
+
+// Check-character tables for personal Codici Fiscali (odd / even 1-based positions)
+const CF_ODD = {
+  0: 1, 1: 0, 2: 5, 3: 7, 4: 9, 5: 13, 6: 15, 7: 17, 8: 19, 9: 21,
+  A: 1, B: 0, C: 5, D: 7, E: 9, F: 13, G: 15, H: 17, I: 19, J: 21, K: 2, L: 4, M: 18,
+  N: 20, O: 11, P: 3, Q: 6, R: 8, S: 12, T: 14, U: 16, V: 10, W: 22, X: 25, Y: 24, Z: 23,
+};
+const CF_EVEN = (c) => (/\d/.test(c) ? Number(c) : c.charCodeAt(0) - 65);
+// omocodia replaces digits with letters from LMNPQRSTUV
+const CF_RE = /^[A-Z]{6}[0-9LMNPQRSTUV]{2}[ABCDEHLMPRST][0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{3}[A-Z]$/;
+
+/**
+ * Codice Fiscale: 16 characters for people, or 11 digits (same as a Partita IVA) for companies.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidCodiceFiscale(value) {
+  const v = clean(value).toUpperCase();
+  if (/^\d{11}$/.test(v)) return isValidPartitaIva(v);
+  if (!CF_RE.test(v)) return false;
+  let sum = 0;
+  for (let i = 0; i < 15; i++) sum += i % 2 === 0 ? CF_ODD[v[i]] : CF_EVEN(v[i]);
+  return String.fromCharCode(65 + (sum % 26)) === v[15];
+}
+
+/**
+ * Validate and normalize the `invoice` block of a checkout request.
+ *
+ * @param {object} input
+ * @param {'business'|'individual'} [input.type='business']
+ * @param {string} [input.country='IT'] - ISO code; other EU countries only need company name and VAT number
+ * @param {string} [input.company_name]
+ * @param {string} [input.vat_number] - Partita IVA, or the EU VAT number of a foreign business
+ * @param {string} [input.fiscal_code] - Codice Fiscale (required for individuals)
+ * @param {string} [input.sdi_code] - 7-character recipient code ("0000000" when using PEC)
+ * @param {string} [input.pec] - Certified e-mail address
+ * @param {string} [input.vat_regime='RF01'] - Key of VAT_REGIMES
+ * @returns {object} normalized details
+ * @throws {InvoiceDetailsError}
+ */
+export function validateInvoiceDetails(input) {
+  if (!input || typeof input !== 'object') throw new InvoiceDetailsError('invoice must be an object', 'invoice');
+  const type = clean(input.type || 'business');
+  if (type !== 'business' && type !== 'individual') {
+    throw new InvoiceDetailsError('invoice.type must be "business" or "individual"', 'type');
+  }
+
+  const country = clean(input.country || 'IT').toUpperCase();
+  if (!/^[A-Z]{2}$/.test(country)) throw new InvoiceDetailsError('country must be an ISO 3166 code', 'country');
+  if (country !== 'IT') return validateForeignBusiness(input, { type, country });
+
+  const fiscalCode = clean(input.fiscal_code).toUpperCase();
+  if (fiscalCode && !isValidCodiceFiscale(fiscalCode)) {
+    throw new InvoiceDetailsError('Invalid Codice Fiscale', 'fiscal_code');
+  }
+  if (type === 'individual') {
+    if (!fiscalCode) throw new InvoiceDetailsError('Codice Fiscale is required', 'fiscal_code');
+    return { type, country, fiscal_code: fiscalCode };
+  }
+
+  const companyName = clean(input.company_name);
+  if (!companyName) throw new InvoiceDetailsError('Company name is required', 'company_name');
+  if (companyName.length > 80) throw new InvoiceDetailsError('Company name is too long (max 80)', 'company_name');
+
+  const vatNumber = clean(input.vat_number).toUpperCase().replace(/\s+/g, '').replace(/^IT/, '');
+  if (!vatNumber) throw new InvoiceDetailsError('Partita IVA is required', 'vat_number');
+  if (!isValidPartitaIva(vatNumber)) throw new InvoiceDetailsError('Invalid Partita IVA', 'vat_number');
+
+  const sdiCode = clean(input.sdi_code).toUpperCase();
+  if (sdiCode && !/^[A-Z0-9]{7}$/.test(sdiCode)) {
+    throw new InvoiceDetailsError('SDI code must be 7 letters or digits', 'sdi_code');
+  }
+  const pec = clean(input.pec).toLowerCase();
+  if (pec && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(pec)) {
+    throw new InvoiceDetailsError('Invalid PEC address', 'pec');
+  }
+  if ((!sdiCode || sdiCode === '0000000') && !pec) {
+    throw new InvoiceDetailsError('An SDI code or a PEC address is required', 'sdi_code');
+  }
+
+  const vatRegime = clean(input.vat_regime || 'RF01').toUpperCase();
+  if (!VAT_REGIMES[vatRegime]) throw new InvoiceDetailsError('Unknown VAT regime', 'vat_regime');
+
+  return {
+    type,
+    country,
+    company_name: companyName,
+    vat_number: vatNumber,
+    fiscal_code: fiscalCode || vatNumber,
+    sdi_code: sdiCode || '0000000',
+    pec: pec || null,
+    vat_regime: vatRegime,
+  };
+}
+
+// EU businesses outside Italy: invoiced through SDI with the foreign recipient code
+function validateForeignBusiness(input, { type, country }) {
+  if (type !== 'business') {
+    throw new InvoiceDetailsError('Invoices for private customers are only issued in Italy', 'type');
+  }
+  const prefix = euVatPrefix(country);
+  if (!prefix) throw new InvoiceDetailsError('Invoices can only be issued to EU companies', 'country');
+
+  const companyName = clean(input.company_name);
+  if (!companyName) throw new InvoiceDetailsError('Company name is required', 'company_name');
+  if (companyName.length > 80) throw new InvoiceDetailsError('Company name is too long (max 80)', 'company_name');
+
+  const vatNumber = clean(input.vat_number)
+    .toUpperCase()
+    .replace(/[\s.-]+/g, '')
+    .replace(new RegExp(`^${prefix}`), '');
+  if (!EU_VAT_FORMATS[prefix].test(vatNumber)) {
+    throw new InvoiceDetailsError(`Invalid ${prefix} VAT number`, 'vat_number');
+  }
+  return { type, country, company_name: companyName, vat_number: vatNumber, sdi_code: 'XXXXXXX' };
+}
+
+/**
+ * Flatten invoice details into Stripe metadata (`invoice_*` keys, strings only).
+ * @param {object|null} details - From validateInvoiceDetails
+ */
+export function invoiceMetadata(details) {
+  if (!details) return {};
+  return Object.fromEntries(
+    Object.entries(details)
+      .filter(([, v]) => v != null)
+      .map(([k, v]) => [`invoice_${k}`, String(v)])
+  );
+}
+
+/**
+ * Rebuild invoice details from Stripe metadata (webhooks).
+ * @param {object} md
+ * @returns {object|null}
+ */
+export function invoiceFromMetadata(md = {}) {
+  const entries = Object.entries(md)
+    .filter(([k]) => k.startsWith('invoice_'))
+    .map(([k, v]) => [k.slice('invoice_'.length), v]);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
@@ -0,0 +1,125 @@
+// backend/logger.js
+import { AsyncLocalStorage } from 'node:async_hooks';
+import crypto from 'node:crypto';
+import { config } from './config.js';
+
+/**
+ * Structured logging: one JSON object per line on stdout (stderr for warn/error),
+ *   {"time":"...","level":"error","component":"files","msg":"Drive upload failed",
+ *    "request_id":"...","session_id":"...","err":{...}}
+ *
+ * The request id comes from the incoming X-Request-Id header (or is generated),
+ * is echoed on the response, and is picked up by every log line written while
+ * the request is handled - including outbox deliveries it enqueues, which
+ * forward it to Make / Apps Script.
+ */
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[config.LOG_LEVEL];
+
+const context = new AsyncLocalStorage();
+
+/** Request id of the request being handled, if any. */
+export function currentRequestId() {
+  return context.getStore()?.requestId;
+}
+
+/**
+ * Run `fn` with a request id in context (background jobs, replays).
+ * @template T
+ * @param {string} requestId
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withRequestId(requestId, fn) {
+  return context.run({ requestId }, fn);
+}
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return { message: String(err) };
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code && { code: err.code }),
+    ...(err.status && { status: err.status }),
+    ...(err.type && { type: err.type }),
+    stack: err.stack,
+  };
+}
+
+function write(level, component, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const { err, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg,
+    ...(currentRequestId() && { request_id: currentRequestId() }),
+    ...rest,
+    ...(err !== undefined && { err: serializeError(err) }),
+  };
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+  else process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Logger for one part of the backend.
+ * @param {string} component - e.g. 'payments', 'files', 'outbox'
+ * @returns {{debug:Function, info:Function, warn:Function, error:Function}}
+ *   each `(msg, fields?)`; put an Error in `fields.err`
+ */
+export function createLogger(component) {
+  return Object.fromEntries(
+    Object.keys(LEVELS).map((level) => [level, (msg, fields) => write(level, component, msg, fields)])
+  );
+}
+
+const log = createLogger('http');
+
+// accept ids from a proxy / the frontend, but nothing that could pollute log lines
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Express middleware: assigns the request id, echoes it as X-Request-Id and
+ * writes one access log line per request.
+ * @param {object} [opts]
+ * @param {(req, res, seconds:number) => void} [opts.onFinish] - e.g. metrics
+ */
+export function requestContext({ onFinish } = {}) {
+  return (req, res, next) => {
+    const incoming = req.headers[REQUEST_ID_HEADER.toLowerCase()];
+    const requestId = VALID_REQUEST_ID.test(incoming || '') ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+    const store = { requestId };
+    const started = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      onFinish?.(req, res, seconds);
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        duration_ms: Math.round(seconds * 1000),
+        ip: req.ip,
+        ...(req.auth && { principal: req.auth.id }),
+      };
+      context.run(store, () => {
+        if (res.statusCode >= 500) log.error('request failed', fields);
+        else log.info('request', fields);
+      });
+    });
+    // body parsers and multer continue from request stream events, which would
+    // otherwise run outside the request's async context
+    const emit = req.emit;
+    req.emit = function emitInContext(...args) {
+      return context.run(store, () => emit.apply(this, args));
+    };
+    context.run(store, next);
+  };
+}
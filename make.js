@@ -0,0 +1,54 @@
+// backend/make.js
+import { config } from './config.js';
+import { createLogger } from './logger.js';
+import { enqueue } from './outbox.js';
+import { signingSecrets } from './signing.js';
+
+const log = createLogger('make');
+
+/**
+ * Relay an order to the Make (Integromat) "order-created" webhook through the
+ * durable outbox. Shared by POST /api/hooks/order-created and the Stripe webhook.
+ * If the first attempt fails transiently the message stays queued and is retried.
+ * Deliveries are signed with MAKE_SIGNING_SECRET (X-Printora-Signature, see signing.js).
+ *
+ * @param {object} params
+ * @param {number|string} params.order_id
+ * @param {boolean} [params.attemptNow=true] - Wait for the first delivery attempt
+ * @param {string} [params.dedupeKey] - Relay at most once per key (see outbox.js)
+ * @returns {Promise<{ok:boolean, queued:boolean, status:number|null, payload:any, error?:string}>}
+ *   ok=false && queued=true means "will be retried"; queued=false means dead-lettered.
+ * @throws if MAKE_ORDER_CREATED_WEBHOOK_URL is not set
+ */
+export async function relayOrderCreated({ order_id, attemptNow = true, dedupeKey }) {
+  if (!config.MAKE_ORDER_CREATED_WEBHOOK_URL) {
+    throw new Error('MAKE_ORDER_CREATED_WEBHOOK_URL is not set');
+  }
+
+  if (!signingSecrets('make').length) {
+    // Not fatal to send, but the Make scenario should reject unsigned calls.
+    log.warn('MAKE_SIGNING_SECRET is not set; the order-created call goes out unsigned', { order_id });
+  }
+
+  const { status, result } = await enqueue(
+    { target: 'make_order_created', body: { order_id }, dedupeKey },
+    { attemptNow }
+  );
+
+  let payload = result?.body ?? null;
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+    } catch {
+      payload = { raw: payload };
+    }
+  }
+
+  return {
+    ok: status === 'delivered',
+    queued: status === 'pending',
+    status: result?.status ?? null,
+    payload,
+    ...(result?.error && { error: result.error }),
+  };
+}
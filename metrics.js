@@ -0,0 +1,191 @@
+// backend/metrics.js
+
+/**
+ * Prometheus metrics, exposed in the text format by GET /metrics.
+ *
+ * A deliberately small registry (counters, histograms, and gauges read at
+ * scrape time) - enough for our dashboards without another dependency.
+ * Label values are kept low-cardinality: route patterns, never raw URLs or ids.
+ */
+
+const registry = new Map();
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} registered twice`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Monotonic counter.
+ * @param {string} name
+ * @param {string} help
+ */
+export function counter(name, help) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    /** @param {object} [labels] @param {number} [value=1] */
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labels);
+      const cur = values.get(key) || { labels, value: 0 };
+      cur.value += value;
+      values.set(key, cur);
+    },
+    lines() {
+      return [...values.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    },
+  });
+}
+
+/**
+ * Histogram (cumulative buckets, sum and count).
+ * @param {string} name
+ * @param {string} help
+ * @param {number[]} [buckets] - Upper bounds, ascending
+ */
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    /** @param {object} labels @param {number} value */
+    observe(labels, value) {
+      const key = labelKey(labels);
+      let cur = values.get(key);
+      if (!cur) {
+        cur = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        values.set(key, cur);
+      }
+      buckets.forEach((b, i) => {
+        if (value <= b) cur.counts[i] += 1;
+      });
+      cur.sum += value;
+      cur.count += 1;
+    },
+    /**
+     * Time an async call and observe its duration in seconds with an `outcome` label.
+     * @template T
+     * @param {object} labels
+     * @param {() => Promise<T>} fn
+     * @returns {Promise<T>}
+     */
+    async time(labels, fn) {
+      const started = process.hrtime.bigint();
+      let outcome = 'ok';
+      try {
+        return await fn();
+      } catch (e) {
+        outcome = 'error';
+        throw e;
+      } finally {
+        this.observe({ ...labels, outcome }, Number(process.hrtime.bigint() - started) / 1e9);
+      }
+    },
+    lines() {
+      const out = [];
+      for (const { labels, counts, sum, count } of values.values()) {
+        buckets.forEach((b, i) => out.push(`${name}_bucket${formatLabels({ ...labels, le: b })} ${counts[i]}`));
+        out.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        out.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        out.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return out;
+    },
+  });
+}
+
+/**
+ * Gauge computed at scrape time.
+ * @param {string} name
+ * @param {string} help
+ * @param {() => number | Array<{labels:object, value:number}>} collect
+ */
+export function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    lines() {
+      const v = collect();
+      const samples = Array.isArray(v) ? v : [{ labels: {}, value: v }];
+      return samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    },
+  });
+}
+
+/** All metrics in the Prometheus text exposition format. */
+export function renderMetrics() {
+  const out = [];
+  for (const m of registry.values()) {
+    out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines());
+  }
+  return `${out.join('\n')}\n`;
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/* ------------------------- backend-wide metrics ------------------------- */
+
+export const httpRequests = counter('http_requests_total', 'HTTP requests by route and status');
+export const httpDuration = histogram('http_request_duration_seconds', 'HTTP request duration by route');
+
+export const uploadBytes = counter('upload_bytes_total', 'Bytes received from customer uploads');
+export const uploadDuration = histogram(
+  'upload_duration_seconds',
+  'Upload duration from first byte to stored in Drive',
+  [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800]
+);
+
+export const driveDuration = histogram('drive_api_duration_seconds', 'Google Drive API call latency');
+export const driveErrors = counter('drive_api_errors_total', 'Failed Google Drive API calls');
+export const driveRetries = counter('drive_api_retries_total', 'Google Drive API calls retried after a retryable error');
+export const storageDuration = histogram('storage_operation_duration_seconds', 'S3 / local storage operation latency');
+
+export const checkoutSessions = counter('checkout_sessions_created_total', 'Stripe Checkout sessions created');
+export const webhookEvents = counter('stripe_webhook_events_total', 'Stripe webhook events by type and outcome');
+
+export const upstreamDuration = histogram(
+  'upstream_request_duration_seconds',
+  'Outbound call latency per integration (Make, Apps Script, VIES)'
+);
+
+gauge('process_uptime_seconds', 'Process uptime', () => process.uptime());
+gauge('process_resident_memory_bytes', 'Resident memory', () => process.memoryUsage().rss);
+
+/**
+ * Route label for a finished request: the matched route pattern, so
+ * /api/orders/ORD-1 and /api/orders/ORD-2 share one series.
+ * @param {import('express').Request} req
+ */
+export function routeLabel(req) {
+  if (req.route?.path) {
+    const { path } = req.route;
+    return req.baseUrl && path === '/' ? req.baseUrl : `${req.baseUrl || ''}${path}`;
+  }
+  return 'unmatched';
+}
+
+/**
+ * Record a finished HTTP request (hook for logger.requestContext).
+ */
+export function observeHttpRequest(req, res, seconds) {
+  const route = routeLabel(req);
+  httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  httpDuration.observe({ method: req.method, route }, seconds);
+}
@@ -0,0 +1,173 @@
+// backend/objectStorage.js
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createJsonStore } from './store.js';
+import { storageDuration } from './metrics.js';
+
+/**
+ * Drive-like storage on top of a plain object store (S3 bucket, local directory).
+ *
+ * Object stores only know keys, while the rest of the backend relies on Drive
+ * semantics: a file keeps its id when it is moved or renamed, and carries
+ * custom properties that can be queried. So every file gets a catalog record
+ * (JSON store, like the other stores in DATA_DIR):
+ *   { id, key, name, mimeType, size, parent, properties, createdTime }
+ * and its bytes live at `<parent>/<id>-<name>`, which keeps the bucket browsable
+ * (order folders look the same as in Drive) without name clashes.
+ *
+ * Folders are plain key prefixes, e.g. "orders/2025/09/ORD-1234-JOHN-ROME"; they
+ * exist implicitly as soon as a file is in them.
+ */
+
+/** Storage failure with an HTTP status for routes to surface (Drive errors are mapped to it). */
+export class StorageError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} params
+   * @param {number} params.status - HTTP status for our API (404 not found, 503 rate limited / not configured, 502 otherwise)
+   * @param {string} [params.reason] - e.g. "not_found", "rate_limited", "not_configured"
+   * @param {boolean} [params.retryable]
+   * @param {number} [params.retryAfterMs]
+   */
+  constructor(message, { status, reason, retryable = false, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+    this.reason = reason || null;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** Folder path segment that can't escape its parent or contain separators. */
+function safeSegment(value) {
+  const seg = String(value).replace(/[/\\\u0000-\u001f]/g, '_').trim();
+  if (!seg || seg === '.' || seg === '..') throw new StorageError(`Invalid folder name "${value}"`, { status: 400 });
+  return seg;
+}
+
+const objectKey = (parent, id, name) => `${parent}/${id}-${safeSegment(name)}`;
+
+/**
+ * Build a storage backend (see storage.js for the interface) over an object store.
+ * @param {object} params
+ * @param {'s3'|'local'} params.backend
+ * @param {object} params.objects - Object store adapter:
+ *   put(key, localPath, {mimeType, size}), move(fromKey, toKey), remove(key),
+ *   link(key, {fileName, mimeType}) => Promise<{url, expires_at}>, check() => Promise<object>
+ */
+export function createObjectStorage({ backend, objects }) {
+  const catalog = createJsonStore(`storage-${backend}`, () => ({ files: {} }));
+
+  /** Time an object store call (storage_operation_duration_seconds). */
+  const timed = (operation, fn) => storageDuration.time({ backend, operation }, fn);
+
+  function record(fileId) {
+    const file = catalog.read().files[fileId];
+    if (!file) throw new StorageError(`File ${fileId} not found`, { status: 404, reason: 'not_found' });
+    return file;
+  }
+
+  const publicFile = (file, webViewLink) => ({
+    id: file.id,
+    name: file.name,
+    mimeType: file.mimeType,
+    size: file.size,
+    webViewLink,
+    parents: [file.parent],
+    properties: file.properties,
+    createdTime: file.createdTime,
+  });
+
+  async function fileLink(file) {
+    return timed('link', () => objects.link(file.key, { fileName: file.name, mimeType: file.mimeType }));
+  }
+
+  return {
+    backend,
+
+    async uploadFile({ localPath, fileName, mimeType, parentId, properties = {} }) {
+      const id = crypto.randomUUID();
+      const key = objectKey(parentId, id, fileName);
+      const { size } = await fs.promises.stat(localPath);
+      await timed('put', () => objects.put(key, localPath, { mimeType, size }));
+      const file = await catalog.update((doc) => {
+        doc.files[id] = {
+          id,
+          key,
+          name: fileName,
+          mimeType,
+          size,
+          parent: parentId,
+          properties: { ...properties },
+          createdTime: new Date().toISOString(),
+        };
+        return doc.files[id];
+      });
+      const { url } = await fileLink(file);
+      return { id, name: file.name, mimeType, size, webViewLink: url };
+    },
+
+    // bytes are already local (upload session .part file), nothing to resume remotely
+    async startResumableUpload() {
+      return null;
+    },
+
+    async ensureFolderPath({ rootId, segments }) {
+      if (!rootId) throw new Error('rootId is required for ensureFolderPath');
+      return [rootId, ...segments.map(safeSegment)].join('/');
+    },
+
+    async getFolder(folderId) {
+      await timed('check', () => objects.check());
+      return { id: folderId, name: path.posix.basename(folderId), webViewLink: null };
+    },
+
+    async getFile(fileId) {
+      const file = record(fileId);
+      return publicFile(file, (await fileLink(file)).url);
+    },
+
+    async getFileLink(fileId) {
+      return fileLink(record(fileId));
+    },
+
+    async moveFile({ fileId, newParentId, name }) {
+      const file = record(fileId);
+      const newName = name || file.name;
+      const key = objectKey(newParentId, file.id, newName);
+      if (key !== file.key) await timed('move', () => objects.move(file.key, key));
+      const moved = await catalog.update((doc) => Object.assign(doc.files[fileId], { key, name: newName, parent: newParentId }));
+      return { id: moved.id, name: moved.name, parents: [moved.parent] };
+    },
+
+    async listFiles({ parentId, createdBefore, properties }) {
+      return Object.values(catalog.read().files)
+        .filter((f) => f.parent === parentId)
+        .filter((f) => !createdBefore || Date.parse(f.createdTime) < createdBefore.getTime())
+        .filter((f) => Object.entries(properties || {}).every(([k, v]) => f.properties[k] === v))
+        .map((f) => ({ id: f.id, name: f.name, size: String(f.size), createdTime: f.createdTime, properties: f.properties }));
+    },
+
+    async setFileProperties(fileId, properties) {
+      record(fileId);
+      return catalog.update((doc) => {
+        const file = doc.files[fileId];
+        for (const [k, v] of Object.entries(properties)) {
+          if (v === null) delete file.properties[k];
+          else file.properties[k] = String(v);
+        }
+        return { id: file.id, properties: file.properties };
+      });
+    },
+
+    async deleteFile(fileId) {
+      const file = record(fileId);
+      await timed('remove', () => objects.remove(file.key));
+      await catalog.update((doc) => {
+        delete doc.files[fileId];
+      });
+    },
+  };
+}
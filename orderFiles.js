@@ -0,0 +1,183 @@
+// backend/orderFiles.js
+import path from 'node:path';
+import { ensureFolderPath, getFile, getFolder, moveFile, storageFolders } from './storage.js';
+import { createJsonStore } from './store.js';
+import { getOrder } from './orders.js';
+
+/**
+ * Order folder finalization: moves staged uploads into
+ *   <root folder>/<YYYY>/<MM>/<ORDER-FOLDER>/
+ * and renames them with a consistent convention. The root is
+ * GOOGLE_DRIVE_ROOT_FOLDER_ID on Drive, "orders" on the other backends (storage.js).
+ *
+ * The folder chosen for an order is remembered, so calling finalize twice
+ * (or with more files later) reuses the same folder even across a month change.
+ */
+
+const store = createJsonStore('order-folders', () => ({ orders: {} }));
+const locks = new Map();
+
+export const ORDER_CODE_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+/** Error with an HTTP status for the route to surface. */
+export class OrderFilesError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrderFilesError';
+    this.status = status;
+  }
+}
+
+/** Upper-case, accent-free, dash-separated token for folder/file names. */
+function slug(value, max = 40) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, max)
+    .toUpperCase();
+}
+
+/**
+ * Order folder name, e.g. ORD-1234-JOHN-ROME.
+ * @param {string} orderCode
+ * @param {string[]} [labels] - Extra parts such as customer name and city
+ */
+export function orderFolderName(orderCode, labels = []) {
+  return [orderCode, ...labels.map((l) => slug(l, 30))].filter(Boolean).join('-');
+}
+
+/**
+ * Final file name: <ORDER>_item<NN>_<W>x<H>cm_<MATERIAL>[_<n>].<ext>
+ * @param {object} params
+ * @param {string} params.orderCode
+ * @param {number} params.itemIndex - 1-based
+ * @param {object} params.file - { width_cm?, height_cm?, material? }
+ * @param {string} params.ext - Including the dot
+ * @param {number} [params.seq] - >1 when an item has several files
+ */
+export function orderFileName({ orderCode, itemIndex, file, ext, seq = 1 }) {
+  const parts = [orderCode, `item${String(itemIndex).padStart(2, '0')}`];
+  if (Number(file.width_cm) > 0 && Number(file.height_cm) > 0) {
+    parts.push(`${Number(file.width_cm)}x${Number(file.height_cm)}cm`);
+  }
+  if (file.material) parts.push(slug(file.material, 30).toLowerCase());
+  if (seq > 1) parts.push(String(seq));
+  return `${parts.join('_')}${ext.toLowerCase()}`;
+}
+
+function withLock(key, fn) {
+  const prev = locks.get(key) || Promise.resolve();
+  const run = prev.then(fn, fn);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return run;
+}
+
+/** Year/month segments in Europe/Rome time. */
+function datedSegments(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: 'Europe/Rome', year: 'numeric', month: '2-digit' })
+    .formatToParts(date)
+    .reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+  return [parts.year, parts.month];
+}
+
+/**
+ * Create (or reuse) the order folder and move/rename the staged files into it.
+ * Idempotent: files already in the order folder are only renamed if needed.
+ * Only files staged for this order are accepted: an `order_code` property (set
+ * when the upload carried the order token) or a file listed on the order record
+ * (cart items at checkout). `claimed_order_code` is not trusted, so a file id
+ * can't pull someone else's upload into the order.
+ *
+ * @param {object} params
+ * @param {string} params.orderCode
+ * @param {Array<{driveFileId:string, itemIndex?:number, width_cm?:number, height_cm?:number, material?:string}>} params.files
+ * @param {string[]} [params.labels] - Extra folder name parts (customer, city)
+ * @returns {Promise<{folderId:string, webViewLink:string, path:string[], files:object[]}>}
+ */
+export async function finalizeOrderFiles({ orderCode, files, labels = [] }) {
+  const { root: rootId, staging: stagingId } = storageFolders();
+  if (!rootId) throw new OrderFilesError('GOOGLE_DRIVE_ROOT_FOLDER_ID not set', 500);
+  if (!ORDER_CODE_RE.test(orderCode)) throw new OrderFilesError('Invalid order code');
+  if (!Array.isArray(files) || !files.length || files.some((f) => !f?.driveFileId)) {
+    throw new OrderFilesError('files must be a non-empty array of { driveFileId, ... }');
+  }
+
+  return withLock(orderCode, async () => {
+    let record = store.read().orders[orderCode];
+    const listed = new Set((getOrder(orderCode)?.files || []).map((f) => f.driveFileId));
+    // check every file before moving any, so a bad id doesn't leave the order half-finalized
+    // (or an empty folder behind)
+    const metas = [];
+    for (const file of files) {
+      const meta = await getFile(file.driveFileId);
+      const parents = meta.parents || [];
+      const inOrderFolder = !!record && parents.includes(record.folderId);
+      // Only staged files (or files already finalized for this order) may be moved
+      if (!inOrderFolder && !(stagingId && parents.includes(stagingId))) {
+        throw new OrderFilesError(`File ${file.driveFileId} is not in the staging folder`, 409);
+      }
+      if (!inOrderFolder && meta.properties?.order_code !== orderCode && !listed.has(file.driveFileId)) {
+        throw new OrderFilesError(`File ${file.driveFileId} was not uploaded for order ${orderCode}`, 403);
+      }
+      metas.push({ meta, inOrderFolder });
+    }
+
+    if (!record) {
+      const segments = [...datedSegments(), orderFolderName(orderCode, labels)];
+      const folderId = await ensureFolderPath({ rootId, segments });
+      const folder = await getFolder(folderId);
+      record = await store.update((doc) => {
+        doc.orders[orderCode] = {
+          folderId,
+          path: segments,
+          webViewLink: folder.webViewLink || null,
+          created_at: new Date().toISOString(),
+          files: {},
+        };
+        return doc.orders[orderCode];
+      });
+    }
+
+    const seqByItem = {};
+    const results = [];
+    for (const [i, file] of files.entries()) {
+      const itemIndex = Number(file.itemIndex) > 0 ? Number(file.itemIndex) : i + 1;
+      seqByItem[itemIndex] = (seqByItem[itemIndex] || 0) + 1;
+      const { meta, inOrderFolder } = metas[i];
+
+      const name = orderFileName({
+        orderCode,
+        itemIndex,
+        file,
+        ext: path.extname(meta.name || ''),
+        seq: seqByItem[itemIndex],
+      });
+      if (!inOrderFolder || meta.name !== name) {
+        await moveFile({ fileId: file.driveFileId, newParentId: record.folderId, name });
+      }
+      results.push({ driveFileId: file.driveFileId, name, originalName: meta.name, moved: !inOrderFolder });
+    }
+
+    await store.update((doc) => {
+      for (const r of results) {
+        doc.orders[orderCode].files[r.driveFileId] = { name: r.name, finalized_at: new Date().toISOString() };
+      }
+    });
+
+    return { folderId: record.folderId, webViewLink: record.webViewLink, path: record.path, files: results };
+  });
+}
+
+/**
+ * Storage folder previously created for an order, if any.
+ * @param {string} orderCode
+ */
+export function getOrderFolder(orderCode) {
+  return store.read().orders[orderCode] || null;
+}
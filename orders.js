@@ -0,0 +1,369 @@
+// backend/orders.js
+import crypto from 'node:crypto';
+import { createJsonStore } from './store.js';
+
+/**
+ * Local order store: one record per order code, created at checkout time and
+ * moved through its lifecycle by the Stripe webhook, file uploads and Make.
+ *
+ *   pending_payment → paid → files_received → in_production → shipped
+ *          │   └──────────┴──────────┴──→ cancelled
+ *          └→ pending_transfer → paid   (quotes paid by bank transfer)
+ *
+ * Customers read their order with an order-specific access token returned at
+ * checkout; only a SHA-256 hash of it is stored.
+ */
+
+export const ORDER_STATUSES = [
+  'pending_payment',
+  'pending_transfer',
+  'paid',
+  'files_received',
+  'in_production',
+  'shipped',
+  'cancelled',
+];
+
+const TRANSITIONS = {
+  pending_payment: ['paid', 'pending_transfer', 'cancelled'],
+  pending_transfer: ['paid', 'cancelled'],
+  paid: ['files_received', 'in_production', 'cancelled'],
+  files_received: ['in_production', 'cancelled'],
+  in_production: ['shipped', 'cancelled'],
+  shipped: [],
+  cancelled: [],
+};
+
+const MAX_TOKENS = 5;
+
+const store = createJsonStore('orders', () => ({ orders: {} }));
+
+/** Error with an HTTP status for routes to surface. */
+export class OrderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrderError';
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/** New order code for checkouts that don't bring one, e.g. ORD-LZ3K9F-7Q2X. */
+export function generateOrderCode() {
+  const rand = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `ORD-${Date.now().toString(36).toUpperCase()}-${rand}`;
+}
+
+function pushHistory(order, status, { source, note } = {}) {
+  const at = new Date().toISOString();
+  order.history.push({ status, at, source: source || null, ...(note && { note }) });
+  order.status = status;
+  order.updated_at = at;
+}
+
+function canTransition(from, to) {
+  return TRANSITIONS[from]?.includes(to);
+}
+
+/**
+ * Read an order.
+ * @param {string} orderCode
+ * @returns {object|null}
+ */
+export function getOrder(orderCode) {
+  return store.read().orders[orderCode] || null;
+}
+
+/**
+ * Create the order at checkout, or refresh a still-unpaid one (customer retried).
+ * Returns a fresh access token; earlier tokens keep working.
+ * An existing order is only refreshed for its owner: a caller presenting one of
+ * its tokens, or the quote it was accepted from. Order codes come from the
+ * client, so anyone else gets a 409 instead of the order.
+ *
+ * @param {object} params
+ * @param {string} params.orderCode
+ * @param {string} [params.orderId] - External id (Apps Script / sheet row)
+ * @param {object} params.quote - From pricing.priceOrder
+ * @param {string} [params.customerEmail]
+ * @param {object} [params.invoice] - From invoicing.validateInvoiceDetails
+ * @param {string} [params.quoteId] - Quote the order was accepted from
+ * @param {string[]} [params.driveFileIds] - Files referenced by the cart items
+ * @param {string} [params.orderToken] - Token of the existing order, to restart its checkout
+ * @returns {Promise<{order:object, token:string}>}
+ * @throws {OrderError} 409 when the order exists and belongs to someone else, or is already past payment
+ */
+export function upsertPendingOrder({
+  orderCode,
+  orderId,
+  quote,
+  customerEmail,
+  invoice,
+  quoteId,
+  driveFileIds = [],
+  orderToken,
+}) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return store.update((doc) => {
+    const now = new Date().toISOString();
+    let order = doc.orders[orderCode];
+    if (order && !(quoteId && order.quote_id === quoteId) && !verifyOrderToken(order, orderToken)) {
+      throw new OrderError(`Order ${orderCode} already exists`, 409);
+    }
+    if (order && order.status !== 'pending_payment' && order.status !== 'cancelled') {
+      throw new OrderError(`Order ${orderCode} is already ${order.status}`, 409);
+    }
+    if (!order) {
+      order = {
+        order_code: orderCode,
+        order_id: orderId || null,
+        status: 'pending_payment',
+        created_at: now,
+        updated_at: now,
+        token_hashes: [],
+        files: [],
+        history: [],
+        stripe: {},
+      };
+      order.history.push({ status: 'pending_payment', at: now, source: 'checkout' });
+      doc.orders[orderCode] = order;
+    } else if (order.status === 'cancelled') {
+      // abandoned checkout picked up again
+      order.status = 'pending_payment';
+      order.history.push({ status: 'pending_payment', at: now, source: 'checkout', note: 'checkout restarted' });
+    }
+
+    order.order_id = orderId || order.order_id;
+    order.customer_email = customerEmail || order.customer_email || null;
+    order.currency = quote.currency;
+    order.amount_total = quote.total;
+    order.shipping = quote.shipping;
+    order.discount = quote.discount || null;
+    order.vat = quote.vat || null;
+    order.invoice = invoice || null;
+    if (quoteId) order.quote_id = quoteId;
+    order.items = quote.lines.map(({ name, description, quantity, unitAmount, amount }) => ({
+      name,
+      description,
+      quantity,
+      unit_amount: unitAmount,
+      amount,
+    }));
+    for (const id of driveFileIds) {
+      if (!order.files.some((f) => f.driveFileId === id)) {
+        order.files.push({ driveFileId: id, name: null, received_at: now });
+      }
+    }
+    order.token_hashes = [...order.token_hashes, hashToken(token)].slice(-MAX_TOKENS);
+    order.updated_at = now;
+    return { order, token };
+  });
+}
+
+/**
+ * Remember the Stripe ids of the current checkout attempt.
+ * @param {string} orderCode
+ * @param {object} ids - { checkout_session_id?, payment_intent_id? }
+ */
+export function setStripeRefs(orderCode, ids) {
+  return store.update((doc) => {
+    const order = doc.orders[orderCode];
+    if (order) Object.assign(order.stripe, ids);
+    return order || null;
+  });
+}
+
+/**
+ * Move an order to a new status if the lifecycle allows it.
+ * Repeating the current status is a no-op (webhooks/callbacks retry).
+ *
+ * @param {string} orderCode
+ * @param {string} status
+ * @param {object} [opts]
+ * @param {string} [opts.source] - 'stripe', 'upload', 'make', 'admin', ...
+ * @param {string} [opts.note]
+ * @param {object} [opts.patch] - Extra fields to merge into the order (e.g. tracking)
+ * @returns {Promise<{order:object, changed:boolean}>}
+ * @throws {OrderError} 404 unknown order, 409 invalid transition
+ */
+export function transitionOrder(orderCode, status, { source, note, patch } = {}) {
+  if (!ORDER_STATUSES.includes(status)) throw new OrderError(`Unknown status "${status}"`);
+  return store.update((doc) => {
+    const order = doc.orders[orderCode];
+    if (!order) throw new OrderError(`Unknown order ${orderCode}`, 404);
+    if (patch) Object.assign(order, patch);
+    if (order.status === status) {
+      order.updated_at = new Date().toISOString();
+      return { order, changed: false };
+    }
+    if (!canTransition(order.status, status)) {
+      throw new OrderError(`Cannot move order ${orderCode} from ${order.status} to ${status}`, 409);
+    }
+    pushHistory(order, status, { source, note });
+    return { order, changed: true };
+  });
+}
+
+/**
+ * Mark an order paid from a Stripe event (or a confirmed bank transfer).
+ * Creates a minimal record for orders that predate the store. Orders that
+ * already have files go straight on to files_received.
+ *
+ * @param {string} orderCode
+ * @param {object} params
+ * @param {string} [params.orderId]
+ * @param {object} [params.stripe] - { checkout_session_id?, payment_intent_id? }
+ * @param {number} [params.amountTotal] - cents
+ * @param {string} [params.currency]
+ * @param {string} [params.customerEmail]
+ * @param {object} [params.breakdown] - Net / VAT / shipping split charged (tax.checkoutBreakdown)
+ * @param {string} [params.source='stripe'] - History source
+ */
+export function markOrderPaid(
+  orderCode,
+  { orderId, stripe = {}, amountTotal, currency, customerEmail, breakdown, source = 'stripe' } = {}
+) {
+  return store.update((doc) => {
+    const now = new Date().toISOString();
+    let order = doc.orders[orderCode];
+    if (!order) {
+      order = {
+        order_code: orderCode,
+        order_id: orderId || null,
+        status: 'pending_payment',
+        created_at: now,
+        updated_at: now,
+        token_hashes: [],
+        files: [],
+        items: [],
+        history: [],
+        stripe: {},
+      };
+      doc.orders[orderCode] = order;
+    }
+    Object.assign(order.stripe, stripe);
+    if (amountTotal != null) order.amount_total = amountTotal;
+    if (currency) order.currency = currency;
+    if (customerEmail && !order.customer_email) order.customer_email = customerEmail;
+    if (breakdown) order.totals = breakdown;
+    order.paid_at = order.paid_at || now;
+
+    // a late payment on an expired checkout still counts
+    if (['pending_payment', 'pending_transfer', 'cancelled'].includes(order.status)) {
+      pushHistory(order, 'paid', { source });
+      if (order.files.length) pushHistory(order, 'files_received', { source });
+    }
+    return order;
+  });
+}
+
+/**
+ * Find the order paid with a given PaymentIntent (refund / dispute webhooks
+ * only carry Stripe ids).
+ * @param {string} paymentIntentId
+ * @returns {object|null}
+ */
+export function findOrderByPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  return Object.values(store.read().orders).find((o) => o.stripe?.payment_intent_id === paymentIntentId) || null;
+}
+
+/**
+ * Find the order that lists a file: cart items at checkout, or an upload that
+ * carried the order token. Used instead of the file's own claims, which anyone can set.
+ * @param {string} driveFileId
+ * @returns {object|null}
+ */
+export function findOrderByFile(driveFileId) {
+  if (!driveFileId) return null;
+  return Object.values(store.read().orders).find((o) => o.files.some((f) => f.driveFileId === driveFileId)) || null;
+}
+
+/**
+ * Log a refund issued from the admin API. `refunded_amount` (cents) is bumped
+ * right away; the charge.refunded webhook later sets Stripe's authoritative total.
+ * @param {string} orderCode
+ * @param {{id:string, amount:number, status:string, reason?:string, note?:string}} refund
+ */
+export function recordRefund(orderCode, refund) {
+  return store.update((doc) => {
+    const order = doc.orders[orderCode];
+    if (!order) return null;
+    order.refunds ||= [];
+    if (!order.refunds.some((r) => r.id === refund.id)) {
+      order.refunds.push({ ...refund, created_at: new Date().toISOString() });
+    }
+    const logged = order.refunds.reduce((sum, r) => sum + r.amount, 0);
+    order.refunded_amount = Math.max(order.refunded_amount || 0, logged);
+    order.updated_at = new Date().toISOString();
+    return order;
+  });
+}
+
+/**
+ * Merge payment-side facts reported by Stripe (refunded total, disputes) into an order.
+ * @param {string} orderCode
+ * @param {object} fields - e.g. { refunded_amount } or { dispute: {...} }
+ */
+export function updateOrderPayment(orderCode, fields) {
+  return store.update((doc) => {
+    const order = doc.orders[orderCode];
+    if (!order) return null;
+    Object.assign(order, fields, { updated_at: new Date().toISOString() });
+    return order;
+  });
+}
+
+/**
+ * Record an uploaded file against an order (no-op for unknown orders).
+ * A paid order moves to files_received with its first file.
+ * @param {string} orderCode
+ * @param {{driveFileId:string, name:string}} file
+ */
+export function attachOrderFile(orderCode, { driveFileId, name }) {
+  return store.update((doc) => {
+    const order = doc.orders[orderCode];
+    if (!order) return null;
+    const now = new Date().toISOString();
+    const existing = order.files.find((f) => f.driveFileId === driveFileId);
+    if (existing) Object.assign(existing, { name: name || existing.name });
+    else order.files.push({ driveFileId, name: name || null, received_at: now });
+    if (order.status === 'paid') pushHistory(order, 'files_received', { source: 'upload' });
+    order.updated_at = now;
+    return order;
+  });
+}
+
+/**
+ * Check a customer access token.
+ * @param {object} order
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function verifyOrderToken(order, token) {
+  if (!order || !token) return false;
+  const given = Buffer.from(hashToken(token), 'hex');
+  return order.token_hashes.some((h) => crypto.timingSafeEqual(Buffer.from(h, 'hex'), given));
+}
+
+/**
+ * What a customer may see about their order.
+ * @param {object} order
+ */
+export function publicOrderView(order) {
+  return {
+    order_code: order.order_code,
+    status: order.status,
+    created_at: order.created_at,
+    updated_at: order.updated_at,
+    paid_at: order.paid_at || null,
+    currency: order.currency || null,
+    amount_total: order.amount_total != null ? order.amount_total / 100 : null,
+    items: (order.items || []).map(({ name, description, quantity }) => ({ name, description, quantity })),
+    files: order.files.map(({ name, received_at }) => ({ name, received_at })),
+    tracking: order.tracking || null,
+    refunded_amount: order.refunded_amount ? order.refunded_amount / 100 : 0,
+    history: order.history.map(({ status, at }) => ({ status, at })),
+  };
+}
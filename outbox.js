@@ -0,0 +1,340 @@
+// backend/outbox.js
+import crypto from 'node:crypto';
+import { REQUEST_ID_HEADER, createLogger, currentRequestId, withRequestId } from './logger.js';
+import { gauge, upstreamDuration } from './metrics.js';
+import { SIGNATURE_HEADER, signPayload, signingSecrets } from './signing.js';
+import { createJsonStore } from './store.js';
+import { config } from './config.js';
+
+/**
+ * Durable outbound delivery queue for Apps Script and Make.
+ *
+ * Every payload is persisted before it is sent. Failed deliveries are retried
+ * with exponential backoff + jitter by a background worker; after
+ * OUTBOX_MAX_ATTEMPTS attempts (or on a permanent 4xx) the message is
+ * dead-lettered and kept for inspection / manual retry.
+ *
+ * Message shape:
+ *   { id, target, body, headers, request_id, dedupe_key, status: 'pending'|'delivered'|'dead',
+ *     attempts, created_at, next_attempt_at, delivered_at, last_status, last_error }
+ *
+ * `dedupe_key` makes enqueue() idempotent: a second message with the same key is
+ * not queued, so a handler that runs again (Stripe retry) can't send twice.
+ *
+ * `request_id` is the id of the request that enqueued the message; every attempt
+ * sends it as X-Request-Id so the receiving side can be correlated with our logs.
+ *
+ * Each attempt is signed (signing.js) right before it is sent, so retries carry
+ * a fresh timestamp. Apps Script web apps can't read request headers, so for
+ * them the signature also goes in the query string (?t=...&signature=...&request_id=...).
+ */
+
+/** Known integrations. URLs are resolved at send time so a config change applies to already queued messages. */
+const TARGETS = {
+  apps_script: {
+    url: () => config.APPS_SCRIPT_URL,
+    timeoutMs: config.APPS_SCRIPT_TIMEOUT_MS,
+    signer: 'apps_script',
+    signatureInQuery: true,
+  },
+  make_order_created: {
+    url: () => config.MAKE_ORDER_CREATED_WEBHOOK_URL,
+    timeoutMs: config.MAKE_TIMEOUT_MS,
+    signer: 'make',
+  },
+};
+
+const MAX_ATTEMPTS = config.OUTBOX_MAX_ATTEMPTS;
+const BASE_DELAY_MS = config.OUTBOX_BASE_DELAY_MS;
+const MAX_DELAY_MS = config.OUTBOX_MAX_DELAY_MS;
+const POLL_MS = config.OUTBOX_POLL_MS;
+const KEEP_DELIVERED = 500;
+
+const log = createLogger('outbox');
+const store = createJsonStore('outbox', () => ({ messages: {} }));
+const inFlight = new Set();
+let timer = null;
+
+/**
+ * Resolve the URL for a target.
+ * @param {string} target
+ * @returns {string} empty string when the integration is not configured
+ */
+export function targetUrl(target) {
+  const def = TARGETS[target];
+  if (!def) throw new Error(`Unknown outbox target "${target}"`);
+  return def.url() || '';
+}
+
+function backoffMs(attempts) {
+  const exp = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+  // "equal jitter": half fixed, half random, so retries from a burst spread out
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+async function parseSmart(resp) {
+  const ct = resp.headers.get('content-type') || '';
+  const isJSON = ct.includes('application/json');
+  try {
+    return { isJSON, body: isJSON ? await resp.json() : await resp.text() };
+  } catch {
+    return { isJSON, body: null };
+  }
+}
+
+/**
+ * Single HTTP attempt. Never throws.
+ * @returns {Promise<{ok:boolean, retryable:boolean, status:number|null, isJSON?:boolean, body?:any, error?:string}>}
+ */
+async function send(msg) {
+  const { timeoutMs, signer, signatureInQuery } = TARGETS[msg.target];
+  let url = targetUrl(msg.target);
+  if (!url) return { ok: false, retryable: true, status: null, error: `${msg.target} URL not configured` };
+
+  const payload = JSON.stringify(msg.body);
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json', ...msg.headers };
+  const query = {};
+  if (msg.request_id) {
+    headers[REQUEST_ID_HEADER] = msg.request_id;
+    query.request_id = msg.request_id;
+  }
+  const [secret] = signingSecrets(signer);
+  if (secret) {
+    const signed = signPayload(secret, payload);
+    headers[SIGNATURE_HEADER] = signed.header;
+    Object.assign(query, { t: String(signed.timestamp), signature: signed.signature });
+  }
+  if (signatureInQuery && Object.keys(query).length) {
+    const u = new URL(url);
+    for (const [k, v] of Object.entries(query)) u.searchParams.set(k, v);
+    url = u.toString();
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const started = process.hrtime.bigint();
+  const observe = (outcome) =>
+    upstreamDuration.observe({ target: msg.target, outcome }, Number(process.hrtime.bigint() - started) / 1e9);
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: payload,
+      signal: controller.signal,
+    });
+  } catch (e) {
+    const error = e?.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : e?.message || String(e);
+    observe(e?.name === 'AbortError' ? 'timeout' : 'network_error');
+    return { ok: false, retryable: true, status: null, error };
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  const { isJSON, body } = await parseSmart(resp);
+  if (resp.ok && !(isJSON && body && body.ok === false)) {
+    observe('ok');
+    return { ok: true, retryable: false, status: resp.status, isJSON, body };
+  }
+  observe(resp.ok ? 'rejected' : `http_${Math.floor(resp.status / 100)}xx`);
+
+  // 408/429/5xx are transient; other 4xx and logical errors ({ ok:false }) won't fix themselves
+  const retryable = resp.status === 408 || resp.status === 429 || resp.status >= 500;
+  const snippet = isJSON ? JSON.stringify(body).slice(0, 300) : String(body || '').slice(0, 300);
+  const error = resp.ok
+    ? `logical error: ${body.error || snippet}`
+    : `HTTP ${resp.status}: ${snippet}`;
+  return { ok: false, retryable, status: resp.status, isJSON, body, error };
+}
+
+async function attempt(id) {
+  if (inFlight.has(id)) return null;
+  const msg = store.read().messages[id];
+  if (!msg || msg.status !== 'pending') return null;
+  // background retries log under the request that queued the message
+  if (msg.request_id && currentRequestId() !== msg.request_id) {
+    return withRequestId(msg.request_id, () => attempt(id));
+  }
+
+  inFlight.add(id);
+  try {
+    const result = await send(msg);
+    await store.update((doc) => {
+      const m = doc.messages[id];
+      if (!m) return;
+      m.attempts += 1;
+      m.last_attempt_at = new Date().toISOString();
+      m.last_status = result.status;
+      if (result.ok) {
+        m.status = 'delivered';
+        m.delivered_at = m.last_attempt_at;
+        m.last_error = null;
+        return;
+      }
+      m.last_error = result.error;
+      if (!result.retryable || m.attempts >= MAX_ATTEMPTS) {
+        m.status = 'dead';
+        log.error('message dead-lettered', {
+          target: m.target,
+          message_id: id,
+          attempts: m.attempts,
+          status: result.status,
+          error: result.error,
+        });
+      } else {
+        m.next_attempt_at = new Date(Date.now() + backoffMs(m.attempts)).toISOString();
+        log.warn('delivery attempt failed', {
+          target: m.target,
+          message_id: id,
+          attempts: m.attempts,
+          status: result.status,
+          error: result.error,
+        });
+      }
+    });
+    return result;
+  } finally {
+    inFlight.delete(id);
+  }
+}
+
+/**
+ * Persist a message and (optionally) try to deliver it right away.
+ * @param {object} params
+ * @param {string} params.target - Key of TARGETS
+ * @param {object} params.body - JSON payload
+ * @param {object} [params.headers] - Extra request headers
+ * @param {string} [params.dedupeKey] - Queue at most one message per key, e.g. "payment_succeeded:<payment id>"
+ * @param {object} [opts]
+ * @param {boolean} [opts.attemptNow=false] - Wait for a first delivery attempt
+ * @returns {Promise<{id:string, status:string, result:object|null, duplicate?:boolean}>}
+ *   result is the first attempt outcome when attemptNow is set; duplicate is set
+ *   (and nothing queued) when a message with the same dedupeKey already exists.
+ */
+export async function enqueue({ target, body, headers = {}, dedupeKey }, { attemptNow = false } = {}) {
+  if (!TARGETS[target]) throw new Error(`Unknown outbox target "${target}"`);
+  const now = new Date().toISOString();
+  const msg = {
+    id: crypto.randomUUID(),
+    target,
+    body,
+    headers,
+    request_id: currentRequestId() || null,
+    dedupe_key: dedupeKey || null,
+    status: 'pending',
+    attempts: 0,
+    created_at: now,
+    next_attempt_at: now,
+    delivered_at: null,
+    last_status: null,
+    last_error: null,
+  };
+  const existing = await store.update((doc) => {
+    const found = dedupeKey && Object.values(doc.messages).find((m) => m.dedupe_key === dedupeKey);
+    if (found) return found;
+    doc.messages[msg.id] = msg;
+    return null;
+  });
+  if (existing) {
+    log.info('duplicate message not queued', { target, dedupe_key: dedupeKey, message_id: existing.id });
+    return { id: existing.id, status: existing.status, result: null, duplicate: true };
+  }
+
+  if (!attemptNow) {
+    setImmediate(() => attempt(msg.id).catch((e) => log.error('attempt error', { message_id: msg.id, err: e })));
+    return { id: msg.id, status: 'pending', result: null };
+  }
+  const result = await attempt(msg.id);
+  return { id: msg.id, status: store.read().messages[msg.id]?.status || 'pending', result };
+}
+
+async function tick() {
+  const now = new Date().toISOString();
+  const due = Object.values(store.read().messages)
+    .filter((m) => m.status === 'pending' && m.next_attempt_at <= now && !inFlight.has(m.id))
+    .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at));
+
+  for (const m of due) {
+    await attempt(m.id);
+  }
+
+  // Trim delivered history so the file doesn't grow forever
+  const delivered = Object.values(store.read().messages).filter((m) => m.status === 'delivered');
+  if (delivered.length > KEEP_DELIVERED) {
+    const drop = delivered
+      .sort((a, b) => a.delivered_at.localeCompare(b.delivered_at))
+      .slice(0, delivered.length - KEEP_DELIVERED);
+    await store.update((doc) => drop.forEach((m) => delete doc.messages[m.id]));
+  }
+}
+
+/** Start the background retry worker (idempotent). */
+export function startOutboxWorker() {
+  if (timer) return;
+  const loop = async () => {
+    try {
+      await tick();
+    } catch (e) {
+      log.error('worker error', { err: e });
+    }
+    timer = setTimeout(loop, POLL_MS);
+    timer.unref();
+  };
+  timer = setTimeout(loop, 0);
+  timer.unref();
+}
+
+/**
+ * Queue depth and failure counters (for /api/health).
+ */
+export function outboxStats() {
+  const stats = { pending: 0, retrying: 0, dead: 0, delivered: 0, oldest_pending_at: null, by_target: {} };
+  for (const m of Object.values(store.read().messages)) {
+    stats[m.status] += 1;
+    if (m.status === 'pending') {
+      if (m.attempts > 0) stats.retrying += 1;
+      if (!stats.oldest_pending_at || m.created_at < stats.oldest_pending_at) {
+        stats.oldest_pending_at = m.created_at;
+      }
+    }
+    const t = (stats.by_target[m.target] ||= { pending: 0, dead: 0 });
+    if (m.status === 'pending' || m.status === 'dead') t[m.status] += 1;
+  }
+  return stats;
+}
+
+gauge('outbox_messages', 'Outbox messages by status', () => {
+  const stats = outboxStats();
+  return ['pending', 'retrying', 'dead', 'delivered'].map((status) => ({ labels: { status }, value: stats[status] }));
+});
+
+/**
+ * List messages, newest first.
+ * @param {object} [filter]
+ * @param {string} [filter.status]
+ * @param {number} [filter.limit=50]
+ */
+export function listMessages({ status, limit = 50 } = {}) {
+  return Object.values(store.read().messages)
+    .filter((m) => !status || m.status === status)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit);
+}
+
+/**
+ * Put a dead-lettered message back in the queue with a fresh attempt budget.
+ * @param {string} id
+ * @returns {Promise<object|null>} the message, or null if unknown
+ */
+export async function retryMessage(id) {
+  const msg = await store.update((doc) => {
+    const m = doc.messages[id];
+    if (!m || m.status === 'delivered') return m || null;
+    m.status = 'pending';
+    m.attempts = 0;
+    m.next_attempt_at = new Date().toISOString();
+    return m;
+  });
+  if (msg?.status === 'pending') await attempt(id);
+  return store.read().messages[id] || null;
+}
@@ -0,0 +1,401 @@
+// backend/preflight.js
+import fs from 'node:fs';
+import { PDFDocument, PDFDict, PDFName, PDFArray, PDFRef } from 'pdf-lib';
+import { config } from './config.js';
+
+/**
+ * Print-file preflight: inspects uploaded artwork and reports what a prepress
+ * operator would check by hand (pixel size, resolution, color space, PDF page
+ * boxes and fonts), with warnings against the ordered product size.
+ *
+ * Raster formats are read from their headers only (no full decode), so this is
+ * cheap even for very large TIFFs. PDFs are parsed with pdf-lib and therefore
+ * loaded in memory, where the parsed object graph takes a multiple of the file
+ * size; files above PREFLIGHT_MAX_PDF_MB (default 50) are skipped rather than
+ * risk running the process out of memory with a few uploads in parallel.
+ */
+
+const MIN_DPI = config.PREFLIGHT_MIN_DPI;
+const MAX_PDF_MB = config.PREFLIGHT_MAX_PDF_MB;
+const PT_TO_MM = 25.4 / 72;
+
+/* ----------------------------- low-level readers ----------------------------- */
+
+async function readAt(fh, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await fh.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+/** Detect the container format from the first bytes. */
+function sniff(head) {
+  if (head.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (head.readUInt32BE(0) === 0x89504e47) return 'png';
+  if (head[0] === 0xff && head[1] === 0xd8) return 'jpeg';
+  const bo = head.subarray(0, 4).toString('latin1');
+  if (bo === 'II*\0' || bo === 'MM\0*') return 'tiff';
+  return null;
+}
+
+/* ----------------------------------- PNG ----------------------------------- */
+
+const PNG_COLOR = { 0: 'Gray', 2: 'RGB', 3: 'Indexed', 4: 'Gray', 6: 'RGB' };
+
+async function inspectPng(fh) {
+  const ihdr = await readAt(fh, 8, 25);
+  const info = {
+    pages: 1,
+    width_px: ihdr.readUInt32BE(8),
+    height_px: ihdr.readUInt32BE(12),
+    color_space: PNG_COLOR[ihdr[17]] || null,
+    dpi: null,
+  };
+
+  // Walk chunks until image data looking for pHYs (pixels per metre)
+  let pos = 8;
+  for (let i = 0; i < 1000; i++) {
+    const hdr = await readAt(fh, pos, 8);
+    if (hdr.length < 8) break;
+    const len = hdr.readUInt32BE(0);
+    const type = hdr.subarray(4, 8).toString('latin1');
+    if (type === 'IDAT' || type === 'IEND') break;
+    if (type === 'pHYs') {
+      const d = await readAt(fh, pos + 8, 9);
+      if (d[8] === 1) {
+        info.dpi = { x: round(d.readUInt32BE(0) * 0.0254), y: round(d.readUInt32BE(4) * 0.0254) };
+      }
+    }
+    pos += 12 + len;
+  }
+  return info;
+}
+
+/* ----------------------------------- TIFF ---------------------------------- */
+
+const TIFF_PHOTOMETRIC = { 0: 'Gray', 1: 'Gray', 2: 'RGB', 3: 'Indexed', 5: 'CMYK', 6: 'YCbCr', 8: 'Lab' };
+const TIFF_TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Parse TIFF IFDs. Works on a file handle or (for EXIF) an in-memory buffer.
+ * @param {(pos:number, len:number) => Promise<Buffer>} read
+ * @param {number} [maxIfds=1000]
+ */
+async function parseTiff(read, maxIfds = 1000) {
+  const head = await read(0, 8);
+  const le = head.subarray(0, 2).toString('latin1') === 'II';
+  const u16 = (b, o) => (le ? b.readUInt16LE(o) : b.readUInt16BE(o));
+  const u32 = (b, o) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o));
+
+  const ifds = [];
+  let offset = u32(head, 4);
+  const seen = new Set();
+  while (offset && !seen.has(offset) && ifds.length < maxIfds) {
+    seen.add(offset);
+    const countBuf = await read(offset, 2);
+    if (countBuf.length < 2) break;
+    const count = u16(countBuf, 0);
+    const entries = await read(offset + 2, count * 12 + 4);
+    const tags = {};
+
+    for (let i = 0; i < count; i++) {
+      const e = entries.subarray(i * 12, i * 12 + 12);
+      if (e.length < 12) break;
+      const tag = u16(e, 0);
+      const type = u16(e, 2);
+      const n = u32(e, 4);
+      const size = (TIFF_TYPE_SIZE[type] || 1) * n;
+      const data = size <= 4 ? e.subarray(8, 12) : await read(u32(e, 8), Math.min(size, 64));
+      if (type === 3) tags[tag] = u16(data, 0);
+      else if (type === 4) tags[tag] = u32(data, 0);
+      else if (type === 5) tags[tag] = u32(data, 4) ? u32(data, 0) / u32(data, 4) : 0;
+    }
+    ifds.push(tags);
+    offset = entries.length >= count * 12 + 4 ? u32(entries, count * 12) : 0;
+  }
+  return ifds;
+}
+
+function resolutionFromTiffTags(tags) {
+  if (!tags[282] || !tags[283]) return null;
+  const unit = tags[296] ?? 2; // 1 none, 2 inch, 3 cm
+  if (unit === 1) return null;
+  const f = unit === 3 ? 2.54 : 1;
+  return { x: round(tags[282] * f), y: round(tags[283] * f) };
+}
+
+async function inspectTiff(fh) {
+  const ifds = await parseTiff((pos, len) => readAt(fh, pos, len));
+  const first = ifds[0] || {};
+  return {
+    pages: ifds.length,
+    width_px: first[256] ?? null,
+    height_px: first[257] ?? null,
+    color_space: TIFF_PHOTOMETRIC[first[262]] || (first[277] === 4 ? 'CMYK' : null),
+    dpi: resolutionFromTiffTags(first),
+  };
+}
+
+/* ----------------------------------- JPEG ---------------------------------- */
+
+const JPEG_SOF = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+async function inspectJpeg(fh) {
+  const info = { pages: 1, width_px: null, height_px: null, color_space: null, dpi: null };
+  let pos = 2;
+
+  for (let i = 0; i < 500; i++) {
+    const m = await readAt(fh, pos, 4);
+    if (m.length < 4 || m[0] !== 0xff) break;
+    const marker = m[1];
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      pos += 2;
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) break; // start of scan / end of image
+    const len = m.readUInt16BE(2);
+    const seg = marker >= 0xe0 && marker <= 0xef ? await readAt(fh, pos + 4, Math.min(len - 2, 65533)) : null;
+
+    if (marker === 0xe0 && seg?.subarray(0, 5).toString('latin1') === 'JFIF\0' && !info.dpi) {
+      const unit = seg[7];
+      const x = seg.readUInt16BE(8);
+      const y = seg.readUInt16BE(10);
+      if (unit === 1) info.dpi = { x, y };
+      if (unit === 2) info.dpi = { x: round(x * 2.54), y: round(y * 2.54) };
+    } else if (marker === 0xe1 && seg?.subarray(0, 6).toString('latin1') === 'Exif\0\0') {
+      const tiff = seg.subarray(6);
+      const [tags] = await parseTiff(async (p, l) => tiff.subarray(p, p + l), 1);
+      const dpi = tags && resolutionFromTiffTags(tags);
+      if (dpi) info.dpi = dpi; // EXIF wins over JFIF when both are present
+    } else if (JPEG_SOF.has(marker)) {
+      const sof = await readAt(fh, pos + 4, 6);
+      info.height_px = sof.readUInt16BE(1);
+      info.width_px = sof.readUInt16BE(3);
+      const components = sof[5];
+      // 4 components is CMYK (or YCCK when flagged by an Adobe segment, still CMYK ink)
+      info.color_space = components === 1 ? 'Gray' : components === 4 ? 'CMYK' : 'RGB';
+    }
+    pos += 2 + len;
+  }
+  return info;
+}
+
+/* ------------------------------------ PDF ---------------------------------- */
+
+function boxMm(box) {
+  return { width_mm: round(box.width * PT_TO_MM, 1), height_mm: round(box.height * PT_TO_MM, 1) };
+}
+
+/** Collect fonts from a resources dict, following Form XObjects (bounded depth). */
+function collectFonts(ctx, resources, fonts, seen, depth = 0) {
+  if (!(resources instanceof PDFDict) || depth > 5) return;
+
+  const fontDict = resources.lookupMaybe(PDFName.of('Font'), PDFDict);
+  for (const [, ref] of fontDict?.entries() || []) {
+    const key = ref instanceof PDFRef ? ref.toString() : null;
+    if (key && seen.has(key)) continue;
+    if (key) seen.add(key);
+    const font = ctx.lookup(ref);
+    if (!(font instanceof PDFDict)) continue;
+
+    const subtype = font.get(PDFName.of('Subtype'))?.toString();
+    const name = (font.get(PDFName.of('BaseFont'))?.toString() || '/Unnamed').slice(1);
+    let descriptorOwner = font;
+    if (subtype === '/Type0') {
+      const desc = font.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray);
+      descriptorOwner = desc ? desc.lookup(0, PDFDict) : font;
+    }
+    const descriptor = descriptorOwner.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+    const embedded =
+      subtype === '/Type3' ||
+      (!!descriptor && ['FontFile', 'FontFile2', 'FontFile3'].some((k) => descriptor.has(PDFName.of(k))));
+    fonts.set(name, { name, type: subtype?.slice(1) || null, embedded });
+  }
+
+  const xobjects = resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+  for (const [, ref] of xobjects?.entries() || []) {
+    const key = ref instanceof PDFRef ? ref.toString() : null;
+    if (key && seen.has(key)) continue;
+    if (key) seen.add(key);
+    const xobj = ctx.lookup(ref);
+    const dict = xobj?.dict;
+    if (dict?.get(PDFName.of('Subtype'))?.toString() !== '/Form') continue;
+    collectFonts(ctx, dict.lookupMaybe(PDFName.of('Resources'), PDFDict), fonts, seen, depth + 1);
+  }
+}
+
+async function inspectPdf(localPath, size) {
+  if (size > MAX_PDF_MB * 1024 * 1024) {
+    return { skipped: `PDF larger than ${MAX_PDF_MB} MB, not inspected` };
+  }
+  const doc = await PDFDocument.load(await fs.promises.readFile(localPath), {
+    ignoreEncryption: true,
+    updateMetadata: false,
+  });
+
+  const pages = doc.getPages();
+  const fonts = new Map();
+  const seen = new Set();
+  const page_boxes = pages.slice(0, 50).map((page, i) => {
+    collectFonts(doc.context, page.node.Resources(), fonts, seen);
+    return {
+      page: i + 1,
+      media_box: boxMm(page.getMediaBox()),
+      trim_box: boxMm(page.getTrimBox()),
+      bleed_box: boxMm(page.getBleedBox()),
+    };
+  });
+
+  return {
+    pages: pages.length,
+    page_boxes,
+    fonts: [...fonts.values()],
+  };
+}
+
+/* ---------------------------------- report --------------------------------- */
+
+function round(n, digits = 0) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+const relDiff = (a, b) => Math.abs(a - b) / Math.max(a, b);
+
+function rasterWarnings(info, ordered, warnings) {
+  if (!info.width_px || !info.height_px) return;
+
+  if (ordered) {
+    const dpiX = info.width_px / (ordered.width_cm / 2.54);
+    const dpiY = info.height_px / (ordered.height_cm / 2.54);
+    info.effective_dpi = round(Math.min(dpiX, dpiY));
+    if (relDiff(info.width_px / info.height_px, ordered.width_cm / ordered.height_cm) > 0.02) {
+      warnings.push({
+        code: 'ASPECT_MISMATCH',
+        message: `Image proportions (${info.width_px}x${info.height_px} px) don't match the ordered ${ordered.width_cm}x${ordered.height_cm} cm`,
+      });
+    }
+  } else if (info.dpi) {
+    info.effective_dpi = Math.min(info.dpi.x, info.dpi.y);
+  }
+
+  if (info.effective_dpi != null && info.effective_dpi < MIN_DPI) {
+    warnings.push({
+      code: 'LOW_DPI',
+      message: `Effective resolution ${info.effective_dpi} dpi is below the recommended ${MIN_DPI} dpi`,
+    });
+  }
+  if (info.effective_dpi == null) {
+    warnings.push({ code: 'NO_DPI_INFO', message: 'No resolution metadata and no ordered size to compare against' });
+  }
+}
+
+function pdfWarnings(info, ordered, warnings) {
+  const missing = (info.fonts || []).filter((f) => !f.embedded);
+  if (missing.length) {
+    warnings.push({
+      code: 'FONTS_NOT_EMBEDDED',
+      message: `Fonts not embedded: ${missing.map((f) => f.name).join(', ')}`,
+    });
+  }
+  if (info.pages > 1) {
+    warnings.push({ code: 'MULTI_PAGE', message: `PDF has ${info.pages} pages; only one design per item is expected` });
+  }
+
+  const box = info.page_boxes?.[0]?.trim_box;
+  if (!box || !ordered) return;
+  const w = ordered.width_cm * 10;
+  const h = ordered.height_cm * 10;
+  // accept either orientation, with 2 mm / 1% tolerance
+  const fits = (bw, bh) => Math.abs(bw - w) <= Math.max(2, w * 0.01) && Math.abs(bh - h) <= Math.max(2, h * 0.01);
+  if (fits(box.width_mm, box.height_mm) || fits(box.height_mm, box.width_mm)) return;
+
+  const sameAspect =
+    relDiff(box.width_mm / box.height_mm, w / h) <= 0.02 || relDiff(box.height_mm / box.width_mm, w / h) <= 0.02;
+  warnings.push(
+    sameAspect
+      ? {
+          code: 'SCALED_ARTWORK',
+          message: `Page is ${box.width_mm}x${box.height_mm} mm for an ordered ${w}x${h} mm: artwork appears to be scaled, please confirm`,
+        }
+      : {
+          code: 'SIZE_MISMATCH',
+          message: `Page is ${box.width_mm}x${box.height_mm} mm but the ordered size is ${w}x${h} mm`,
+        }
+  );
+}
+
+/**
+ * Inspect a print file and produce a preflight report.
+ * Never throws for unreadable/unsupported files: the report says so instead.
+ *
+ * @param {string} localPath
+ * @param {object} [ordered] - Ordered product size, if known
+ * @param {number} [ordered.width_cm]
+ * @param {number} [ordered.height_cm]
+ * @returns {Promise<{status:'ok'|'warning'|'skipped', format:string|null, warnings:{code:string,message:string}[]} & object>}
+ */
+export async function preflightFile(localPath, ordered) {
+  const validOrdered = ordered && ordered.width_cm > 0 && ordered.height_cm > 0 ? ordered : null;
+  const warnings = [];
+  let format = null;
+  let info = {};
+
+  const fh = await fs.promises.open(localPath, 'r');
+  try {
+    const { size } = await fh.stat();
+    format = sniff(await readAt(fh, 0, 8));
+
+    try {
+      if (format === 'png') info = await inspectPng(fh);
+      else if (format === 'jpeg') info = await inspectJpeg(fh);
+      else if (format === 'tiff') info = await inspectTiff(fh);
+      else if (format === 'pdf') info = await inspectPdf(localPath, size);
+      else info = { skipped: 'Format not inspected (only PDF, TIFF, PNG and JPEG are)' };
+    } catch (e) {
+      warnings.push({ code: 'UNREADABLE', message: `Could not parse file: ${e?.message || e}` });
+    }
+  } finally {
+    await fh.close();
+  }
+
+  if (!info.skipped) {
+    if (format === 'pdf') pdfWarnings(info, validOrdered, warnings);
+    else if (format) rasterWarnings(info, validOrdered, warnings);
+
+    if (info.color_space === 'RGB') {
+      warnings.push({ code: 'RGB_COLOR', message: 'RGB color space: colors will be converted to CMYK for print' });
+    }
+  }
+
+  return {
+    status: info.skipped ? 'skipped' : warnings.length ? 'warning' : 'ok',
+    format,
+    ordered_size_cm: validOrdered ? { width: validOrdered.width_cm, height: validOrdered.height_cm } : null,
+    ...info,
+    warnings,
+  };
+}
+
+/**
+ * Flatten a report into Drive file `properties` (string values, 124-byte key+value limit).
+ * @param {object} report - From preflightFile
+ * @returns {Record<string,string>}
+ */
+export function preflightProperties(report) {
+  const props = {
+    preflight_status: report.status,
+    preflight_format: report.format || 'unknown',
+  };
+  if (report.pages != null) props.preflight_pages = String(report.pages);
+  if (report.width_px) props.preflight_pixels = `${report.width_px}x${report.height_px}`;
+  if (report.dpi) props.preflight_dpi = `${report.dpi.x}x${report.dpi.y}`;
+  if (report.effective_dpi != null) props.preflight_effective_dpi = String(report.effective_dpi);
+  if (report.color_space) props.preflight_color_space = report.color_space;
+  const box = report.page_boxes?.[0]?.trim_box;
+  if (box) props.preflight_trim_mm = `${box.width_mm}x${box.height_mm}`;
+  if (report.fonts) props.preflight_fonts_missing = String(report.fonts.filter((f) => !f.embedded).length);
+  if (report.warnings.length) {
+    props.preflight_warnings = report.warnings.map((w) => w.code).join(',').slice(0, 100);
+  }
+  return props;
+}
@@ -0,0 +1,311 @@
+// backend/pricing.js
+import fs from 'node:fs';
+import { config } from './config.js';
+
+/**
+ * Server-side price catalog (EUR net of VAT, prices as shown on printora.it).
+ * The client never decides what an order costs: every cart item is re-priced
+ * from this catalog at checkout time. VAT is added on top by tax.js.
+ *
+ * Set PRICING_CATALOG_PATH to a JSON file with the same shape to override it
+ * without a redeploy of the code.
+ *
+ * Option pricing modes:
+ *  - 'piece'     : flat amount per printed piece
+ *  - 'sqm'       : amount per square metre of the piece
+ *  - 'perimeter' : amount per linear metre of the piece perimeter
+ *
+ * Shipping is priced from the parcel: every material has a weight (kgPerSqm or
+ * kgPerPiece) and every item a package length (the longest side, the shortest
+ * one for `rollable` products, or a fixed `packageCm` for pieces). Each rate has
+ * a base price covering `includedKg`, a per-kg price above that, a surcharge for
+ * parcels from `oversizeFromCm` and an optional `maxPackageCm` above which the
+ * rate is not offered.
+ */
+const DEFAULT_CATALOG = {
+  currency: 'eur',
+  products: {
+    banner: {
+      name: 'Banner PVC',
+      unit: 'sqm',
+      rollable: true,
+      minAreaSqm: 1,
+      maxWidthCm: 500,
+      maxHeightCm: 500,
+      materials: {
+        pvc_440: { name: 'PVC 440g', pricePerSqm: 12, kgPerSqm: 0.44 },
+        pvc_510: { name: 'PVC 510g', pricePerSqm: 15, kgPerSqm: 0.51 },
+        mesh: { name: 'PVC Mesh microforato', pricePerSqm: 16, kgPerSqm: 0.37 },
+      },
+      options: {
+        eyelets: { name: 'Occhielli', mode: 'perimeter', price: 1.5 },
+        hem: { name: 'Orlatura perimetrale', mode: 'perimeter', price: 1 },
+        pole_pockets: { name: 'Asole per pali', mode: 'piece', price: 8 },
+      },
+    },
+    rigid_panel: {
+      name: 'Pannello rigido',
+      unit: 'sqm',
+      minAreaSqm: 0.25,
+      maxWidthCm: 300,
+      maxHeightCm: 150,
+      materials: {
+        forex_3mm: { name: 'Forex 3mm', pricePerSqm: 28, kgPerSqm: 1.5 },
+        forex_5mm: { name: 'Forex 5mm', pricePerSqm: 34, kgPerSqm: 2.5 },
+        dibond_3mm: { name: 'Dibond 3mm', pricePerSqm: 55, kgPerSqm: 3.8 },
+      },
+      options: {
+        lamination: { name: 'Laminazione opaca', mode: 'sqm', price: 6 },
+        drilled_holes: { name: 'Fori agli angoli', mode: 'piece', price: 2 },
+      },
+    },
+    sticker: {
+      name: 'Adesivo',
+      unit: 'sqm',
+      rollable: true,
+      minAreaSqm: 0.1,
+      maxWidthCm: 160,
+      maxHeightCm: 1000,
+      materials: {
+        vinyl_gloss: { name: 'Vinile lucido', pricePerSqm: 18, kgPerSqm: 0.25 },
+        vinyl_matte: { name: 'Vinile opaco', pricePerSqm: 18, kgPerSqm: 0.25 },
+        vinyl_clear: { name: 'Vinile trasparente', pricePerSqm: 22, kgPerSqm: 0.25 },
+      },
+      options: {
+        contour_cut: { name: 'Taglio sagomato', mode: 'perimeter', price: 0.8 },
+        lamination: { name: 'Laminazione', mode: 'sqm', price: 6 },
+      },
+    },
+    rollup: {
+      name: 'Roll-up',
+      unit: 'piece',
+      materials: {
+        standard_85x200: { name: 'Roll-up 85x200 cm', pricePerPiece: 59, kgPerPiece: 4, packageCm: 95 },
+        premium_100x200: { name: 'Roll-up Premium 100x200 cm', pricePerPiece: 89, kgPerPiece: 5.5, packageCm: 110 },
+      },
+      options: {
+        carry_bag: { name: 'Borsa da trasporto', mode: 'piece', price: 0 },
+        spare_print: { name: 'Stampa di ricambio', mode: 'piece', price: 35 },
+      },
+    },
+  },
+  shipping: {
+    standard: {
+      name: 'Spedizione standard',
+      price: 9.9,
+      includedKg: 10,
+      pricePerExtraKg: 0.6,
+      oversizeFromCm: 150,
+      oversizeSurcharge: 20,
+      deliveryDays: [3, 5],
+    },
+    express: {
+      name: 'Spedizione express',
+      price: 19.9,
+      includedKg: 5,
+      pricePerExtraKg: 1.5,
+      oversizeFromCm: 120,
+      oversizeSurcharge: 30,
+      maxPackageCm: 200,
+      deliveryDays: [1, 2],
+    },
+    pickup: { name: 'Ritiro in sede (Roma)', price: 0, deliveryDays: [2, 3] },
+  },
+  freeShippingThreshold: 150,
+  maxQuantity: 1000,
+};
+
+/** Error raised for carts that cannot be priced (unknown product, bad size, ...). */
+export class PricingError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [info]
+   * @param {number} [info.index] - Index of the offending cart item
+   */
+  constructor(message, { index } = {}) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = 400;
+    if (index !== undefined) this.index = index;
+  }
+}
+
+let cachedCatalog = null;
+
+/**
+ * Load the active catalog (file override or built-in default). Cached after first read.
+ * @returns {object}
+ */
+export function getCatalog() {
+  if (cachedCatalog) return cachedCatalog;
+  const file = config.PRICING_CATALOG_PATH;
+  cachedCatalog = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_CATALOG;
+  return cachedCatalog;
+}
+
+/** Catalog entry by key; inherited names ("constructor", "toString") are not entries. */
+const entry = (table, key) => (table && Object.hasOwn(table, key) ? table[key] : undefined);
+
+const toCents = (eur) => Math.round(Number(eur) * 100);
+
+function optionCents(option, { areaSqm, perimeterM }) {
+  switch (option.mode) {
+    case 'sqm':
+      return toCents(option.price * areaSqm);
+    case 'perimeter':
+      return toCents(option.price * perimeterM);
+    case 'piece':
+    default:
+      return toCents(option.price);
+  }
+}
+
+/**
+ * Price a single cart item against the catalog.
+ * Accepted item shape:
+ *   { product, material, quantity, width_cm?, height_cm?, options?: string[] }
+ * `productType`, `widthCm`/`heightCm` and `finishing` are accepted as aliases.
+ *
+ * @param {object} item
+ * @param {number} index - Position in the cart (for error reporting)
+ * @param {object} [catalog]
+ * @returns {{ name:string, description:string, quantity:number, unitAmount:number, amount:number,
+ *   weightKg:number, packageCm:number }} Amounts in cents, weight for the whole line.
+ */
+export function priceItem(item, index, catalog = getCatalog()) {
+  if (!item || typeof item !== 'object') {
+    throw new PricingError(`Item ${index} is not an object`, { index });
+  }
+
+  const productKey = String(item.product ?? item.productType ?? '');
+  const product = entry(catalog.products, productKey);
+  if (!product) throw new PricingError(`Unknown product "${productKey}"`, { index });
+
+  const materialKey = String(item.material ?? '');
+  const material = entry(product.materials, materialKey);
+  if (!material) {
+    throw new PricingError(`Unknown material "${materialKey}" for ${productKey}`, { index });
+  }
+
+  const quantity = Number(item.quantity ?? 1);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > catalog.maxQuantity) {
+    throw new PricingError(`Quantity must be an integer between 1 and ${catalog.maxQuantity}`, { index });
+  }
+
+  let areaSqm = 0;
+  let perimeterM = 0;
+  let unitAmount;
+  let unitKg;
+  let packageCm;
+  const descParts = [];
+
+  if (product.unit === 'sqm') {
+    const w = Number(item.width_cm ?? item.widthCm);
+    const h = Number(item.height_cm ?? item.heightCm);
+    if (!(w > 0) || !(h > 0)) {
+      throw new PricingError('width_cm and height_cm must be positive numbers', { index });
+    }
+    if (w > product.maxWidthCm || h > product.maxHeightCm) {
+      throw new PricingError(
+        `Max size for ${product.name} is ${product.maxWidthCm}x${product.maxHeightCm} cm`,
+        { index }
+      );
+    }
+    areaSqm = Math.max((w / 100) * (h / 100), product.minAreaSqm || 0);
+    perimeterM = (2 * (w + h)) / 100;
+    unitAmount = toCents(material.pricePerSqm * areaSqm);
+    unitKg = (material.kgPerSqm || 0) * areaSqm;
+    packageCm = product.rollable ? Math.min(w, h) : Math.max(w, h);
+    descParts.push(`${w}x${h} cm`);
+  } else {
+    unitAmount = toCents(material.pricePerPiece);
+    unitKg = material.kgPerPiece || 0;
+    packageCm = material.packageCm || 0;
+  }
+  descParts.push(material.name);
+
+  const requested = item.options ?? item.finishing ?? [];
+  const optionKeys = Array.isArray(requested) ? requested.map(String) : [];
+  for (const key of new Set(optionKeys)) {
+    const option = entry(product.options, key);
+    if (!option) throw new PricingError(`Unknown option "${key}" for ${productKey}`, { index });
+    unitAmount += optionCents(option, { areaSqm, perimeterM });
+    descParts.push(option.name);
+  }
+
+  return {
+    product: productKey,
+    name: product.name,
+    description: descParts.join(' · '),
+    quantity,
+    unitAmount,
+    amount: unitAmount * quantity,
+    weightKg: unitKg * quantity,
+    packageCm,
+  };
+}
+
+/**
+ * Shipping price of a parcel for one rate, or null when the rate can't take it.
+ * @param {object} rate - catalog.shipping entry
+ * @param {{weightKg:number, packageCm:number, freeShipping:boolean}} parcel
+ * @returns {number|null} cents
+ */
+function shippingCents(rate, { weightKg, packageCm, freeShipping }) {
+  if (rate.maxPackageCm && packageCm > rate.maxPackageCm) return null;
+  let eur = freeShipping ? 0 : Number(rate.price);
+  if (rate.includedKg != null && weightKg > rate.includedKg) {
+    eur += Math.ceil(weightKg - rate.includedKg) * Number(rate.pricePerExtraKg || 0);
+  }
+  if (rate.oversizeFromCm && packageCm >= rate.oversizeFromCm) eur += Number(rate.oversizeSurcharge || 0);
+  return toCents(eur);
+}
+
+/**
+ * Recompute an order total from the cart (net of VAT).
+ * @param {object} params
+ * @param {object[]} params.items
+ * @param {string} [params.shippingMethod='standard'] - key in catalog.shipping
+ * @returns {{ currency:string, lines:object[], subtotal:number, weightKg:number, packageCm:number,
+ *   shipping:{method:string,name:string,amount:number,deliveryDays?:number[]}, shippingOptions:object[],
+ *   total:number }}
+ *   Amounts in cents. `shippingOptions` lists every rate available for this parcel,
+ *   `shipping` is the selected one.
+ */
+export function priceOrder({ items, shippingMethod = 'standard' }) {
+  const catalog = getCatalog();
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new PricingError('Cart is empty');
+  }
+
+  const lines = items.map((item, i) => priceItem(item, i, catalog));
+  const subtotal = lines.reduce((sum, l) => sum + l.amount, 0);
+
+  const weightKg = lines.reduce((sum, l) => sum + l.weightKg, 0);
+  const packageCm = Math.max(...lines.map((l) => l.packageCm));
+
+  const method = String(shippingMethod);
+  if (!entry(catalog.shipping, method)) throw new PricingError(`Unknown shipping method "${method}"`);
+  // the threshold waives the base price; weight and size surcharges still apply
+  const freeShipping =
+    catalog.freeShippingThreshold != null && subtotal >= toCents(catalog.freeShippingThreshold);
+  const shippingOptions = Object.entries(catalog.shipping).flatMap(([key, rate]) => {
+    const amount = shippingCents(rate, { weightKg, packageCm, freeShipping });
+    return amount == null ? [] : [{ method: key, name: rate.name, amount, deliveryDays: rate.deliveryDays }];
+  });
+  const shipping = shippingOptions.find((o) => o.method === method);
+  if (!shipping) {
+    throw new PricingError(`Shipping method "${method}" is not available for this order (parcel ${packageCm} cm)`);
+  }
+
+  return {
+    currency: catalog.currency,
+    lines,
+    subtotal,
+    weightKg: Math.round(weightKg * 100) / 100,
+    packageCm,
+    shipping,
+    shippingOptions,
+    total: subtotal + shipping.amount,
+  };
+}
@@ -0,0 +1,181 @@
+// backend/promoCodes.js
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { createJsonStore } from './store.js';
+import { config } from './config.js';
+
+/**
+ * Marketing promo codes ("PRINT10", ...), validated server-side at checkout.
+ *
+ * Codes are defined in the JSON file at PROMO_CODES_PATH (re-read when it changes):
+ *   [{ "code": "PRINT10", "type": "percent", "value": 10,
+ *      "min_order": 50, "expires_at": "2026-12-31T23:59:59+01:00",
+ *      "max_uses_per_customer": 1, "max_uses": 500, "active": true }]
+ *
+ *  - type 'percent' : `value` percent off; 'fixed' : `value` EUR off
+ *  - min_order      : minimum products subtotal in EUR (shipping excluded)
+ *  - starts_at / expires_at : optional ISO dates
+ *  - max_uses_per_customer / max_uses : optional, counted on paid orders only
+ *
+ * The discount goes to Stripe as a coupon (one per code definition, created on
+ * first use), so the Checkout page and receipts show it as a real discount.
+ */
+
+const redemptions = createJsonStore('promo-redemptions', () => ({ codes: {} }));
+
+let cached = { file: null, mtimeMs: 0, codes: new Map() };
+const couponIds = new Map();
+
+/** Promo code that cannot be applied; `type` tells the frontend why. */
+export class PromoCodeError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} type - promo_unknown | promo_inactive | promo_expired | promo_min_order |
+   *   promo_email_required | promo_limit_reached
+   */
+  constructor(message, type) {
+    super(message);
+    this.name = 'PromoCodeError';
+    this.status = 400;
+    this.type = type;
+  }
+}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+function loadCodes() {
+  const file = config.PROMO_CODES_PATH;
+  if (!file) return new Map();
+  const { mtimeMs } = fs.statSync(file);
+  if (cached.file !== file || cached.mtimeMs !== mtimeMs) {
+    const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+    cached = { file, mtimeMs, codes: new Map(list.map((d) => [normalizeCode(d.code), d])) };
+  }
+  return cached.codes;
+}
+
+/**
+ * Times a code was used on paid orders, overall and by one customer.
+ * @param {string} code
+ * @param {string} [email]
+ */
+export function promoUsage(code, email) {
+  const entry = redemptions.read().codes[normalizeCode(code)] || { total: 0, customers: {} };
+  return { total: entry.total, customer: email ? entry.customers[normalizeEmail(email)] || 0 : 0 };
+}
+
+/**
+ * Validate a promo code against a priced cart.
+ * @param {object} params
+ * @param {string} params.code
+ * @param {object} params.quote - From pricing.priceOrder (cents)
+ * @param {string} [params.customerEmail] - Required for codes with a per-customer limit
+ * @param {Date} [params.now]
+ * @returns {{code:string, type:'percent'|'fixed', value:number, amount:number}} amount in cents
+ * @throws {PromoCodeError}
+ */
+export function resolvePromoCode({ code, quote, customerEmail, now = new Date() }) {
+  const key = normalizeCode(code);
+  const def = loadCodes().get(key);
+  if (!def) throw new PromoCodeError(`Unknown promo code "${key}"`, 'promo_unknown');
+  if (def.active === false || (def.starts_at && now < new Date(def.starts_at))) {
+    throw new PromoCodeError(`Promo code ${key} is not active`, 'promo_inactive');
+  }
+  if (def.expires_at && now > new Date(def.expires_at)) {
+    throw new PromoCodeError(`Promo code ${key} has expired`, 'promo_expired');
+  }
+  if (def.min_order && quote.subtotal < Math.round(def.min_order * 100)) {
+    throw new PromoCodeError(
+      `Promo code ${key} requires a minimum order of ${Number(def.min_order).toFixed(2)} EUR`,
+      'promo_min_order'
+    );
+  }
+
+  const usage = promoUsage(key, customerEmail);
+  if (def.max_uses && usage.total >= def.max_uses) {
+    throw new PromoCodeError(`Promo code ${key} is no longer available`, 'promo_limit_reached');
+  }
+  if (def.max_uses_per_customer) {
+    if (!customerEmail) {
+      throw new PromoCodeError(`Promo code ${key} needs the customer email`, 'promo_email_required');
+    }
+    if (usage.customer >= def.max_uses_per_customer) {
+      throw new PromoCodeError(`Promo code ${key} was already used`, 'promo_limit_reached');
+    }
+  }
+
+  // Stripe applies coupons to the line items only, never to shipping options
+  const discountable = quote.subtotal;
+  const value = Number(def.value);
+  let amount;
+  if (def.type === 'percent') amount = Math.round((discountable * value) / 100);
+  else if (def.type === 'fixed') amount = Math.min(Math.round(value * 100), discountable);
+  else throw new Error(`Promo code ${key} has unknown type "${def.type}"`);
+
+  return { code: key, type: def.type, value, amount };
+}
+
+/**
+ * Quote with the promo discount applied to its (net) total.
+ * @param {object} quote
+ * @param {{code:string, amount:number}|null} promo
+ */
+export function applyPromo(quote, promo) {
+  if (!promo) return quote;
+  return { ...quote, discount: { code: promo.code, amount: promo.amount }, total: quote.total - promo.amount };
+}
+
+/**
+ * Stripe coupon id for a promo (created once per code definition).
+ * Changing a code's type/value in the file yields a new coupon.
+ * @param {import('stripe').Stripe} stripe
+ * @param {{code:string, type:string, value:number}} promo
+ * @param {string} currency
+ * @returns {Promise<string>}
+ */
+export async function stripeCouponFor(stripe, promo, currency) {
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${promo.type}:${promo.value}:${currency}`)
+    .digest('hex')
+    .slice(0, 10);
+  const id = `promo_${promo.code}_${fingerprint}`;
+  if (couponIds.has(id)) return id;
+
+  try {
+    await stripe.coupons.retrieve(id);
+  } catch (e) {
+    if (e?.code !== 'resource_missing') throw e;
+    await stripe.coupons.create({
+      id,
+      name: promo.code,
+      duration: 'once',
+      ...(promo.type === 'percent'
+        ? { percent_off: promo.value }
+        : { amount_off: Math.round(promo.value * 100), currency }),
+    });
+  }
+  couponIds.set(id, true);
+  return id;
+}
+
+/**
+ * Count a use of a promo code (called once the order is paid).
+ * @param {string} code
+ * @param {object} params
+ * @param {string} [params.customerEmail]
+ * @param {string} params.orderCode - Counted at most once per order (payment id if there is none)
+ */
+export function recordPromoRedemption(code, { customerEmail, orderCode }) {
+  const key = normalizeCode(code);
+  return redemptions.update((doc) => {
+    const entry = (doc.codes[key] ||= { total: 0, customers: {}, orders: [] });
+    if (entry.orders.includes(orderCode)) return entry;
+    entry.orders.push(orderCode);
+    entry.total += 1;
+    const email = normalizeEmail(customerEmail);
+    if (email) entry.customers[email] = (entry.customers[email] || 0) + 1;
+    return entry;
+  });
+}
@@ -0,0 +1,375 @@
+// backend/quotes.js
+import crypto from 'node:crypto';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { euVatPrefix } from './invoicing.js';
+import { createJsonStore } from './store.js';
+import { config } from './config.js';
+
+/**
+ * Quotes (preventivi) for orders that go through purchasing departments.
+ *
+ * A quote freezes a priced cart (catalog prices, promo, VAT) for QUOTE_VALID_DAYS.
+ * The customer gets a PDF and an acceptance link carrying a quote-specific token
+ * (only its hash is stored). Accepting it creates the order and either opens a
+ * Stripe Checkout session at the quoted prices or hands out bank transfer
+ * instructions; transfers are confirmed by an admin once the money arrives.
+ *
+ *   open → accepted            (expired once past expires_at while still open)
+ */
+
+const VALID_DAYS = config.QUOTE_VALID_DAYS;
+const TRANSFER_DUE_DAYS = config.BANK_TRANSFER_DUE_DAYS;
+
+export const PAYMENT_METHODS = ['card', 'bank_transfer'];
+
+const store = createJsonStore('quotes', () => ({ quotes: {} }));
+
+/** Error with an HTTP status for routes to surface. */
+export class QuoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QuoteError';
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const euro = (cents) => `EUR ${(cents / 100).toFixed(2).replace('.', ',')}`;
+const day = (iso) => new Date(iso).toLocaleDateString('it-IT', { timeZone: 'Europe/Rome' });
+
+/** New quote id, e.g. QT-LZ3K9F-7Q2X. */
+export function generateQuoteId() {
+  const rand = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `QT-${Date.now().toString(36).toUpperCase()}-${rand}`;
+}
+
+/**
+ * Store a new quote.
+ *
+ * @param {object} params
+ * @param {string} params.orderCode - Order code the quote turns into once accepted
+ * @param {string} [params.orderId]
+ * @param {object} params.pricing - Priced cart (pricing.priceOrder + promo + VAT)
+ * @param {object|null} [params.promo]
+ * @param {object|null} [params.invoice] - From invoicing.validateInvoiceDetails
+ * @param {{name?:string, email:string, company?:string, phone?:string}} params.customer
+ * @param {object} params.metadata - Order metadata as sent to Stripe / Apps Script
+ * @param {string[]} [params.driveFileIds]
+ * @param {string} [params.notes]
+ * @returns {Promise<{quote:object, token:string}>}
+ * @throws {QuoteError} 409 when another quote already uses the order code
+ */
+export function createQuote({
+  orderCode,
+  orderId,
+  pricing,
+  promo = null,
+  invoice = null,
+  customer,
+  metadata,
+  driveFileIds = [],
+  notes,
+}) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const id = generateQuoteId();
+  const now = new Date();
+  const quote = {
+    id,
+    order_code: orderCode,
+    order_id: orderId || null,
+    status: 'open',
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + VALID_DAYS * 24 * 3600 * 1000).toISOString(),
+    token_hash: hashToken(token),
+    customer,
+    invoice,
+    pricing,
+    promo,
+    metadata: { ...metadata, quote_id: id },
+    drive_file_ids: driveFileIds,
+    notes: notes || null,
+    payment_method: null,
+    accepted_at: null,
+  };
+  return store.update((doc) => {
+    // one quote per order code: accepting either would otherwise turn into the same order
+    if (Object.values(doc.quotes).some((q) => q.order_code === orderCode)) {
+      throw new QuoteError(`Order code ${orderCode} is already used by another quote`, 409);
+    }
+    doc.quotes[id] = quote;
+    return { quote, token };
+  });
+}
+
+/**
+ * Read a quote; open quotes past their expiry are reported as expired.
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getQuote(id) {
+  const quote = store.read().quotes[id];
+  if (!quote) return null;
+  if (quote.status === 'open' && Date.now() > Date.parse(quote.expires_at)) return { ...quote, status: 'expired' };
+  return quote;
+}
+
+/**
+ * Check the acceptance-link token.
+ * @param {object} quote
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function verifyQuoteToken(quote, token) {
+  if (!quote || !token) return false;
+  return crypto.timingSafeEqual(Buffer.from(quote.token_hash, 'hex'), Buffer.from(hashToken(token), 'hex'));
+}
+
+/**
+ * Accept a quote with a payment method. Card acceptances may be repeated (an
+ * abandoned Checkout can be restarted) until the quote expires; a bank transfer
+ * choice is final.
+ *
+ * @param {string} id
+ * @param {'card'|'bank_transfer'} paymentMethod
+ * @returns {Promise<object>} the updated quote
+ * @throws {QuoteError} 404 unknown, 410 expired, 409 already accepted differently
+ */
+export function acceptQuote(id, paymentMethod) {
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new QuoteError(`payment_method must be one of ${PAYMENT_METHODS.join(', ')}`);
+  }
+  return store.update((doc) => {
+    const quote = doc.quotes[id];
+    if (!quote) throw new QuoteError('Quote not found', 404);
+    if (quote.status === 'accepted' && !(quote.payment_method === 'card' && paymentMethod === 'card')) {
+      throw new QuoteError(`Quote already accepted (${quote.payment_method})`, 409);
+    }
+    // checked before a card re-acceptance too: a new Checkout at frozen prices past the expiry is a new quote
+    if (Date.now() > Date.parse(quote.expires_at)) throw new QuoteError('Quote has expired', 410);
+    if (quote.status === 'accepted') return quote;
+    Object.assign(quote, { status: 'accepted', payment_method: paymentMethod, accepted_at: new Date().toISOString() });
+    return quote;
+  });
+}
+
+/**
+ * Bank transfer instructions for an accepted quote (BANK_TRANSFER_* settings).
+ * @param {object} quote
+ * @throws {QuoteError} 503 when no IBAN is configured
+ */
+export function bankTransferInstructions(quote) {
+  const iban = config.BANK_TRANSFER_IBAN;
+  if (!iban) throw new QuoteError('Bank transfer is not available', 503);
+  const from = quote.accepted_at ? Date.parse(quote.accepted_at) : Date.now();
+  return {
+    beneficiary: config.BANK_TRANSFER_BENEFICIARY,
+    iban: iban.replace(/\s+/g, '').toUpperCase(),
+    bic: config.BANK_TRANSFER_BIC,
+    bank: config.BANK_TRANSFER_BANK_NAME,
+    amount: quote.pricing.total / 100,
+    currency: quote.pricing.currency,
+    // the reference (causale) is how accounting matches the transfer to the order
+    reference: `${quote.order_code} ${quote.id}`,
+    due_by: new Date(from + TRANSFER_DUE_DAYS * 24 * 3600 * 1000).toISOString(),
+  };
+}
+
+/**
+ * What the customer may see about a quote.
+ * @param {object} quote - As returned by getQuote
+ */
+export function publicQuoteView(quote) {
+  const { pricing } = quote;
+  return {
+    id: quote.id,
+    order_code: quote.order_code,
+    status: quote.status,
+    created_at: quote.created_at,
+    expires_at: quote.expires_at,
+    payment_method: quote.payment_method,
+    accepted_at: quote.accepted_at,
+    customer: { name: quote.customer.name || null, company: quote.customer.company || null },
+    currency: pricing.currency,
+    items: pricing.lines.map(({ name, description, quantity, amount }) => ({
+      name,
+      description,
+      quantity,
+      amount: amount / 100,
+    })),
+    discount: pricing.discount ? { code: pricing.discount.code, amount: pricing.discount.amount / 100 } : null,
+    shipping: { method: pricing.shipping.method, name: pricing.shipping.name, amount: pricing.shipping.total / 100 },
+    amount_net: pricing.net / 100,
+    vat: { rate: pricing.vat.rate, reverse_charge: pricing.vat.reverse_charge, amount: pricing.vat.amount / 100 },
+    amount_total: pricing.total / 100,
+    payment_methods: config.BANK_TRANSFER_IBAN ? PAYMENT_METHODS : ['card'],
+  };
+}
+
+/* --------------------------------- PDF --------------------------------- */
+
+const A4 = [595.28, 841.89];
+const MARGIN = 50;
+
+/**
+ * One-page-at-a-time text layout on top of pdf-lib.
+ * Characters the standard fonts can't encode are replaced with "?".
+ */
+function createWriter(pdf, fonts) {
+  let page = pdf.addPage(A4);
+  let y = A4[1] - MARGIN;
+
+  const safe = (font, text) =>
+    [...String(text ?? '')]
+      .map((ch) => {
+        try {
+          font.encodeText(ch);
+          return ch;
+        } catch {
+          return '?';
+        }
+      })
+      .join('');
+
+  const fit = (font, text, size, width) => {
+    let s = safe(font, text);
+    while (s.length > 1 && font.widthOfTextAtSize(s, size) > width) s = s.slice(0, -2) + '…';
+    return s;
+  };
+
+  return {
+    ensure(height) {
+      if (y - height < MARGIN) {
+        page = pdf.addPage(A4);
+        y = A4[1] - MARGIN;
+      }
+    },
+    gap(h) {
+      y -= h;
+    },
+    /** cols: [{ text, x, width?, align?: 'right', bold? }] */
+    row(cols, { size = 10, lineHeight = 15 } = {}) {
+      this.ensure(lineHeight);
+      for (const c of cols) {
+        const font = c.bold ? fonts.bold : fonts.regular;
+        const text = fit(font, c.text, size, c.width || A4[0] - MARGIN - c.x);
+        const x = c.align === 'right' ? c.x + (c.width || 0) - font.widthOfTextAtSize(text, size) : c.x;
+        page.drawText(text, { x, y: y - size, size, font, color: rgb(0.1, 0.1, 0.1) });
+      }
+      y -= lineHeight;
+    },
+    text(text, opts = {}) {
+      this.row([{ text, x: MARGIN, bold: opts.bold }], opts);
+    },
+    rule() {
+      this.ensure(8);
+      page.drawLine({
+        start: { x: MARGIN, y: y - 3 },
+        end: { x: A4[0] - MARGIN, y: y - 3 },
+        thickness: 0.5,
+        color: rgb(0.6, 0.6, 0.6),
+      });
+      y -= 8;
+    },
+  };
+}
+
+/**
+ * Render the quote summary as a PDF.
+ * @param {object} quote
+ * @param {object} opts
+ * @param {string} opts.acceptUrl - Acceptance link printed on the document
+ * @returns {Promise<Uint8Array>}
+ */
+export async function renderQuotePdf(quote, { acceptUrl }) {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`Preventivo ${quote.id}`);
+  pdf.setCreator('Printora');
+  const fonts = {
+    regular: await pdf.embedFont(StandardFonts.Helvetica),
+    bold: await pdf.embedFont(StandardFonts.HelveticaBold),
+  };
+  const w = createWriter(pdf, fonts);
+  const { pricing, customer, invoice } = quote;
+  const right = A4[0] - MARGIN;
+
+  w.text('Printora', { bold: true, size: 18, lineHeight: 24 });
+  w.text(`Preventivo ${quote.id}`, { bold: true, size: 13, lineHeight: 20 });
+  w.text(`Data: ${day(quote.created_at)}    Valido fino al: ${day(quote.expires_at)}`);
+  w.text(`Riferimento ordine: ${quote.order_code}`);
+  w.gap(10);
+
+  w.text('Cliente', { bold: true });
+  for (const line of [
+    invoice?.company_name || customer.company,
+    customer.name,
+    customer.email,
+    invoice?.vat_number && `P.IVA / VAT: ${euVatPrefix(invoice.country || 'IT')}${invoice.vat_number}`,
+    invoice?.fiscal_code && invoice.fiscal_code !== invoice.vat_number && `Codice Fiscale: ${invoice.fiscal_code}`,
+    invoice?.pec && `PEC: ${invoice.pec}`,
+    invoice?.sdi_code && invoice.sdi_code !== '0000000' && `Codice SDI: ${invoice.sdi_code}`,
+  ].filter(Boolean)) {
+    w.text(line);
+  }
+  w.gap(10);
+
+  const cols = { desc: MARGIN, qty: 330, unit: 380, amount: 470 };
+  w.row(
+    [
+      { text: 'Descrizione', x: cols.desc, bold: true },
+      { text: 'Q.tà', x: cols.qty, width: 40, align: 'right', bold: true },
+      { text: 'Prezzo unit.', x: cols.unit, width: 80, align: 'right', bold: true },
+      { text: 'Importo', x: cols.amount, width: right - cols.amount, align: 'right', bold: true },
+    ],
+    { size: 9 }
+  );
+  w.rule();
+  for (const line of pricing.lines) {
+    w.row([
+      { text: line.name, x: cols.desc, width: cols.qty - cols.desc - 10, bold: true },
+      { text: String(line.quantity), x: cols.qty, width: 40, align: 'right' },
+      { text: euro(line.unitAmount), x: cols.unit, width: 80, align: 'right' },
+      { text: euro(line.amount), x: cols.amount, width: right - cols.amount, align: 'right' },
+    ]);
+    if (line.description) {
+      w.row([{ text: line.description, x: cols.desc + 8, width: cols.qty - cols.desc - 18 }], {
+        size: 8,
+        lineHeight: 12,
+      });
+    }
+  }
+  w.rule();
+
+  const total = (label, cents, bold = false) =>
+    w.row([
+      { text: label, x: cols.unit - 100, width: 180, bold },
+      { text: euro(cents), x: cols.amount, width: right - cols.amount, align: 'right', bold },
+    ]);
+  total('Subtotale', pricing.subtotal);
+  if (pricing.discount) total(`Sconto ${pricing.discount.code}`, -pricing.discount.amount);
+  total(pricing.shipping.name, pricing.shipping.amount);
+  total('Imponibile', pricing.net);
+  total(pricing.vat.reverse_charge ? 'IVA (inversione contabile)' : `IVA ${pricing.vat.rate}%`, pricing.vat.amount);
+  total('Totale', pricing.total, true);
+  w.gap(14);
+
+  if (pricing.vat.reverse_charge) {
+    w.text('Operazione non imponibile - art. 41 D.L. 331/93 (reverse charge)', { size: 9 });
+    w.gap(6);
+  }
+  if (quote.notes) {
+    w.text('Note', { bold: true });
+    w.text(quote.notes, { size: 9 });
+    w.gap(6);
+  }
+
+  w.text('Come accettare', { bold: true });
+  w.text('Apri il link qui sotto e scegli il pagamento con carta o con bonifico bancario:', { size: 9 });
+  w.text(acceptUrl, { size: 8 });
+  if (config.BANK_TRANSFER_IBAN) {
+    w.gap(6);
+    w.text(`Bonifico: IBAN ${config.BANK_TRANSFER_IBAN.replace(/\s+/g, '').toUpperCase()}`, { size: 9 });
+    w.text(`Causale: ${quote.order_code} ${quote.id}`, { size: 9 });
+  }
+
+  return pdf.save();
+}
@@ -1,26 +1,98 @@
 import express from "express";
+import multer from "multer";
+import fs from "node:fs";
+import path from "node:path";
+import { notifyAppsScript } from "../appsScript.js";
+import { requireRole } from "../auth.js";
+import {
+  ContactRejectedError,
+  HONEYPOT_FIELD,
+  issueFormToken,
+  recordContactRejection,
+  screenContactMessage,
+} from "../contactSpam.js";
+import { createLogger } from "../logger.js";
+import { ORDER_CODE_RE } from "../orderFiles.js";
+import { getOrder, verifyOrderToken } from "../orders.js";
+import { generateTicketId, supportFolderConfigured, threadContactMessage, uploadTicketAttachments } from "../tickets.js";
+import { ALLOWED_EXTENSIONS, UploadRejectedError, isAllowedFile, vetUpload } from "../uploadSecurity.js";
+import { UPLOAD_TMP_DIR, holdTempFile, limitUploads, sanitizeFileName, tempFileName } from "../uploadTemp.js";
+import { config } from "../config.js";
 
 const router = express.Router();
+const log = createLogger("contact");
+
+// Contact form on the public site (Role: public)
+const anyone = requireRole("public");
 
 const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-async function parseSmart(resp) {
-  const ct = resp.headers.get("content-type") || "";
-  const isJSON = ct.includes("application/json");
-  try {
-    return { isJSON, body: isJSON ? await resp.json() : await resp.text() };
-  } catch {
-    return { isJSON, body: null };
-  }
+const MAX_ATTACHMENTS = config.CONTACT_MAX_ATTACHMENTS;
+const MAX_ATTACHMENT_MB = config.CONTACT_ATTACHMENT_MAX_MB;
+
+/**
+ * Optional attachments (multipart field "attachments"), checked like /api/files uploads:
+ * extension allow-list here, then content signature + malware scan (vetUpload) before storage.
+ */
+const attachments = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, UPLOAD_TMP_DIR),
+    filename: (req, file, cb) => {
+      const name = tempFileName(file.originalname);
+      req.res.on("close", holdTempFile(path.join(UPLOAD_TMP_DIR, name)));
+      cb(null, name);
+    },
+  }),
+  limits: { files: MAX_ATTACHMENTS, fileSize: MAX_ATTACHMENT_MB * 1024 * 1024, fields: 20 },
+  fileFilter: (req, file, cb) => {
+    const { ext, ok } = isAllowedFile(file.originalname);
+    if (!ok) return cb(new Error(`File type .${ext} not allowed. Allowed: ${ALLOWED_EXTENSIONS.join(", ")}`));
+    cb(null, true);
+  },
+}).array("attachments", MAX_ATTACHMENTS);
+
+const removeFiles = (files = []) => files.forEach((f) => fs.unlink(f.path, () => {}));
+
+// multipart only: upload slots and temp-disk caps, then parse into req.body / req.files
+function parseAttachments(req, res, next) {
+  if (!req.is("multipart/form-data")) return next();
+  limitUploads()(req, res, (err) => {
+    if (err) return next(err);
+    attachments(req, res, (e) => {
+      if (!e) return next();
+      removeFiles(req.files);
+      const error =
+        e.code === "LIMIT_FILE_COUNT" || e.code === "LIMIT_UNEXPECTED_FILE"
+          ? `At most ${MAX_ATTACHMENTS} attachments (field name: attachments)`
+          : e.code === "LIMIT_FILE_SIZE"
+            ? `Attachments are limited to ${MAX_ATTACHMENT_MB} MB each`
+            : e.message;
+      return res.status(400).json({ ok: false, error });
+    });
+  });
 }
 
-// Ping + preflight (debug-friendly)
-router.get("/", (_req, res) => res.json({ ok: true, method: "GET" }));
-router.options("/", (_req, res) => res.sendStatus(204));
+// Ping + preflight (debug-friendly). The form calls GET when it renders to get the
+// `form_token` it must send back (proves the minimum fill time, see contactSpam.js).
+router.get("/", anyone, (_req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ ok: true, method: "GET", form_token: issueFormToken(), honeypot_field: HONEYPOT_FIELD });
+});
+router.options("/", anyone, (_req, res) => res.sendStatus(204));
 
-router.post("/", async (req, res) => {
+/**
+ * POST /api/contact
+ * JSON, or multipart/form-data with up to CONTACT_MAX_ATTACHMENTS files in "attachments".
+ * Body: { name, email, message, subject?, order_code?, order_token?, form_token, captcha_token?, <honeypot> }
+ * Reply: { ok, ticket_id, ticket_new } - follow-ups with the same order_code and email
+ * get the same ticket_id when they carry the order token (order_token or X-Order-Token);
+ * without it every message opens a new ticket.
+ */
+router.post("/", anyone, parseAttachments, async (req, res) => {
+  const files = req.files || [];
   try {
-    const { name, email, subject, message, order_code } = req.body || {};
+    const { name, email, subject, message } = req.body || {};
+    const order_code = req.body?.order_code ? String(req.body.order_code).trim() : null;
 
     if (!name || !email || !message) {
       return res.status(400).json({ ok: false, error: "Missing fields" });
@@ -34,64 +106,96 @@ router.post("/", async (req, res) => {
     if (String(message).length > 5000) {
       return res.status(400).json({ ok: false, error: "Message too long" });
     }
+    if (order_code && !ORDER_CODE_RE.test(order_code)) {
+      return res.status(400).json({ ok: false, error: "Invalid order code" });
+    }
+
+    try {
+      await screenContactMessage({ body: req.body, ip: req.ip || "unknown" });
+    } catch (e) {
+      if (!(e instanceof ContactRejectedError)) throw e;
+      await recordContactRejection(e, { body: req.body, ip: req.ip || "unknown" });
+      // bots get a normal-looking answer so they don't learn what tripped them
+      if (e.silent) return res.json({ ok: true, ticket_id: generateTicketId(), ticket_new: true });
+      if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+      return res.status(e.status).json({ ok: false, error: e.message, reason: e.reason });
+    }
 
-    const url = process.env.APPS_SCRIPT_URL;
+    const url = config.APPS_SCRIPT_URL;
     if (!url) {
       return res.status(500).json({ ok: false, error: "APPS_SCRIPT_URL not configured" });
     }
+    if (files.length && !supportFolderConfigured()) {
+      return res.status(503).json({ ok: false, error: "Attachments are not available" });
+    }
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
+    const vetted = [];
+    for (const file of files) {
+      const fileName = sanitizeFileName(file.originalname);
+      try {
+        const { mimeType } = await vetUpload(file.path, isAllowedFile(fileName).ext);
+        vetted.push({ localPath: file.path, fileName, mimeType });
+      } catch (e) {
+        if (!(e instanceof UploadRejectedError)) throw e;
+        return res.status(e.status).json({ ok: false, error: `${fileName}: ${e.message}`, code: e.code });
+      }
+    }
 
-    let resp;
+    const orderToken = req.headers["x-order-token"] || req.body?.order_token;
+    const orderVerified = !!order_code && verifyOrderToken(getOrder(order_code), String(orderToken || ""));
+    const { ticket, isNew, seq } = await threadContactMessage({ email, name, subject, orderCode: order_code, orderVerified });
+    let uploaded = [];
     try {
-      resp = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Accept": "application/json",
-        },
-        body: JSON.stringify({
-          event: "CONTACT_MESSAGE",
-          name,
-          email,
-          subject,
-          message,
-          order_code,
-        }),
-        signal: controller.signal,
-      });
-    } catch (err) {
-      clearTimeout(timeout);
-      console.error("[/api/contact] fetch to Apps Script failed:", err?.message || err);
-      return res.status(502).json({ ok: false, error: "Upstream error (Apps Script unreachable)" });
+      uploaded = await uploadTicketAttachments(ticket, seq, vetted);
+    } catch (e) {
+      log.error("attachment upload failed", { ticket_id: ticket.id, err: e });
+      return res
+        .status(502)
+        .json({ ok: false, error: "Could not store attachments, please retry", ticket_id: ticket.id });
     }
-    clearTimeout(timeout);
 
-    const { isJSON, body } = await parseSmart(resp);
+    // Goes through the durable outbox: a transient Apps Script outage only delays the message
+    const delivery = await notifyAppsScript(
+      "CONTACT_MESSAGE",
+      {
+        name,
+        email,
+        subject,
+        message,
+        order_code,
+        order_verified: orderVerified,
+        ticket_id: ticket.id,
+        ticket_new: isNew,
+        ticket_message: seq,
+        attachments: uploaded,
+      },
+      { attemptNow: true }
+    );
+    const ticketReply = { ticket_id: ticket.id, ticket_new: isNew };
 
-    if (!resp.ok) {
-      const snippet = isJSON
-        ? JSON.stringify(body).slice(0, 300)
-        : String(body || "").slice(0, 300);
-      console.error("[/api/contact] Apps Script HTTP error:", resp.status, snippet);
+    if (delivery.status === "pending") {
+      log.warn("Apps Script unavailable, message queued", { ticket_id: ticket.id, error: delivery.result?.error });
+      return res.status(202).json({ ok: true, queued: true, ...ticketReply });
+    }
+
+    if (delivery.status === "dead") {
+      const { isJSON, body, status, error } = delivery.result || {};
+      log.error("Apps Script rejected message", { ticket_id: ticket.id, status, error });
       return res.status(502).json({
         ok: false,
         error: isJSON
-          ? body?.error || body?.detail || `Apps Script HTTP ${resp.status}`
-          : `Apps Script returned non-JSON (HTTP ${resp.status}). Snippet: ${snippet}`,
+          ? body?.error || body?.detail || `Apps Script HTTP ${status}`
+          : `Apps Script returned non-JSON (HTTP ${status}). Snippet: ${String(body || "").slice(0, 300)}`,
+        ...ticketReply,
       });
     }
 
-    if (isJSON && body && body.ok === false) {
-      console.error("[/api/contact] Apps Script logical error:", body);
-      return res.status(502).json({ ok: false, error: body.error || "Apps Script error" });
-    }
-
-    return res.json({ ok: true });
+    return res.json({ ok: true, ...ticketReply });
   } catch (e) {
-    console.error("contact route error:", e);
+    log.error("contact route failed", { err: e });
     return res.status(500).json({ ok: false, error: "Server error" });
+  } finally {
+    removeFiles(files);
   }
 });
 
@@ -2,44 +2,108 @@
 import express from 'express';
 import multer from 'multer';
 import fs from 'node:fs';
-import os from 'node:os';
 import path from 'node:path';
 import mime from 'mime-types';
-import { uploadFileToDrive } from '../drive.js';
-import 'dotenv/config';
+import { requireRole } from '../auth.js';
+import { preflightFile, preflightProperties } from '../preflight.js';
+import { ALLOWED_EXTENSIONS, UploadRejectedError, isAllowedFile, vetUpload } from '../uploadSecurity.js';
+import { ORDER_CODE_RE } from '../orderFiles.js';
+import { STORAGE_BACKEND, StorageError, getFileLink, storageFolders, uploadFile } from '../storage.js';
+import { resolveLocalLink } from '../storageLocal.js';
+import { attachOrderFile, getOrder, verifyOrderToken } from '../orders.js';
+import { createLogger } from '../logger.js';
+import { uploadBytes, uploadDuration } from '../metrics.js';
+import {
+  UPLOAD_TMP_DIR,
+  holdTempFile,
+  limitUploads,
+  sanitizeFileName,
+  tempFileName,
+} from '../uploadTemp.js';
+import {
+  UploadSessionError,
+  appendChunk,
+  createSession,
+  deleteSession,
+  finalizeSession,
+  getSession,
+  setPartsDir,
+} from '../uploadSessions.js';
+import { config } from '../config.js';
 
 const router = express.Router();
 
-// Create a temp dir for multer
-const uploadTmp = path.join(os.tmpdir(), 'printora_uploads');
-if (!fs.existsSync(uploadTmp)) fs.mkdirSync(uploadTmp, { recursive: true });
+// Uploads happen before checkout, so they are open to anyone (Role: public);
+// sessions are only reachable through their unguessable ids.
+const anyone = requireRole('public');
 
-const maxMb = Number(process.env.MAX_UPLOAD_MB || 2048);
-const allowed = (process.env.ALLOWED_EXTENSIONS || 'pdf,tif,tiff,png,jpg,jpeg,ai,cdr')
-  .split(',')
-  .map((s) => s.trim().toLowerCase());
+const maxMb = config.MAX_UPLOAD_MB;
+const log = createLogger('files');
+
+/** Order the upload names (optional field); only trusted once attachableOrder() proves it. */
+function orderCodeField(fields = {}) {
+  const code = String(fields.order_code || '');
+  return ORDER_CODE_RE.test(code) ? code : null;
+}
+
+/**
+ * Order to record the upload against (attachOrderFile): only when the request
+ * carries that order's token, as X-Order-Token or an order_token field. Without
+ * it the file is only staged (see orderProperties()).
+ */
+function attachableOrder(req, fields = {}) {
+  const code = orderCodeField(fields);
+  const token = req.headers['x-order-token'] || fields.order_token;
+  return code && verifyOrderToken(getOrder(code), String(token || '')) ? code : null;
+}
+
+/**
+ * File properties linking an upload to its order: `order_code` when the request
+ * carries the order token, otherwise only `claimed_order_code`, which staging GC
+ * and finalize ignore.
+ */
+function orderProperties(req, fields = {}) {
+  if (attachableOrder(req, fields)) return { order_code: orderCodeField(fields) };
+  return orderCodeField(fields) ? { claimed_order_code: orderCodeField(fields) } : {};
+}
+
+/** Ordered product size from form/JSON fields, used by preflight. */
+function orderedSize(fields = {}) {
+  const width_cm = Number(fields.width_cm);
+  const height_cm = Number(fields.height_cm);
+  return width_cm > 0 && height_cm > 0 ? { width_cm, height_cm } : null;
+}
 
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadTmp),
+  destination: (req, file, cb) => cb(null, UPLOAD_TMP_DIR),
   filename: (req, file, cb) => {
-    // keep original name; Make/Day4 can rename when moving to order folder
-    cb(null, file.originalname);
+    // unique per request: concurrent "logo.pdf" uploads must not clobber each other,
+    // and the client name never touches the filesystem path
+    const name = tempFileName(file.originalname);
+    req.res.on('close', holdTempFile(path.join(UPLOAD_TMP_DIR, name)));
+    cb(null, name);
   },
 });
 const upload = multer({
   storage,
   limits: { fileSize: maxMb * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
-    const ext = path.extname(file.originalname || '').slice(1).toLowerCase();
-    if (!allowed.includes(ext)) {
-      return cb(new Error(`File type .${ext} not allowed. Allowed: ${allowed.join(', ')}`));
+    const { ext, ok } = isAllowedFile(file.originalname);
+    if (!ok) {
+      return cb(new Error(`File type .${ext} not allowed. Allowed: ${ALLOWED_EXTENSIONS.join(', ')}`));
     }
     cb(null, true);
   },
 });
 
-router.post('/upload', upload.single('file'), async (req, res) => {
-  const stagingId = process.env.DRIVE_STAGING_FOLDER_ID;
+// upload_duration_seconds counts from the first body byte, so mark before multer reads it
+const markUploadStart = (req, _res, next) => {
+  req.uploadStarted = process.hrtime.bigint();
+  next();
+};
+
+router.post('/upload', anyone, limitUploads(), markUploadStart, upload.single('file'), async (req, res) => {
+  const stagingId = storageFolders().staging;
   if (!stagingId) {
     // Safety check
     if (req.file) fs.unlink(req.file.path, () => {});
@@ -49,19 +113,35 @@ router.post('/upload', upload.single('file'), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: 'No file provided (field name: file)' });
 
   const localPath = req.file.path;
-  const fileName = req.file.originalname;
-  const mimeType = mime.lookup(fileName) || req.file.mimetype || 'application/octet-stream';
+  const fileName = sanitizeFileName(req.file.originalname);
+  uploadBytes.inc({ kind: 'direct' }, req.file.size);
+  const observe = (outcome) =>
+    uploadDuration.observe({ kind: 'direct', outcome }, Number(process.hrtime.bigint() - req.uploadStarted) / 1e9);
 
   try {
-    const result = await uploadFileToDrive({
+    // Content must match the extension and pass the malware scan before anything goes to storage
+    const { mimeType } = await vetUpload(localPath, isAllowedFile(fileName).ext);
+
+    // Optional multipart fields width_cm/height_cm: the ordered size to check the artwork against
+    const preflight = await preflightFile(localPath, orderedSize(req.body));
+
+    const result = await uploadFile({
       localPath,
       fileName,
       mimeType,
       parentId: stagingId,
+      properties: {
+        ...preflightProperties(preflight),
+        ...orderProperties(req, req.body),
+      },
     });
 
     // Clean up temp file
     fs.unlink(localPath, () => {});
+    observe('ok');
+
+    const orderCode = attachableOrder(req, req.body);
+    if (orderCode) await attachOrderFile(orderCode, { driveFileId: result.id, name: result.name });
 
     return res.json({
       ok: true,
@@ -70,13 +150,239 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       name: result.name,
       mimeType: result.mimeType,
       size: result.size,
+      preflight,
     });
   } catch (err) {
     // Clean up temp file on error
     fs.unlink(localPath, () => {});
-    console.error('Drive upload error:', err);
+    if (err instanceof UploadRejectedError) {
+      observe('rejected');
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    observe('error');
+    log.error('storage upload failed', { file_name: fileName, err });
+    if (err instanceof StorageError) return sendStorageError(res, err);
     return res.status(500).json({ error: 'Upload failed', details: String(err?.message || err) });
   }
 });
 
+/**
+ * Resumable uploads (tus 1.0.0 core + creation/termination, plus a plain JSON flavour)
+ *
+ *   POST   /api/files/uploads              init   { fileName, size, mimeType?, width_cm?, height_cm?, order_code?, order_token? }
+ *                                                 or tus headers Upload-Length + Upload-Metadata
+ *   HEAD   /api/files/uploads/:id          status (tus: Upload-Offset / Upload-Length headers)
+ *   GET    /api/files/uploads/:id          status as JSON
+ *   PATCH  /api/files/uploads/:id          append chunk at Upload-Offset (tus)
+ *   PUT    /api/files/uploads/:id?offset=N append chunk at offset (JSON reply)
+ *   POST   /api/files/uploads/:id/complete wait for the storage upload, same reply as /upload
+ *   DELETE /api/files/uploads/:id          abort
+ *
+ * Once the last byte arrives the file is sent to the staging folder in the
+ * background, so plain tus clients need no extra call.
+ * A chunk sent while another one for the same upload is still being written gets
+ * 423; the client re-reads the offset (HEAD) and resumes from there.
+ */
+const TUS_VERSION = '1.0.0';
+setPartsDir(path.join(UPLOAD_TMP_DIR, 'resumable'));
+
+function parseTusMetadata(header) {
+  const out = {};
+  for (const pair of String(header || '').split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) out[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return out;
+}
+
+function sessionJson(s) {
+  return {
+    ok: true,
+    uploadId: s.id,
+    fileName: s.fileName,
+    size: s.size,
+    offset: s.offset,
+    state: s.state,
+    error: s.error || undefined,
+    ...(s.result && { driveFileId: s.result.id, webViewLink: s.result.webViewLink }),
+    ...(s.preflight && { preflight: s.preflight }),
+  };
+}
+
+// rate limits are worth retrying for the client; a missing storage setup or other failures aren't
+function sendStorageError(res, err) {
+  if (err.retryable) res.set('Retry-After', String(Math.ceil((err.retryAfterMs || 30_000) / 1000)));
+  return res.status(err.status).json({ error: 'Upload failed', details: err.message, code: err.reason || undefined });
+}
+
+function sendSessionError(res, err) {
+  if (err instanceof UploadSessionError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  if (err instanceof UploadRejectedError) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  log.error('resumable upload failed', { err });
+  if (err instanceof StorageError) return sendStorageError(res, err);
+  return res.status(500).json({ error: 'Upload failed', details: String(err?.message || err) });
+}
+
+function startFinalize(id) {
+  finalizeSession(id, { parentId: storageFolders().staging }).catch((err) =>
+    log.error('storage upload for session failed', { upload_id: id, err })
+  );
+}
+
+router.use('/uploads', (req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  next();
+});
+
+const declaredSize = (req) => Number(req.body?.size ?? req.headers['upload-length']) || 0;
+
+router.post('/uploads', anyone, express.json({ limit: '16kb' }), limitUploads({ incomingBytes: declaredSize }), async (req, res) => {
+  if (!storageFolders().staging) {
+    return res.status(500).json({ error: 'DRIVE_STAGING_FOLDER_ID not set' });
+  }
+
+  const tusMeta = parseTusMetadata(req.headers['upload-metadata']);
+  const rawName = req.body?.fileName || tusMeta.filename || tusMeta.name;
+  const fileName = rawName ? sanitizeFileName(rawName) : '';
+  const size = Number(req.body?.size ?? req.headers['upload-length']);
+
+  if (!fileName) return res.status(400).json({ error: 'fileName is required' });
+  if (!Number.isInteger(size) || size < 0) {
+    return res.status(400).json({ error: 'size (or Upload-Length) must be a non-negative integer' });
+  }
+  if (size > maxMb * 1024 * 1024) {
+    return res.status(413).json({ error: `File too large (max ${maxMb} MB)` });
+  }
+  const { ext, ok } = isAllowedFile(fileName);
+  if (!ok) {
+    return res.status(400).json({ error: `File type .${ext} not allowed. Allowed: ${ALLOWED_EXTENSIONS.join(', ')}` });
+  }
+
+  try {
+    const mimeType =
+      mime.lookup(fileName) || req.body?.mimeType || tusMeta.filetype || 'application/octet-stream';
+    const fields = req.body?.fileName ? req.body : tusMeta;
+    const session = await createSession({
+      fileName,
+      mimeType,
+      size,
+      ordered: orderedSize(fields),
+      orderCode: orderCodeField(fields),
+      attachToOrder: !!attachableOrder(req, fields),
+    });
+    res.set({
+      Location: `${req.baseUrl}/uploads/${session.id}`,
+      'Upload-Offset': '0',
+      'Upload-Expires': new Date(session.expires_at).toUTCString(),
+    });
+    return res.status(201).json(sessionJson(session));
+  } catch (err) {
+    return sendSessionError(res, err);
+  }
+});
+
+router.head('/uploads/:id', anyone, async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+    res.set({
+      'Upload-Offset': String(session.offset),
+      'Upload-Length': String(session.size),
+      'Cache-Control': 'no-store',
+    });
+    return res.status(200).end();
+  } catch (err) {
+    return res.status(err.status || 500).end();
+  }
+});
+
+router.get('/uploads/:id', anyone, async (req, res) => {
+  try {
+    return res.json(sessionJson(await getSession(req.params.id)));
+  } catch (err) {
+    return sendSessionError(res, err);
+  }
+});
+
+async function handleChunk(req, res, { tus }) {
+  const offset = Number(tus ? req.headers['upload-offset'] : req.query.offset ?? req.headers['upload-offset']);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Upload-Offset (or ?offset) must be a non-negative integer' });
+  }
+  if (tus && req.headers['content-type'] !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  try {
+    const session = await appendChunk(req.params.id, offset, req);
+    if (session.offset === session.size) startFinalize(session.id);
+
+    res.set('Upload-Offset', String(session.offset));
+    return tus ? res.status(204).end() : res.json(sessionJson(session));
+  } catch (err) {
+    return sendSessionError(res, err);
+  }
+}
+
+router.patch('/uploads/:id', anyone, limitUploads(), (req, res) => handleChunk(req, res, { tus: true }));
+router.put('/uploads/:id', anyone, limitUploads(), (req, res) => handleChunk(req, res, { tus: false }));
+
+router.post('/uploads/:id/complete', anyone, async (req, res) => {
+  try {
+    const result = await finalizeSession(req.params.id, {
+      parentId: storageFolders().staging,
+    });
+    return res.json({
+      ok: true,
+      driveFileId: result.id,
+      webViewLink: result.webViewLink,
+      name: result.name,
+      mimeType: result.mimeType,
+      size: result.size,
+      preflight: result.preflight,
+    });
+  } catch (err) {
+    return sendSessionError(res, err);
+  }
+});
+
+router.delete('/uploads/:id', anyone, async (req, res) => {
+  try {
+    await deleteSession(req.params.id);
+    return res.status(204).end();
+  } catch (err) {
+    return sendSessionError(res, err);
+  }
+});
+
+/**
+ * Stored files
+ *   GET /api/files/local?key&name&expires&signature  download through a signed link (STORAGE_BACKEND=local)
+ *   GET /api/files/:fileId/link                      share link or signed URL for a file (operator)
+ */
+router.get('/local', anyone, (req, res) => {
+  const file = STORAGE_BACKEND === 'local' ? resolveLocalLink(req.query) : null;
+  if (!file) return res.status(404).json({ error: 'Not found' });
+  res.set('Cache-Control', 'private, no-store');
+  return res.download(file.path, file.name, (err) => {
+    if (err && !res.headersSent) res.status(err.status || 404).json({ error: 'Not found' });
+  });
+});
+
+router.get('/:fileId/link', requireRole('operator'), async (req, res) => {
+  try {
+    const link = await getFileLink(req.params.fileId);
+    return res.json({ ok: true, fileId: req.params.fileId, ...link });
+  } catch (err) {
+    if (err instanceof StorageError) {
+      return res.status(err.status).json({ ok: false, error: err.message, reason: err.reason || undefined });
+    }
+    log.error('file link failed', { file_id: req.params.fileId, err });
+    return res.status(500).json({ ok: false, error: 'Link failed' });
+  }
+});
+
 export default router;
\ No newline at end of file
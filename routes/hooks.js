@@ -1,81 +1,44 @@
 // backend/routes/hooks.js
 import express from "express";
+import { requireRole } from "../auth.js";
+import { createLogger } from "../logger.js";
+import { relayOrderCreated } from "../make.js";
+import { OrderError, transitionOrder } from "../orders.js";
+import { requireSignature } from "../signing.js";
+import { config } from "../config.js";
 
 const router = express.Router();
-
-const MAKE_URL = process.env.MAKE_ORDER_CREATED_WEBHOOK_URL || "";
-const ENV_TOKEN = process.env.WEBHOOK_RELAY_TOKEN || "";
-
-/**
- * Read the relay token from the incoming request headers (fallback to env).
- * Headers are lowercased by Node, but we defensively check both.
- */
-function getRelayToken(req) {
-  return (
-    req.headers["x-relay-token"] ||
-    req.headers["X-Relay-Token"] ||
-    ENV_TOKEN ||
-    ""
-  ).toString().trim();
-}
+const log = createLogger("hooks");
 
 /**
  * POST /api/hooks/order-created
+ * Role: integration (or operator re-triggering an order by hand)
  * Body: { order_id: number|string }
  *
- * Relays to your Make (Integromat) "order-created" webhook and forwards a
- * shared secret header (X-Relay-Token) so your Make filter can validate it.
+ * Relays to your Make (Integromat) "order-created" webhook. The call is signed
+ * (X-Printora-Signature, MAKE_SIGNING_SECRET) so the Make scenario can verify it.
  */
-router.post("/order-created", async (req, res) => {
+router.post("/order-created", requireRole(["integration", "operator"]), async (req, res) => {
   try {
     const { order_id } = req.body || {};
     if (!order_id && order_id !== 0) {
       return res.status(400).json({ error: "order_id is required" });
     }
-    if (!MAKE_URL) {
+    if (!config.MAKE_ORDER_CREATED_WEBHOOK_URL) {
       return res
         .status(500)
         .json({ error: "MAKE_ORDER_CREATED_WEBHOOK_URL is not set" });
     }
 
-    const relayToken = getRelayToken(req);
-    if (!relayToken) {
-      // Not fatal to send, but your Make filter will likely block it.
-      console.warn(
-        "[hooks] No X-Relay-Token provided (neither header nor env). The Make filter may reject this call."
-      );
-    }
-
-    // Timeout protection (8s)
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 8000);
+    const { ok, queued, status, payload } = await relayOrderCreated({ order_id });
 
-    const resp = await fetch(MAKE_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Accept: "application/json",
-        "X-Relay-Token": relayToken,
-      },
-      body: JSON.stringify({ order_id }),
-      signal: controller.signal,
-    }).catch((e) => {
-      throw new Error(`Make webhook fetch failed: ${e.message}`);
-    });
-
-    clearTimeout(timeout);
-
-    const text = await resp.text();
-    let payload;
-    try {
-      payload = JSON.parse(text);
-    } catch {
-      payload = { raw: text };
+    if (queued) {
+      // Make is down / slow: the outbox keeps retrying in the background
+      return res.status(202).json({ ok: true, queued: true, order_id });
     }
-
-    if (!resp.ok) {
+    if (!ok) {
       return res.status(502).json({
-        error: `Make webhook responded with ${resp.status}`,
+        error: `Make webhook responded with ${status}`,
         payload,
       });
     }
@@ -86,13 +49,49 @@ router.post("/order-created", async (req, res) => {
       make_response: payload,
     });
   } catch (e) {
-    const message =
-      e?.name === "AbortError"
-        ? "Make webhook timed out"
-        : e?.message || "Unknown error";
-    console.error("[hooks] order-created relay error:", message);
+    const message = e?.message || "Unknown error";
+    log.error("order-created relay failed", { order_id: req.body?.order_id, err: e });
     return res.status(500).json({ error: message });
   }
 });
 
+// Statuses Make is allowed to report
+const MAKE_STATUSES = ["in_production", "shipped", "cancelled"];
+
+/**
+ * POST /api/hooks/make-callback
+ * Role: integration, proven by X-Printora-Signature: t=<unix>,v1=<HMAC-SHA256(MAKE_SIGNING_SECRET, "<t>.<body>")>
+ * Body: { order_code, status: "in_production"|"shipped"|"cancelled", carrier?, tracking_number?, tracking_url?, note? }
+ *
+ * Lets Make report production / shipping progress back into the order store.
+ */
+router.post("/make-callback", requireSignature("make"), requireRole("integration"), async (req, res) => {
+  const { order_code, status, carrier, tracking_number, tracking_url, note } = req.body || {};
+  if (!order_code || !MAKE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      ok: false,
+      error: `order_code and status (${MAKE_STATUSES.join(", ")}) are required`,
+    });
+  }
+
+  try {
+    const tracking =
+      carrier || tracking_number || tracking_url
+        ? { carrier: carrier || null, number: tracking_number || null, url: tracking_url || null }
+        : undefined;
+    const { order, changed } = await transitionOrder(String(order_code), status, {
+      source: "make",
+      note,
+      patch: tracking ? { tracking } : undefined,
+    });
+    return res.json({ ok: true, order_code: order.order_code, status: order.status, changed });
+  } catch (e) {
+    if (e instanceof OrderError) {
+      return res.status(e.status).json({ ok: false, error: e.message });
+    }
+    log.error("make-callback failed", { order_code, status, err: e });
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
 export default router;
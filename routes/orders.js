@@ -0,0 +1,70 @@
+// backend/routes/orders.js
+import express from "express";
+import { requireRole } from "../auth.js";
+import { StorageError } from "../storage.js";
+import { createLogger } from "../logger.js";
+import { finalizeOrderFiles, OrderFilesError } from "../orderFiles.js";
+import { getOrder, publicOrderView, verifyOrderToken } from "../orders.js";
+
+const router = express.Router();
+const log = createLogger("orders");
+
+/** The request carries the order's own token (customer access). */
+function hasOrderToken(req) {
+  const token = req.headers["x-order-token"] || req.query.token;
+  return verifyOrderToken(getOrder(req.params.orderCode), token);
+}
+
+/**
+ * GET /api/orders/:orderCode?token=...   (or header X-Order-Token)
+ * Role: customer (order token) - staff keys may read any order.
+ * Customer-facing order status. The token is the `order_token` returned by
+ * /api/create-checkout-session; unknown orders and bad tokens both give 404.
+ */
+router.get("/:orderCode", requireRole("customer", { resourceToken: hasOrderToken }), (req, res) => {
+  const order = getOrder(req.params.orderCode);
+  if (!order) return res.status(404).json({ ok: false, error: "Order not found" });
+  res.set("Cache-Control", "no-store");
+  return res.json({ ok: true, order: publicOrderView(order) });
+});
+
+/**
+ * POST /api/orders/:orderCode/files/finalize
+ * Role: customer (order token), operator or integration
+ * Body: {
+ *   files: [{ driveFileId, itemIndex?, width_cm?, height_cm?, material? }],
+ *   customer_name?, city?
+ * }
+ *
+ * Moves staged uploads into <root>/<YYYY>/<MM>/<ORDER-CUSTOMER-CITY>/ and renames
+ * them (<ORDER>_item01_300x200cm_pvc-440.pdf). Safe to call again: the same
+ * folder is reused and already-finalized files are left in place.
+ * Files must have been uploaded with this order_code (403 otherwise).
+ */
+router.post(
+  "/:orderCode/files/finalize",
+  requireRole(["customer", "integration"], { resourceToken: hasOrderToken }),
+  async (req, res) => {
+    try {
+      const { files, customer_name, city } = req.body || {};
+      const result = await finalizeOrderFiles({
+        orderCode: req.params.orderCode,
+        files,
+        labels: [customer_name, city].filter(Boolean),
+      });
+      return res.json({ ok: true, order_code: req.params.orderCode, ...result });
+    } catch (e) {
+      if (e instanceof OrderFilesError) {
+        return res.status(e.status).json({ ok: false, error: e.message });
+      }
+      log.error("finalize failed", { order_code: req.params.orderCode, err: e });
+      // e.g. 404 for an unknown driveFileId, 503 when Drive keeps rate limiting
+      if (e instanceof StorageError) {
+        return res.status(e.status).json({ ok: false, error: "Storage error", details: e.message, reason: e.reason });
+      }
+      return res.status(502).json({ ok: false, error: "Storage error", details: String(e?.message || e) });
+    }
+  }
+);
+
+export default router;
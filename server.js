@@ -1,5 +1,5 @@
 // backend/server.js
-import "dotenv/config";
+import { config, configReport, configWarnings, stripeMode } from "./config.js";
 import express from "express";
 import Stripe from "stripe";
 import cors from "cors";
@@ -8,39 +8,225 @@ import http from "http";
 import filesRouter from "./routes/files.js";
 import hooksRouter from "./routes/hooks.js"; // <-- existing
 import contactRouter from "./routes/contact.js"; // <-- NEW
+import ordersRouter from "./routes/orders.js";
+import { priceOrder, PricingError } from "./pricing.js";
+import {
+  InvoiceDetailsError,
+  euVatPrefix,
+  invoiceFromMetadata,
+  invoiceMetadata,
+  validateInvoiceDetails,
+} from "./invoicing.js";
+import {
+  REVERSE_CHARGE_NOTE,
+  applyVat,
+  checkoutBreakdown,
+  quoteBreakdown,
+  resolveVatTreatment,
+  stripeTaxRateFor,
+} from "./tax.js";
+import {
+  QuoteError,
+  acceptQuote,
+  bankTransferInstructions,
+  createQuote,
+  getQuote,
+  publicQuoteView,
+  renderQuotePdf,
+  verifyQuoteToken,
+} from "./quotes.js";
+import {
+  PromoCodeError,
+  applyPromo,
+  recordPromoRedemption,
+  resolvePromoCode,
+  stripeCouponFor,
+} from "./promoCodes.js";
+import {
+  AuthError,
+  createApiKey,
+  listApiKeys,
+  requireRole,
+  revokeApiKey,
+  rotateApiKey,
+} from "./auth.js";
+import { listContactRejections } from "./contactSpam.js";
+import { relayOrderCreated } from "./make.js";
+import { notifyAppsScript } from "./appsScript.js";
+import { startOutboxWorker, outboxStats, listMessages, retryMessage } from "./outbox.js";
+import { startTempJanitor, uploadLimitStats } from "./uploadTemp.js";
+import { sweepOrphanedParts } from "./uploadSessions.js";
+import { runStagingGc, startStagingGc } from "./stagingGc.js";
+import { checkReadiness } from "./health.js";
+import { STORAGE_BACKEND } from "./storage.js";
+import { ORDER_CODE_RE } from "./orderFiles.js";
+import {
+  OrderError,
+  findOrderByPaymentIntent,
+  generateOrderCode,
+  getOrder,
+  markOrderPaid,
+  publicOrderView,
+  recordRefund,
+  setStripeRefs,
+  transitionOrder,
+  updateOrderPayment,
+  upsertPendingOrder,
+} from "./orders.js";
+import { beginEvent, finishEvent, listEvents, getEvent } from "./webhookEvents.js";
+import { createLogger, requestContext } from "./logger.js";
+import {
+  METRICS_CONTENT_TYPE,
+  checkoutSessions,
+  observeHttpRequest,
+  renderMetrics,
+  webhookEvents,
+} from "./metrics.js";
+
+const log = {
+  boot: createLogger("boot"),
+  payments: createLogger("payments"),
+  quotes: createLogger("quotes"),
+  webhook: createLogger("stripe-webhook"),
+  admin: createLogger("admin"),
+};
 
 // Helper to notify your Apps Script on failures
 async function notifyAppsScriptPaymentFailed(payload) {
-  const url = process.env.APPS_SCRIPT_URL;
-  if (!url) return;
-  try {
-    await fetch(url, {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify({ event: "PAYMENT_FAILED", ...payload }),
+  return notifyAppsScript("PAYMENT_FAILED", payload);
+}
+
+// Helper to notify your Apps Script on successful payments
+async function notifyAppsScriptPaymentSucceeded(payload, opts) {
+  return notifyAppsScript("PAYMENT_SUCCEEDED", payload, opts);
+}
+
+// Helper to notify your Apps Script when a quote is accepted for bank transfer
+async function notifyAppsScriptTransferPending(payload) {
+  return notifyAppsScript("TRANSFER_PENDING", payload);
+}
+
+// Helper to notify your Apps Script on (full or partial) refunds
+async function notifyAppsScriptRefunded(payload) {
+  return notifyAppsScript("REFUNDED", payload);
+}
+
+// Helper to notify your Apps Script when a customer opens a dispute
+async function notifyAppsScriptDisputed(payload) {
+  return notifyAppsScript("DISPUTED", payload);
+}
+
+/**
+ * Mark an order as paid (Stripe webhook or confirmed bank transfer): tell Apps Script
+ * and kick off the Make "order-created" relay, so fulfillment starts even if the
+ * customer never reaches /payment-success.
+ * Both go through the outbox, so a Make outage only delays the relay.
+ *
+ * Safe to run again for the same payment (Stripe retries, admin replays): every
+ * step is idempotent and the outbox messages are keyed by the payment id, so
+ * nothing is sent twice. Nothing here throws for optional integrations that
+ * aren't configured, since a failure would make Stripe retry the whole event.
+ */
+async function handleOrderPaid({ md, payment_details }) {
+  const order_id = md.order_id || null;
+  const order_code = md.order_code || null;
+  const relayToMake = !!order_id && !!config.MAKE_ORDER_CREATED_WEBHOOK_URL;
+  if (!order_id) {
+    log.payments.warn("paid without metadata.order_id, Make relay skipped", { payment_id: payment_details.id, order_code });
+  } else if (!relayToMake) {
+    log.payments.warn("MAKE_ORDER_CREATED_WEBHOOK_URL is not set, Make relay skipped", { order_id, order_code });
+  }
+
+  if (order_code) {
+    const stripeRefs = {
+      checkout_session: { checkout_session_id: payment_details.id, payment_intent_id: payment_details.payment_intent },
+      payment_intent: { payment_intent_id: payment_details.id },
+    }[payment_details.type];
+    await markOrderPaid(order_code, {
+      orderId: order_id,
+      stripe: stripeRefs || {},
+      source: stripeRefs ? "stripe" : "admin",
+      amountTotal: payment_details.amount_total ?? payment_details.amount,
+      currency: payment_details.currency,
+      customerEmail: payment_details.customer_email,
+      breakdown: payment_details.breakdown,
+    });
+  }
+
+  if (md.promo_code) {
+    await recordPromoRedemption(md.promo_code, {
+      customerEmail: payment_details.customer_email,
+      orderCode: order_code || payment_details.id,
     });
-  } catch (e) {
-    console.warn("[apps-script] notify failed:", e?.message || e);
   }
+
+  const discount = md.promo_code
+    ? { code: md.promo_code, amount: Number(md.discount_amount) || 0 }
+    : null;
+  await notifyAppsScriptPaymentSucceeded(
+    { id: order_id, order_code, discount, invoice: invoiceFromMetadata(md), payment_details },
+    { dedupeKey: `payment_succeeded:${payment_details.id}` }
+  );
+
+  if (relayToMake) {
+    try {
+      await relayOrderCreated({ order_id, attemptNow: false, dedupeKey: `order_created:${payment_details.id}` });
+    } catch (e) {
+      // the payment is recorded: a relay problem must not fail (and replay) the whole event
+      log.payments.error("Make relay failed", { order_id, order_code, err: e });
+    }
+  }
+  log.payments.info("order marked paid", {
+    order_code,
+    order_id,
+    payment_type: payment_details.type,
+    payment_id: payment_details.id,
+  });
 }
 
 const app = express();
 
+// Behind a proxy / load balancer, req.ip must come from X-Forwarded-For (per-IP upload caps)
+if (config.TRUST_PROXY) {
+  const hops = Number(config.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? config.TRUST_PROXY : hops);
+}
+
+// Request id (X-Request-Id) for logs and outbound calls, access log and HTTP metrics
+app.use(requestContext({ onFinish: observeHttpRequest }));
+
 /**
  * CORS (put this first)
- * - Add your production domain(s) to origin
+ * - Allowed origins come from CORS_ORIGINS (comma-separated)
  * - Add a long maxAge so preflights are cached by the browser
  */
 const corsOptions = {
-  origin: [
-    "http://localhost:5173",
-    "http://localhost:3000",
-    "https://printora.it",
-    "https://www.printora.it",
-  ],
+  origin: config.CORS_ORIGINS,
   credentials: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "Accept", "X-Relay-Token"],
+  methods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "Accept",
+    "X-Order-Token",
+    "X-Quote-Token",
+    "X-Request-Id",
+    // tus resumable uploads
+    "Tus-Resumable",
+    "Upload-Length",
+    "Upload-Offset",
+    "Upload-Metadata",
+  ],
+  exposedHeaders: [
+    "Content-Disposition",
+    "Location",
+    "Retry-After",
+    "X-Request-Id",
+    "Tus-Resumable",
+    "Upload-Offset",
+    "Upload-Length",
+    "Upload-Expires",
+  ],
   maxAge: 86400, // cache preflight for 24h
 };
 app.use(cors(corsOptions));
@@ -49,31 +235,217 @@ app.use(cors(corsOptions));
  * ⚡ FAST PATH for upload preflight:
  * Short-circuit OPTIONS on the upload route so it never touches other middleware.
  */
-app.options("/api/files/upload", (req, res) => {
+app.options("/api/files/upload", requireRole("public"), (req, res) => {
   res.set({
     "Access-Control-Allow-Origin": req.headers.origin || "https://www.printora.it",
     "Access-Control-Allow-Credentials": "true",
     "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization, Accept, X-Relay-Token",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, Accept",
     "Access-Control-Max-Age": "86400",
   });
   return res.status(204).end();
 });
 
 // Safety: still allow generic preflight for any other route
-app.options("*", cors(corsOptions));
+app.options("*", requireRole("public"), cors(corsOptions));
 
 /**
  * Stripe init
  */
-if (!process.env.STRIPE_SECRET_KEY) {
-  console.error("❌ STRIPE_SECRET_KEY missing");
-  process.exit(1);
-}
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+const stripe = new Stripe(config.STRIPE_SECRET_KEY, {
   apiVersion: "2024-06-20",
 });
-const PMC_ID = process.env.STRIPE_PMC_ID;
+const PMC_ID = config.STRIPE_PMC_ID;
+// "reject" (default) refuses carts whose client amount differs from the server price,
+// "override" silently charges the server price instead
+const PRICE_MISMATCH_POLICY = config.PRICE_MISMATCH_POLICY;
+
+// Stripe allows 50 metadata keys of up to 40 characters, with values up to 500;
+// orderMetadata() adds up to 18 keys of its own
+const CLIENT_METADATA_MAX_KEYS = 30;
+const METADATA_KEY_MAX = 40;
+const METADATA_VALUE_MAX = 500;
+// keys orderMetadata() derives; the webhook trusts them, so callers can't supply them
+const RESERVED_METADATA_KEY = /^(invoice_|promo_|discount_|vat|vies|reverse_charge$|item_count$|shipping_method$|order_(total|net|vat)$)/;
+
+/**
+ * The caller's metadata for an order: reserved keys are dropped, the rest must
+ * be scalars within Stripe's limits.
+ * @param {object} input
+ * @returns {{meta?:Record<string,string>, error?:string}}
+ */
+function clientMetadata(input) {
+  if (input == null) return { meta: {} };
+  if (typeof input !== "object" || Array.isArray(input)) return { error: "metadata must be an object" };
+  const entries = Object.entries(input).filter(([key]) => !RESERVED_METADATA_KEY.test(key));
+  if (entries.length < Object.keys(input).length) {
+    log.payments.warn("reserved metadata keys dropped", { keys: Object.keys(input).filter((k) => RESERVED_METADATA_KEY.test(k)) });
+  }
+  if (entries.length > CLIENT_METADATA_MAX_KEYS) {
+    return { error: `metadata may have at most ${CLIENT_METADATA_MAX_KEYS} keys` };
+  }
+  for (const [key, value] of entries) {
+    if (key.length > METADATA_KEY_MAX) return { error: `metadata keys are limited to ${METADATA_KEY_MAX} characters` };
+    if (value !== null && typeof value === "object") return { error: `metadata.${key} must be a string` };
+    if (String(value ?? "").length > METADATA_VALUE_MAX) {
+      return { error: `metadata.${key} is limited to ${METADATA_VALUE_MAX} characters` };
+    }
+  }
+  return { meta: Object.fromEntries(entries.map(([key, value]) => [key, String(value ?? "")])) };
+}
+
+/**
+ * Price a cart exactly as checkout charges it: server catalog, promo code, VAT.
+ * Throws PricingError / PromoCodeError / InvoiceDetailsError on bad input
+ * (see sendCartError).
+ */
+async function priceCart({ items, shippingMethod, promoCode, invoice, customerEmail }) {
+  let quote = priceOrder({ items, shippingMethod });
+  // Promo codes are validated here, never trusted from the frontend math
+  const promo = promoCode ? resolvePromoCode({ code: promoCode, quote, customerEmail }) : null;
+  quote = applyPromo(quote, promo);
+  // Italian VAT, or EU reverse charge for VIES-validated foreign businesses
+  const vatTreatment = await resolveVatTreatment(invoice);
+  return { quote: applyVat(quote, vatTreatment), promo, vatTreatment };
+}
+
+/** Answer 400 for cart / promo / invoicing input errors; false for anything else. */
+function sendCartError(res, err) {
+  if (err instanceof PricingError) {
+    res.status(err.status).json({ error: err.message, item_index: err.index });
+  } else if (err instanceof PromoCodeError) {
+    res.status(err.status).json({ error: err.message, type: err.type });
+  } else if (err instanceof InvoiceDetailsError) {
+    res.status(err.status).json({ error: err.message, type: "invalid_invoice_details", field: err.field });
+  } else {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Order metadata as stored on the Checkout Session / PaymentIntent and read back
+ * by the webhook (also kept on quotes for bank transfers). `meta` must come
+ * through clientMetadata().
+ */
+function orderMetadata({ meta, quote, promo, vatTreatment, invoice }) {
+  return {
+    ...meta,
+    item_count: String(quote.lines.length),
+    order_total: (quote.total / 100).toFixed(2),
+    shipping_method: quote.shipping.method,
+    order_net: (quote.net / 100).toFixed(2),
+    order_vat: (quote.vat.amount / 100).toFixed(2),
+    vat_rate: String(quote.vat.rate),
+    reverse_charge: String(quote.vat.reverse_charge),
+    ...(vatTreatment.vies && { vies: vatTreatment.vies }),
+    ...(promo && { promo_code: promo.code, discount_amount: (promo.amount / 100).toFixed(2) }),
+    ...invoiceMetadata(invoice),
+  };
+}
+
+/** Totals as returned to the frontend (EUR). */
+function quoteSummary(quote, promo) {
+  return {
+    amount_total: quote.total / 100,
+    amount_net: quote.net / 100,
+    vat: { rate: quote.vat.rate, reverse_charge: quote.vat.reverse_charge, amount: quote.vat.amount / 100 },
+    shipping: {
+      method: quote.shipping.method,
+      amount: quote.shipping.total / 100,
+      options: quote.shippingOptions.map((o) => ({ method: o.method, name: o.name, amount: o.total / 100 })),
+    },
+    ...(promo && { promo_code: promo.code, discount_amount: promo.amount / 100 }),
+  };
+}
+
+function frontendBaseUrl() {
+  return config.NODE_ENV !== "production"
+    ? "http://localhost:5173"
+    : config.FRONTEND_URL;
+}
+
+/**
+ * Create the Stripe Checkout Session for a priced order and remember it on the order.
+ * @returns {Promise<Stripe.Checkout.Session>}
+ */
+async function createStripeCheckout({ quote, promo, invoice, metadata, customerEmail, customerName, cancelPath, source = "cart" }) {
+  const baseUrl = frontendBaseUrl();
+  const taxRates = quote.vat.rate > 0 ? [await stripeTaxRateFor(stripe, quote.vat.rate)] : undefined;
+  const line_items = quote.lines.map((line) => ({
+    price_data: {
+      currency: quote.currency,
+      product_data: { name: line.name, description: line.description },
+      unit_amount: line.unitAmount, // cents, net
+    },
+    quantity: line.quantity,
+    ...(taxRates && { tax_rates: taxRates }),
+  }));
+
+  // Every rate the parcel qualifies for, the customer's choice first (Stripe preselects it)
+  const shipping_options = [
+    quote.shipping,
+    ...quote.shippingOptions.filter((o) => o.method !== quote.shipping.method),
+  ].map((o) => ({
+    shipping_rate_data: {
+      type: "fixed_amount",
+      display_name: o.name,
+      fixed_amount: { amount: o.total, currency: quote.currency }, // VAT included
+      metadata: { method: o.method, net: String(o.amount), vat: String(o.vat) },
+      ...(o.deliveryDays && {
+        delivery_estimate: {
+          minimum: { unit: "business_day", value: o.deliveryDays[0] },
+          maximum: { unit: "business_day", value: o.deliveryDays[1] },
+        },
+      }),
+    },
+  }));
+
+  const discounts = promo ? [{ coupon: await stripeCouponFor(stripe, promo, quote.currency) }] : undefined;
+
+  // Invoice customers get a Stripe customer carrying their VAT number, so it
+  // shows on Stripe receipts. It can't be edited on the Checkout page: the VAT
+  // treatment (reverse charge or not) was decided on this number.
+  let customer = null;
+  if (invoice) {
+    customer = await stripe.customers.create({
+      ...(customerEmail && { email: customerEmail }),
+      name: invoice.company_name || customerName || undefined,
+      ...(invoice.vat_number && {
+        tax_id_data: [{ type: "eu_vat", value: `${euVatPrefix(invoice.country)}${invoice.vat_number}` }],
+      }),
+      metadata: { order_code: metadata.order_code, ...invoiceMetadata(invoice) },
+    });
+  }
+
+  const session = await stripe.checkout.sessions.create({
+    mode: "payment",
+    line_items,
+    shipping_options,
+    ...(discounts && { discounts }),
+    ...(quote.vat.reverse_charge && { custom_text: { submit: { message: REVERSE_CHARGE_NOTE } } }),
+    success_url: `${baseUrl}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${baseUrl}${cancelPath || "/payment-cancel"}`,
+    locale: "auto",
+    // the invoice needs a full billing address
+    billing_address_collection: invoice ? "required" : "auto",
+    ...(customer
+      ? {
+          customer: customer.id,
+          customer_update: { name: "auto", address: "auto" },
+        }
+      : customerEmail && { customer_email: customerEmail }),
+    ...(PMC_ID ? { payment_method_configuration: PMC_ID } : {}),
+    metadata,
+    // Copy order ids onto the PaymentIntent so payment_intent.* webhooks can find the order
+    payment_intent_data: { metadata },
+  });
+
+  checkoutSessions.inc({ source });
+  log.payments.info("checkout session created", { session_id: session.id, order_code: metadata.order_code, source });
+  await setStripeRefs(metadata.order_code, { checkout_session_id: session.id });
+  return session;
+}
 
 /**
  * Route-scoped parser BEFORE global parsers for Stripe Checkout creation
@@ -81,72 +453,513 @@ const PMC_ID = process.env.STRIPE_PMC_ID;
  */
 app.post(
   "/api/create-checkout-session",
+  requireRole("public"),
   express.json({ limit: "2mb" }),
   async (req, res) => {
     try {
-      const { amount, items = [], shippingAddress, metadata = {} } = req.body;
+      const { amount, items = [], shippingAddress, shippingMethod, metadata = {} } = req.body;
+      const promoCode = req.body.promoCode ?? req.body.promo_code;
 
-      if (typeof amount !== "number" || !(amount > 0)) {
+      if (amount !== undefined && (typeof amount !== "number" || !(amount > 0))) {
         return res.status(400).json({ error: "Amount must be a positive number" });
       }
 
-      const isDevelopment = process.env.NODE_ENV !== "production";
-      const baseUrl = isDevelopment
-        ? "http://localhost:5173"
-        : (process.env.FRONTEND_URL || "https://printora.it");
+      // Never trust the client total: re-price the cart from the server catalog
+      let invoice, quote, promo, vatTreatment;
+      try {
+        // Fattura elettronica details (optional)
+        invoice = req.body.invoice ? validateInvoiceDetails(req.body.invoice) : null;
+        ({ quote, promo, vatTreatment } = await priceCart({
+          items,
+          shippingMethod,
+          promoCode,
+          invoice,
+          customerEmail: shippingAddress?.email,
+        }));
+      } catch (err) {
+        if (sendCartError(res, err)) return;
+        throw err;
+      }
+
+      // Client-side amount (EUR) is only used as a cross-check
+      if (amount !== undefined && Math.abs(Math.round(amount * 100) - quote.total) > 1) {
+        log.payments.warn("checkout amount mismatch", { client_amount: amount, server_amount: quote.total / 100 });
+        if (PRICE_MISMATCH_POLICY !== "override") {
+          return res.status(409).json({
+            error: "Amount does not match server price",
+            type: "price_mismatch",
+            expected_amount: quote.total / 100,
+          });
+        }
+      }
 
-      // NOTE: leaving your existing code style intact (no edits to logic):
+      const { meta, error: metadataError } = clientMetadata(metadata);
+      if (metadataError) return res.status(400).json({ error: metadataError, type: "invalid_metadata" });
       if (req.body.order_id && !meta.order_id) meta.order_id = String(req.body.order_id);
       if (req.body.order_code && !meta.order_code) meta.order_code = String(req.body.order_code);
+      if (!meta.order_code) meta.order_code = generateOrderCode();
+      if (!ORDER_CODE_RE.test(meta.order_code)) {
+        return res.status(400).json({ error: "Invalid order_code" });
+      }
 
-      const session = await stripe.checkout.sessions.create({
-        mode: "payment",
-        line_items: [
-          {
-            price_data: {
-              currency: "eur",
-              product_data: {
-                name: "Order from Printora",
-                description: `Order containing ${items?.length || 0} items`,
-              },
-              unit_amount: Math.round(amount * 100), // cents
-            },
-            quantity: 1,
-          },
-        ],
-        success_url: `${baseUrl}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
-        cancel_url: `${baseUrl}/payment-cancel`,
-        locale: "auto",
-        billing_address_collection: "auto",
-        ...(shippingAddress?.email && { customer_email: shippingAddress.email }),
-        ...(PMC_ID ? { payment_method_configuration: PMC_ID } : {}),
-        metadata: {
-          item_count: String(items?.length || 0),
-          order_total: String(amount),
-          ...metadata,
-        },
-      });
+      // Local order record (status API); refuses orders that are already paid, and
+      // existing orders unless the request carries their token (restarted checkout)
+      let orderToken;
+      try {
+        ({ token: orderToken } = await upsertPendingOrder({
+          orderCode: meta.order_code,
+          orderId: meta.order_id,
+          quote,
+          customerEmail: shippingAddress?.email,
+          invoice,
+          driveFileIds: items.map((i) => i?.driveFileId).filter(Boolean).map(String),
+          orderToken: String(req.headers["x-order-token"] || req.body.order_token || ""),
+        }));
+      } catch (err) {
+        if (err instanceof OrderError) return res.status(err.status).json({ error: err.message });
+        throw err;
+      }
 
-      console.log("Checkout session created successfully:", session.id);
-      return res.json({ id: session.id, url: session.url });
+      const session = await createStripeCheckout({
+        quote,
+        promo,
+        invoice,
+        metadata: orderMetadata({ meta, quote, promo, vatTreatment, invoice }),
+        customerEmail: shippingAddress?.email,
+        customerName: shippingAddress?.name,
+      });
+      return res.json({
+        id: session.id,
+        url: session.url,
+        ...quoteSummary(quote, promo),
+        order_code: meta.order_code,
+        // lets the customer read GET /api/orders/:orderCode
+        order_token: orderToken,
+      });
     } catch (err) {
-      console.error("Create checkout session failed:", err);
+      log.payments.error("create checkout session failed", { err });
       return res.status(500).json({
         error: err?.message || "Stripe error",
         type: err?.type || "stripe_error",
-        details: process.env.NODE_ENV === "development" ? err.stack : undefined,
+        details: config.NODE_ENV === "development" ? err.stack : undefined,
       });
     }
   }
 );
 
+/**
+ * Quotes for customers who can't pay at checkout (purchase orders, bank transfer)
+ *   POST /api/quotes                 price a cart, returns the acceptance link and PDF link
+ *   GET  /api/quotes/:id             quote status and totals
+ *   GET  /api/quotes/:id/pdf         PDF summary
+ *   POST /api/quotes/:id/accept      { payment_method: "card" | "bank_transfer" }
+ * Everything but the creation needs the quote token (?token= or X-Quote-Token).
+ */
+const quoteAcceptUrl = (quote, token) =>
+  `${frontendBaseUrl()}/quotes/${encodeURIComponent(quote.id)}` +
+  (token ? `?token=${encodeURIComponent(token)}` : "");
+
+app.post("/api/quotes", requireRole("public"), express.json({ limit: "2mb" }), async (req, res) => {
+  try {
+    const { items = [], shippingMethod, customer = {}, notes } = req.body || {};
+    const promoCode = req.body?.promoCode ?? req.body?.promo_code;
+    const email = String(customer.email || "").trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: "customer.email is required" });
+    }
+
+    let invoice, quote, promo, vatTreatment;
+    try {
+      invoice = req.body.invoice ? validateInvoiceDetails(req.body.invoice) : null;
+      ({ quote, promo, vatTreatment } = await priceCart({
+        items,
+        shippingMethod,
+        promoCode,
+        invoice,
+        customerEmail: email,
+      }));
+    } catch (err) {
+      if (sendCartError(res, err)) return;
+      throw err;
+    }
+
+    const meta = {};
+    if (req.body.order_id) meta.order_id = String(req.body.order_id);
+    meta.order_code = req.body.order_code ? String(req.body.order_code) : generateOrderCode();
+    if (!ORDER_CODE_RE.test(meta.order_code)) {
+      return res.status(400).json({ error: "Invalid order_code" });
+    }
+    if (getOrder(meta.order_code)) {
+      return res.status(409).json({ error: `Order ${meta.order_code} already exists` });
+    }
+
+    const { quote: record, token } = await createQuote({
+      orderCode: meta.order_code,
+      orderId: meta.order_id,
+      pricing: quote,
+      promo,
+      invoice,
+      customer: {
+        email,
+        name: customer.name ? String(customer.name).slice(0, 120) : null,
+        company: customer.company ? String(customer.company).slice(0, 120) : null,
+        phone: customer.phone ? String(customer.phone).slice(0, 40) : null,
+      },
+      metadata: orderMetadata({ meta, quote, promo, vatTreatment, invoice }),
+      driveFileIds: items.map((i) => i?.driveFileId).filter(Boolean).map(String),
+      notes: notes ? String(notes).slice(0, 2000) : null,
+    });
+
+    const apiBase = `${req.protocol}://${req.get("host")}/api/quotes/${encodeURIComponent(record.id)}`;
+    log.quotes.info("quote created", { quote_id: record.id, order_code: record.order_code, total: quote.total / 100 });
+    return res.status(201).json({
+      ok: true,
+      quote_id: record.id,
+      order_code: record.order_code,
+      expires_at: record.expires_at,
+      ...quoteSummary(quote, promo),
+      quote_token: token,
+      accept_url: quoteAcceptUrl(record, token),
+      pdf_url: `${apiBase}/pdf?token=${encodeURIComponent(token)}`,
+    });
+  } catch (err) {
+    if (err instanceof QuoteError) return res.status(err.status).json({ error: err.message });
+    log.quotes.error("quote create failed", { err });
+    return res.status(500).json({ error: "Could not create quote" });
+  }
+});
+
+/**
+ * Quote for a request carrying a valid quote token, or any quote for staff
+ * (without a token then; the PDF acceptance link is printed without it).
+ */
+function quoteForRequest(req) {
+  const token = req.headers["x-quote-token"] || req.query.token;
+  const quote = getQuote(req.params.id);
+  if (!quote) return null;
+  if (verifyQuoteToken(quote, token)) return { quote, token };
+  return ["operator", "admin"].includes(req.auth?.role) ? { quote, token: null } : null;
+}
+
+// Role: customer (quote token) for the quote routes below; staff keys work on any quote
+const quoteCustomer = requireRole("customer", { resourceToken: (req) => !!quoteForRequest(req) });
+
+app.get("/api/quotes/:id", quoteCustomer, (req, res) => {
+  const found = quoteForRequest(req);
+  if (!found) return res.status(404).json({ ok: false, error: "Quote not found" });
+  res.set("Cache-Control", "no-store");
+  const { quote } = found;
+  return res.json({
+    ok: true,
+    quote: publicQuoteView(quote),
+    ...(quote.payment_method === "bank_transfer" && { bank_transfer: bankTransferInstructions(quote) }),
+  });
+});
+
+app.get("/api/quotes/:id/pdf", quoteCustomer, async (req, res) => {
+  const found = quoteForRequest(req);
+  if (!found) return res.status(404).json({ ok: false, error: "Quote not found" });
+  try {
+    const pdf = await renderQuotePdf(found.quote, { acceptUrl: quoteAcceptUrl(found.quote, found.token) });
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="preventivo-${found.quote.id}.pdf"`,
+      "Cache-Control": "no-store",
+    });
+    return res.send(Buffer.from(pdf));
+  } catch (err) {
+    log.quotes.error("quote pdf failed", { quote_id: found.quote.id, err });
+    return res.status(500).json({ ok: false, error: "Could not render quote PDF" });
+  }
+});
+
+app.post("/api/quotes/:id/accept", quoteCustomer, express.json(), async (req, res) => {
+  const found = quoteForRequest(req);
+  if (!found) return res.status(404).json({ ok: false, error: "Quote not found" });
+  const paymentMethod = String(req.body?.payment_method || "card");
+
+  try {
+    if (paymentMethod === "bank_transfer" && !config.BANK_TRANSFER_IBAN) {
+      return res.status(400).json({ ok: false, error: "Bank transfer is not available" });
+    }
+    const quote = await acceptQuote(found.quote.id, paymentMethod);
+    const { pricing } = quote;
+
+    const { token: orderToken } = await upsertPendingOrder({
+      orderCode: quote.order_code,
+      orderId: quote.order_id,
+      quote: pricing,
+      customerEmail: quote.customer.email,
+      invoice: quote.invoice,
+      quoteId: quote.id,
+      driveFileIds: quote.drive_file_ids,
+    });
+
+    if (paymentMethod === "bank_transfer") {
+      await transitionOrder(quote.order_code, "pending_transfer", {
+        source: "customer",
+        note: `quote ${quote.id} accepted, paying by bank transfer`,
+        patch: { payment_method: "bank_transfer" },
+      });
+      const instructions = bankTransferInstructions(quote);
+      await notifyAppsScriptTransferPending({
+        id: quote.order_id,
+        order_code: quote.order_code,
+        quote_id: quote.id,
+        invoice: quote.invoice,
+        bank_transfer: instructions,
+        breakdown: quoteBreakdown(pricing),
+      });
+      log.quotes.info("quote accepted, awaiting bank transfer", { quote_id: quote.id, order_code: quote.order_code });
+      return res.json({
+        ok: true,
+        payment_method: paymentMethod,
+        order_code: quote.order_code,
+        order_token: orderToken,
+        bank_transfer: instructions,
+      });
+    }
+
+    // Card: a Checkout session at the quoted prices (promo and VAT as frozen in the quote)
+    const session = await createStripeCheckout({
+      quote: pricing,
+      promo: quote.promo,
+      invoice: quote.invoice,
+      metadata: quote.metadata,
+      customerEmail: quote.customer.email,
+      customerName: quote.customer.name,
+      cancelPath: `/quotes/${encodeURIComponent(quote.id)}?token=${encodeURIComponent(found.token)}`,
+      source: "quote",
+    });
+    return res.json({
+      ok: true,
+      payment_method: paymentMethod,
+      order_code: quote.order_code,
+      order_token: orderToken,
+      id: session.id,
+      url: session.url,
+    });
+  } catch (err) {
+    if (err instanceof QuoteError || err instanceof OrderError) {
+      return res.status(err.status).json({ ok: false, error: err.message });
+    }
+    log.quotes.error("quote accept failed", { quote_id: found.quote.id, err });
+    return res.status(500).json({ ok: false, error: err?.message || "Could not accept quote" });
+  }
+});
+
+/**
+ * Apply a verified Stripe event (shared by the webhook and admin replays).
+ * Throws on failure so the caller can record it and let Stripe retry.
+ */
+async function handleStripeEvent(event) {
+  switch (event.type) {
+    case "payment_intent.payment_failed": {
+      const pi = event.data.object;
+      const md = pi.metadata || {};
+      await notifyAppsScriptPaymentFailed({
+        id: md.order_id || null,
+        order_code: md.order_code || null,
+        payment_details: {
+          type: "payment_intent",
+          id: pi.id,
+          last_payment_error: pi.last_payment_error?.message || null,
+          status: pi.status,
+          amount: pi.amount,
+          currency: pi.currency,
+        },
+      });
+      break;
+    }
+
+    case "checkout.session.async_payment_failed":
+    case "checkout.session.expired": {
+      const cs = event.data.object;
+      const md = cs.metadata || {};
+      // Only cancel if this was the order's latest checkout attempt
+      const order = md.order_code ? getOrder(md.order_code) : null;
+      if (order?.status === "pending_payment" && order.stripe.checkout_session_id === cs.id) {
+        await transitionOrder(md.order_code, "cancelled", {
+          source: "stripe",
+          note: event.type === "checkout.session.expired" ? "checkout expired" : "async payment failed",
+        });
+      }
+      await notifyAppsScriptPaymentFailed({
+        id: md.order_id || null,
+        order_code: md.order_code || null,
+        payment_details: {
+          type: "checkout_session",
+          id: cs.id,
+          status: cs.status,
+          payment_status: cs.payment_status,
+          amount_total: cs.amount_total,
+          currency: cs.currency,
+          breakdown: await checkoutBreakdown(cs, stripe),
+        },
+      });
+      break;
+    }
+
+    case "checkout.session.completed":
+    case "checkout.session.async_payment_succeeded": {
+      const cs = event.data.object;
+      // Delayed methods (e.g. SEPA) complete the session while still unpaid;
+      // those orders are marked paid on async_payment_succeeded instead.
+      if (cs.payment_status !== "paid") break;
+      await handleOrderPaid({
+        md: cs.metadata || {},
+        payment_details: {
+          type: "checkout_session",
+          id: cs.id,
+          payment_intent: cs.payment_intent || null,
+          status: cs.status,
+          payment_status: cs.payment_status,
+          amount_total: cs.amount_total,
+          currency: cs.currency,
+          customer_email: cs.customer_details?.email || cs.customer_email || null,
+          tax_ids: cs.customer_details?.tax_ids || [],
+          breakdown: await checkoutBreakdown(cs, stripe),
+        },
+      });
+      break;
+    }
+
+    case "payment_intent.succeeded": {
+      const pi = event.data.object;
+      // PaymentIntents created by Checkout are handled via the session events above
+      const { data: sessions } = await stripe.checkout.sessions.list({
+        payment_intent: pi.id,
+        limit: 1,
+      });
+      if (sessions.length) break;
+      await handleOrderPaid({
+        md: pi.metadata || {},
+        payment_details: {
+          type: "payment_intent",
+          id: pi.id,
+          status: pi.status,
+          amount: pi.amount_received ?? pi.amount,
+          currency: pi.currency,
+        },
+      });
+      break;
+    }
+
+    case "charge.refunded": {
+      const charge = event.data.object;
+      const { order_id, order_code } = await orderRefsForPaymentIntent(charge.payment_intent);
+      if (order_code) {
+        await updateOrderPayment(order_code, { refunded_amount: charge.amount_refunded });
+      }
+      await notifyAppsScriptRefunded({
+        id: order_id,
+        order_code,
+        payment_details: {
+          type: "charge",
+          id: charge.id,
+          payment_intent: charge.payment_intent || null,
+          amount: charge.amount,
+          amount_refunded: charge.amount_refunded,
+          fully_refunded: charge.refunded,
+          currency: charge.currency,
+        },
+      });
+      break;
+    }
+
+    case "charge.dispute.created": {
+      const dispute = event.data.object;
+      const { order_id, order_code } = await orderRefsForPaymentIntent(dispute.payment_intent);
+      if (order_code) {
+        await updateOrderPayment(order_code, {
+          dispute: {
+            id: dispute.id,
+            reason: dispute.reason,
+            status: dispute.status,
+            amount: dispute.amount,
+            created_at: new Date(dispute.created * 1000).toISOString(),
+          },
+        });
+      }
+      await notifyAppsScriptDisputed({
+        id: order_id,
+        order_code,
+        payment_details: {
+          type: "dispute",
+          id: dispute.id,
+          charge: dispute.charge,
+          payment_intent: dispute.payment_intent || null,
+          reason: dispute.reason,
+          status: dispute.status,
+          amount: dispute.amount,
+          currency: dispute.currency,
+          evidence_due_by: dispute.evidence_details?.due_by
+            ? new Date(dispute.evidence_details.due_by * 1000).toISOString()
+            : null,
+        },
+      });
+      break;
+    }
+
+    default:
+      // ignore others
+      break;
+  }
+}
+
+/**
+ * Order ids for a PaymentIntent: charges and disputes don't carry the checkout
+ * metadata, so use the local store and fall back to the PaymentIntent itself.
+ */
+async function orderRefsForPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return { order_id: null, order_code: null };
+  const order = findOrderByPaymentIntent(paymentIntentId);
+  if (order) return { order_id: order.order_id, order_code: order.order_code };
+  const pi = await stripe.paymentIntents.retrieve(paymentIntentId);
+  return { order_id: pi.metadata?.order_id || null, order_code: pi.metadata?.order_code || null };
+}
+
+/**
+ * Run an event through the idempotency store: skips events already processed
+ * (Stripe retries) and records outcome and timing of each attempt.
+ * @returns {Promise<{duplicate:boolean, record:object, error?:Error}>}
+ */
+async function processStripeEvent(event, { force = false } = {}) {
+  const { claimed, record } = await beginEvent(event, { force });
+  if (!claimed) {
+    log.webhook.info("event already handled, skipping", { event_id: event.id, type: event.type, status: record.status });
+    webhookEvents.inc({ type: event.type, outcome: "duplicate" });
+    return { duplicate: true, record };
+  }
+  try {
+    await handleStripeEvent(event);
+  } catch (error) {
+    webhookEvents.inc({ type: event.type, outcome: "failed" });
+    return { duplicate: false, record: await finishEvent(event.id, { error }), error };
+  }
+  webhookEvents.inc({ type: event.type, outcome: "processed" });
+  return { duplicate: false, record: await finishEvent(event.id) };
+}
+
+// Events that mark an order paid (and redeem its promo code, notify Make/Apps Script):
+// never taken from an unsigned payload
+const PAYMENT_SUCCESS_EVENTS = new Set([
+  "checkout.session.completed",
+  "checkout.session.async_payment_succeeded",
+  "payment_intent.succeeded",
+]);
+
 // Stripe Webhook (must use raw body!)
+// Role: public - authenticated by the Stripe-Signature header instead.
+// Without STRIPE_WEBHOOK_SECRET (never in production) payloads are parsed unverified
+// and payment successes are refused.
 app.post(
   "/api/stripe-webhook",
+  requireRole("public"),
   express.raw({ type: "application/json" }),
   async (req, res) => {
     const sig = req.headers["stripe-signature"];
-    const whSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    const whSecret = config.STRIPE_WEBHOOK_SECRET;
 
     let event;
     try {
@@ -156,79 +969,52 @@ app.post(
         event = JSON.parse(req.body.toString("utf8"));
       }
     } catch (err) {
-      console.error("[stripe-webhook] signature verification failed:", err.message);
+      log.webhook.warn("signature verification failed", { reason: err.message });
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
+    if (!whSecret && PAYMENT_SUCCESS_EVENTS.has(event?.type)) {
+      log.webhook.warn("unsigned payment success event refused", { event_id: event.id, type: event.type });
+      return res.status(400).send("Webhook Error: STRIPE_WEBHOOK_SECRET is not set, payment events need a verified signature");
+    }
+    if (typeof event.livemode === "boolean" && event.livemode !== (stripeMode() === "live")) {
+      // the endpoint's secret and STRIPE_SECRET_KEY belong to different Stripe modes
+      log.webhook.error("event mode does not match STRIPE_SECRET_KEY", {
+        event_id: event.id,
+        event_livemode: event.livemode,
+        key_mode: stripeMode(),
+      });
+    }
 
     try {
-      switch (event.type) {
-        case "payment_intent.payment_failed": {
-          const pi = event.data.object;
-          const md = pi.metadata || {};
-          await notifyAppsScriptPaymentFailed({
-            id: md.order_id || null,
-            order_code: md.order_code || null,
-            payment_details: {
-              type: "payment_intent",
-              id: pi.id,
-              last_payment_error: pi.last_payment_error?.message || null,
-              status: pi.status,
-              amount: pi.amount,
-              currency: pi.currency,
-            },
-          });
-          break;
-        }
-
-        case "checkout.session.async_payment_failed":
-        case "checkout.session.expired": {
-          const cs = event.data.object;
-          const md = cs.metadata || {};
-          await notifyAppsScriptPaymentFailed({
-            id: md.order_id || null,
-            order_code: md.order_code || null,
-            payment_details: {
-              type: "checkout_session",
-              id: cs.id,
-              status: cs.status,
-              payment_status: cs.payment_status,
-              amount_total: cs.amount_total,
-              currency: cs.currency,
-            },
-          });
-          break;
-        }
-
-        default:
-          // ignore others
-          break;
-      }
-
-      res.json({ received: true });
+      const { duplicate, error } = await processStripeEvent(event);
+      if (error) throw error;
+      res.json({ received: true, ...(duplicate && { duplicate: true }) });
     } catch (e) {
-      console.error("[stripe-webhook] handler error:", e);
+      log.webhook.error("handler failed", { event_id: event.id, type: event.type, err: e });
       res.status(500).json({ error: "handler error" });
     }
   }
 );
 
-// TEMP test route (remove in production)
-app.post("/api/test-payment-failed", express.json(), async (req, res) => {
-  const payload = {
-    id: req.body.id || 9999,
-    order_code: req.body.order_code || "ORD-9999",
-    payment_details: {
-      type: "checkout_session",
-      id: "cs_test_123",
-      status: "expired",
-      payment_status: "unpaid",
-      amount_total: 1234,
-      currency: "eur",
-    },
-  };
-  await notifyAppsScriptPaymentFailed(payload);
-  res.json({ ok: true, forwarded: payload });
-});
+// Test route for the Apps Script PAYMENT_FAILED flow (never mounted in production)
+if (config.NODE_ENV !== "production") {
+  app.post("/api/test-payment-failed", requireRole("operator"), express.json(), async (req, res) => {
+    const payload = {
+      id: req.body.id || 9999,
+      order_code: req.body.order_code || "ORD-9999",
+      payment_details: {
+        type: "checkout_session",
+        id: "cs_test_123",
+        status: "expired",
+        payment_status: "unpaid",
+        amount_total: 1234,
+        currency: "eur",
+      },
+    };
+    await notifyAppsScriptPaymentFailed(payload);
+    res.json({ ok: true, forwarded: payload });
+  });
+}
 
 /**
  * 🚀 IMPORTANT: Mount the files router BEFORE global JSON/urlencoded parsers.
@@ -237,9 +1023,17 @@ app.post("/api/test-payment-failed", express.json(), async (req, res) => {
 app.use("/api/files", filesRouter);
 
 /**
- * Global parsers for the rest of the routes
+ * Global parsers for the rest of the routes.
+ * The raw JSON body is kept on req.rawBody for HMAC-signed integration callbacks.
  */
-app.use(express.json({ limit: "1mb" }));
+app.use(
+  express.json({
+    limit: "1mb",
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "1mb" }));
 
 /**
@@ -247,55 +1041,409 @@ app.use(express.urlencoded({ extended: true, limit: "1mb" }));
  */
 app.use("/api/hooks", hooksRouter);
 
+/**
+ * Orders API (file finalization into the order's storage folder)
+ */
+app.use("/api/orders", ordersRouter);
+
 /**
  * ✅ Contact API (NEW)
  *   - This is the JSON route your frontend calls: POST /api/contact
  *   - contactRouter handles GET ping, OPTIONS, and POST forwarding to Apps Script
  */
 app.use("/api/contact", contactRouter);
-console.log("[BOOT] contact router mounted at /api/contact");
 
 /**
- * Health Check
+ * Admin API: `Authorization: Bearer <API key | JWT | ADMIN_API_TOKEN>` (see auth.js).
+ * Operators can inspect and run day-to-day order operations; anything that moves
+ * money, re-runs side effects or manages keys needs admin.
+ */
+
+/**
+ * API keys (rotatable at runtime, no redeploy)
+ *   GET    /api/admin/api-keys
+ *   POST   /api/admin/api-keys             body: { role, label?, expires_in_days? }
+ *   POST   /api/admin/api-keys/:id/rotate  new key; the old one keeps working for a grace period
+ *   DELETE /api/admin/api-keys/:id         revoke now
+ * The plain key is only returned on create / rotate.
+ */
+app.get("/api/admin/api-keys", requireRole("admin"), (req, res) => {
+  res.json({ ok: true, keys: listApiKeys() });
+});
+
+app.post("/api/admin/api-keys", requireRole("admin"), async (req, res) => {
+  try {
+    const { role, label, expires_in_days } = req.body || {};
+    const { key, record } = await createApiKey({ role, label, expiresInDays: expires_in_days });
+    log.admin.info("API key created", { key_id: record.id, role: record.role, by: req.auth.id });
+    res.status(201).json({ ok: true, key, api_key: record });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ ok: false, error: e.message });
+    log.admin.error("API key create failed", { err: e });
+    res.status(500).json({ ok: false, error: "api key error" });
+  }
+});
+
+app.post("/api/admin/api-keys/:id/rotate", requireRole("admin"), async (req, res) => {
+  try {
+    const rotated = await rotateApiKey(req.params.id);
+    if (!rotated) return res.status(404).json({ ok: false, error: "Unknown or inactive key" });
+    log.admin.info("API key rotated", { key_id: req.params.id, new_key_id: rotated.record.id, by: req.auth.id });
+    res.json({ ok: true, key: rotated.key, api_key: rotated.record, previous: rotated.previous });
+  } catch (e) {
+    log.admin.error("API key rotate failed", { key_id: req.params.id, err: e });
+    res.status(500).json({ ok: false, error: "api key error" });
+  }
+});
+
+app.delete("/api/admin/api-keys/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const record = await revokeApiKey(req.params.id);
+    if (!record) return res.status(404).json({ ok: false, error: "Unknown key" });
+    log.admin.info("API key revoked", { key_id: record.id, by: req.auth.id });
+    res.json({ ok: true, api_key: record });
+  } catch (e) {
+    log.admin.error("API key revoke failed", { key_id: req.params.id, err: e });
+    res.status(500).json({ ok: false, error: "api key error" });
+  }
+});
+
+/**
+ * Rejected contact form messages (spam checks, see contactSpam.js)
+ *   GET /api/admin/contact-rejections?reason=spam_score&limit=50   (operator)
+ */
+app.get("/api/admin/contact-rejections", requireRole("operator"), (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const items = listContactRejections({
+    reason: req.query.reason ? String(req.query.reason) : undefined,
+    limit,
+  });
+  res.json({ ok: true, count: items.length, rejections: items });
+});
+
+/**
+ * Webhook event log
+ *   GET  /api/admin/webhook-events?status=failed&type=...&limit=50   (operator)
+ *   POST /api/admin/webhook-events/:id/replay  (admin; fetches the event from Stripe and re-runs it)
+ */
+app.get("/api/admin/webhook-events", requireRole("operator"), (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const events = listEvents({
+    status: req.query.status ? String(req.query.status) : undefined,
+    type: req.query.type ? String(req.query.type) : undefined,
+    limit,
+  });
+  res.json({ ok: true, count: events.length, events });
+});
+
+app.post("/api/admin/webhook-events/:id/replay", requireRole("admin"), async (req, res) => {
+  const record = getEvent(req.params.id);
+  if (!record) return res.status(404).json({ error: "Unknown event" });
+  if (record.status === "processed" && req.query.force !== "true") {
+    return res.status(409).json({ error: "Event already processed (use ?force=true to replay anyway)" });
+  }
+  let event;
+  try {
+    // only the outcome is stored locally; Stripe keeps events for 30 days
+    event = await stripe.events.retrieve(record.id);
+  } catch (e) {
+    if (e?.type === "StripeInvalidRequestError") {
+      return res.status(410).json({ error: "Event is no longer available from Stripe" });
+    }
+    log.admin.error("webhook replay: event fetch failed", { event_id: record.id, err: e });
+    return res.status(502).json({ ok: false, error: "Stripe error" });
+  }
+  try {
+    const { record: summary, error } = await processStripeEvent(event, { force: true });
+    if (error) return res.status(502).json({ ok: false, error: error.message, event: summary });
+    res.json({ ok: true, event: summary });
+  } catch (e) {
+    log.admin.error("webhook replay failed", { event_id: req.params.id, err: e });
+    res.status(500).json({ ok: false, error: "replay error" });
+  }
+});
+
+/**
+ * Outbound delivery queue (Apps Script / Make)
+ *   GET  /api/admin/outbox?status=dead&limit=50
+ *   POST /api/admin/outbox/:id/retry  (re-queues a dead-lettered message)
+ * Role: operator
+ */
+app.get("/api/admin/outbox", requireRole("operator"), (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const messages = listMessages({
+    status: req.query.status ? String(req.query.status) : undefined,
+    limit,
+  });
+  res.json({ ok: true, stats: outboxStats(), count: messages.length, messages });
+});
+
+app.post("/api/admin/outbox/:id/retry", requireRole("operator"), async (req, res) => {
+  try {
+    const message = await retryMessage(req.params.id);
+    if (!message) return res.status(404).json({ error: "Unknown message" });
+    res.json({ ok: message.status !== "dead", message });
+  } catch (e) {
+    log.admin.error("outbox retry failed", { message_id: req.params.id, err: e });
+    res.status(500).json({ ok: false, error: "retry error" });
+  }
+});
+
+/**
+ * Refund an order (full or partial) through Stripe
+ *   POST /api/admin/orders/:orderCode/refund
+ *   body: { amount?: number (EUR, defaults to the remaining balance), reason?: string }
+ * `reason` may be one of Stripe's reasons (duplicate, fraudulent, requested_by_customer)
+ * or free text, which is kept as a note. An Idempotency-Key header makes retries safe.
+ * Role: admin
+ */
+const STRIPE_REFUND_REASONS = ["duplicate", "fraudulent", "requested_by_customer"];
+
+app.post("/api/admin/orders/:orderCode/refund", requireRole("admin"), express.json(), async (req, res) => {
+  const { orderCode } = req.params;
+  const order = getOrder(orderCode);
+  if (!order) return res.status(404).json({ error: "Unknown order" });
+
+  let paymentIntentId = order.stripe?.payment_intent_id;
+  try {
+    if (!paymentIntentId && order.stripe?.checkout_session_id) {
+      const cs = await stripe.checkout.sessions.retrieve(order.stripe.checkout_session_id);
+      paymentIntentId = typeof cs.payment_intent === "string" ? cs.payment_intent : cs.payment_intent?.id;
+    }
+  } catch (e) {
+    log.admin.error("refund session lookup failed", { order_code: orderCode, err: e });
+    return res.status(502).json({ ok: false, error: "Could not look up the checkout session" });
+  }
+  if (!paymentIntentId || !order.paid_at) {
+    return res.status(409).json({ error: `Order ${orderCode} has no captured payment to refund` });
+  }
+
+  const remaining = (order.amount_total || 0) - (order.refunded_amount || 0);
+  const { amount, reason } = req.body || {};
+  let cents = remaining;
+  if (amount != null) {
+    cents = Math.round(Number(amount) * 100);
+    if (!Number.isFinite(cents) || cents <= 0) {
+      return res.status(400).json({ error: "amount must be a positive number (EUR)" });
+    }
+  }
+  if (cents > remaining) {
+    return res.status(400).json({ error: `amount exceeds the refundable balance (${remaining / 100} EUR)` });
+  }
+
+  const stripeReason = STRIPE_REFUND_REASONS.includes(reason) ? reason : undefined;
+  const note = reason && !stripeReason ? String(reason).slice(0, 500) : undefined;
+  const idempotencyKey = req.headers["idempotency-key"];
+
+  try {
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: paymentIntentId,
+        amount: cents,
+        ...(stripeReason && { reason: stripeReason }),
+        metadata: {
+          order_code: orderCode,
+          ...(order.order_id && { order_id: order.order_id }),
+          ...(note && { note }),
+        },
+      },
+      idempotencyKey ? { idempotencyKey: `refund-${orderCode}-${idempotencyKey}` } : undefined
+    );
+    const updated = await recordRefund(orderCode, {
+      id: refund.id,
+      amount: refund.amount,
+      status: refund.status,
+      reason: stripeReason || null,
+      ...(note && { note }),
+    });
+    log.admin.info("order refunded", { order_code: orderCode, refund_id: refund.id, amount: refund.amount, by: req.auth.id });
+    res.json({
+      ok: true,
+      refund: { id: refund.id, amount: refund.amount / 100, currency: refund.currency, status: refund.status },
+      refunded_amount: updated.refunded_amount / 100,
+      amount_total: (updated.amount_total || 0) / 100,
+    });
+  } catch (e) {
+    log.admin.error("refund failed", { order_code: orderCode, err: e });
+    const status = e?.type === "StripeInvalidRequestError" ? 400 : 502;
+    res.status(status).json({ ok: false, error: e?.message || "refund error" });
+  }
+});
+
+/**
+ * Confirm a bank transfer for an order accepted from a quote
+ *   POST /api/admin/orders/:orderCode/confirm-transfer
+ *   body: { amount?: number (EUR received, defaults to the quoted total), reference?: string }
+ * Marks the order paid and emits the same PAYMENT_SUCCEEDED / order-created relay as card payments.
+ * Role: operator
+ */
+app.post("/api/admin/orders/:orderCode/confirm-transfer", requireRole("operator"), express.json(), async (req, res) => {
+  const { orderCode } = req.params;
+  const order = getOrder(orderCode);
+  if (!order) return res.status(404).json({ error: "Unknown order" });
+  if (order.status !== "pending_transfer") {
+    return res.status(409).json({ error: `Order ${orderCode} is ${order.status}, not awaiting a transfer` });
+  }
+  const quote = order.quote_id ? getQuote(order.quote_id) : null;
+  if (!quote) return res.status(409).json({ error: `Order ${orderCode} has no quote to confirm against` });
+
+  const { amount, reference } = req.body || {};
+  const received = amount != null ? Math.round(Number(amount) * 100) : quote.pricing.total;
+  if (!Number.isFinite(received) || received <= 0) {
+    return res.status(400).json({ error: "amount must be a positive number (EUR)" });
+  }
+  if (received < quote.pricing.total) {
+    log.admin.warn("bank transfer is short", { order_code: orderCode, received, expected: quote.pricing.total });
+  }
+
+  try {
+    await handleOrderPaid({
+      md: quote.metadata,
+      payment_details: {
+        type: "bank_transfer",
+        id: reference ? String(reference).slice(0, 140) : `transfer-${orderCode}`,
+        amount_total: received,
+        currency: quote.pricing.currency,
+        customer_email: quote.customer.email,
+        quoted_total: quote.pricing.total,
+        breakdown: quoteBreakdown(quote.pricing),
+      },
+    });
+    res.json({ ok: true, order: publicOrderView(getOrder(orderCode)) });
+  } catch (e) {
+    log.admin.error("confirm transfer failed", { order_code: orderCode, err: e });
+    res.status(500).json({ ok: false, error: e?.message || "confirm error" });
+  }
+});
+
+/**
+ * Whether an order has a succeeded payment, looked up in Stripe by the
+ * order_code metadata copied onto PaymentIntents at checkout.
  */
-app.get("/api/health", (req, res) => {
-  const makeConfigured = !!process.env.MAKE_ORDER_CREATED_WEBHOOK_URL;
-  const webhookTokenConfigured = !!process.env.WEBHOOK_RELAY_TOKEN;
+async function isOrderPaid(orderCode) {
+  if (!ORDER_CODE_RE.test(orderCode)) return false;
+  const order = getOrder(orderCode);
+  if (order && !["pending_payment", "pending_transfer", "cancelled"].includes(order.status)) return true;
+  const { data } = await stripe.paymentIntents.search({
+    query: `metadata['order_code']:'${orderCode}' AND status:'succeeded'`,
+    limit: 1,
+  });
+  return data.length > 0;
+}
+
+/**
+ * Staging folder GC
+ *   GET  /api/admin/staging-gc       what a pass would archive / purge (always a dry run; operator)
+ *   POST /api/admin/staging-gc/run   run a pass now (?dry_run=true to only report; admin)
+ */
+app.get("/api/admin/staging-gc", requireRole("operator"), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await runStagingGc({ isOrderPaid, dryRun: true })) });
+  } catch (e) {
+    log.admin.error("staging-gc dry run failed", { err: e });
+    res.status(500).json({ ok: false, error: e?.message || "staging-gc error" });
+  }
+});
+
+app.post("/api/admin/staging-gc/run", requireRole("admin"), async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run === "true";
+    res.json({ ok: true, ...(await runStagingGc({ isOrderPaid, dryRun })) });
+  } catch (e) {
+    log.admin.error("staging-gc run failed", { err: e });
+    res.status(500).json({ ok: false, error: e?.message || "staging-gc error" });
+  }
+});
+
+/**
+ * Health Check (public): configuration summary. Probes should use the endpoints below.
+ */
+app.get("/api/health", requireRole("public"), (req, res) => {
+  const makeConfigured = !!config.MAKE_ORDER_CREATED_WEBHOOK_URL;
   res.json({
     status: "OK",
     timestamp: new Date().toISOString(),
-    stripe_configured: !!process.env.STRIPE_SECRET_KEY,
+    stripe_configured: !!config.STRIPE_SECRET_KEY,
+    storage_backend: STORAGE_BACKEND,
     drive_configured:
-      !!process.env.GOOGLE_SERVICE_ACCOUNT_JSON_PATH &&
-      !!process.env.GOOGLE_DRIVE_ROOT_FOLDER_ID &&
-      !!process.env.DRIVE_STAGING_FOLDER_ID,
+      !!config.GOOGLE_SERVICE_ACCOUNT_JSON_PATH &&
+      !!config.GOOGLE_DRIVE_ROOT_FOLDER_ID &&
+      !!config.DRIVE_STAGING_FOLDER_ID,
     make_configured: makeConfigured,
-    webhook_token_configured: webhookTokenConfigured,
+    make_signing_configured: config.MAKE_SIGNING_SECRET.length > 0,
+    apps_script_signing_configured: config.APPS_SCRIPT_SIGNING_SECRET.length > 0,
+    outbox: outboxStats(),
+    uploads: uploadLimitStats(),
+  });
+});
+
+/**
+ * Liveness (public): the process is up and serving requests. No dependency checks,
+ * so a storage or Stripe outage never gets the container restarted.
+ */
+app.get("/api/health/live", requireRole("public"), (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ status: "ok", uptime_s: Math.round(process.uptime()) });
+});
+
+/**
+ * Readiness (public): storage folders, Stripe key, upload temp dir, Make and Apps Script
+ * (see health.js). 503 when a critical check fails. Error messages are only shown
+ * to operators, since they can name folders and accounts.
+ */
+app.get("/api/health/ready", requireRole("public"), async (req, res) => {
+  const result = await checkReadiness({ stripe });
+  const detailed = ["operator", "admin"].includes(req.auth?.role);
+  const checks = Object.fromEntries(
+    Object.entries(result.checks).map(([name, { error, details, ...check }]) => [
+      name,
+      detailed ? { ...check, ...(error && { error }), ...(details && { details }) } : check,
+    ])
+  );
+  res.set("Cache-Control", "no-store");
+  res.status(result.ready ? 200 : 503).json({
+    status: result.ready ? "ready" : "not_ready",
+    checked_at: result.checked_at,
+    cached: result.cached,
+    checks,
   });
 });
 
-const PORT = process.env.PORT || 5000;
+/**
+ * Effective configuration, secrets redacted (admin)
+ *   GET /api/admin/config
+ */
+app.get("/api/admin/config", requireRole("admin"), (req, res) => {
+  res.json({ ok: true, config: configReport(), warnings: configWarnings() });
+});
+
+/**
+ * Prometheus metrics (operator; scrape with an operator API key)
+ */
+app.get("/metrics", requireRole("operator"), (req, res) => {
+  res.set("Content-Type", METRICS_CONTENT_TYPE);
+  res.send(renderMetrics());
+});
+
+const PORT = config.PORT;
 
 // Create an HTTP server to tune timeouts (helps with larger uploads)
 const server = http.createServer(app);
 
 // Keep connections open long enough for cloud uploads
-server.keepAliveTimeout = 65_000;  // > default 5s/15s on some hosts
-server.headersTimeout   = 66_000;
-server.requestTimeout   = 0;       // disable per-request timeout
+server.keepAliveTimeout = config.HTTP_KEEP_ALIVE_TIMEOUT_MS; // > default 5s/15s on some hosts
+server.headersTimeout = config.HTTP_HEADERS_TIMEOUT_MS;
+server.requestTimeout = config.HTTP_REQUEST_TIMEOUT_MS; // 0 = no per-request timeout
 
 server.listen(PORT, () => {
-  console.log(`🚀 Backend running on http://localhost:${PORT}`);
-  console.log(`📝 Stripe API Version: 2024-06-20`);
-  console.log(
-    `🔑 Stripe Key Type: ${
-      process.env.STRIPE_SECRET_KEY?.startsWith("sk_live_") ? "LIVE" : "TEST"
-    }`
-  );
-  if (!process.env.MAKE_ORDER_CREATED_WEBHOOK_URL) {
-    console.warn("⚠️  MAKE_ORDER_CREATED_WEBHOOK_URL is not set");
-  }
-  if (!process.env.WEBHOOK_RELAY_TOKEN) {
-    console.warn("⚠️  WEBHOOK_RELAY_TOKEN is not set");
-  }
+  startOutboxWorker();
+  startTempJanitor([sweepOrphanedParts]);
+  startStagingGc({ isOrderPaid });
+  log.boot.info("backend running", {
+    port: PORT,
+    stripe_api_version: "2024-06-20",
+    stripe_mode: stripeMode(),
+  });
+  log.boot.info("configuration", { config: configReport() });
+  for (const warning of configWarnings()) log.boot.warn(warning);
 });
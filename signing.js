@@ -0,0 +1,118 @@
+// backend/signing.js
+import crypto from 'node:crypto';
+import { createLogger } from './logger.js';
+import { config } from './config.js';
+
+/**
+ * HMAC signatures for integration traffic (Make, Apps Script), same scheme as Stripe:
+ *
+ *   X-Printora-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ *
+ * Receivers recompute the HMAC over the exact body bytes and reject timestamps
+ * older than SIGNATURE_TOLERANCE_SEC, so a captured request can't be replayed later.
+ *
+ * Secrets are comma-separated lists: we sign with the first one and accept any of
+ * them, so a secret is rotated by prepending the new one, updating the other side,
+ * then dropping the old one.
+ */
+
+export const SIGNATURE_HEADER = 'X-Printora-Signature';
+const TOLERANCE_SEC = config.SIGNATURE_TOLERANCE_SEC;
+const log = createLogger('signing');
+
+/** Signing secrets per integration, looked up when a message is sent so queued messages use the current ones. */
+const SECRETS = {
+  make: () => config.MAKE_SIGNING_SECRET,
+  apps_script: () => config.APPS_SCRIPT_SIGNING_SECRET,
+};
+
+/** Invalid, missing or stale signature. */
+export class SignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SignatureError';
+    this.status = 401;
+  }
+}
+
+/**
+ * Configured secrets for an integration, newest first.
+ * @param {'make'|'apps_script'} integration
+ * @returns {string[]}
+ */
+export function signingSecrets(integration) {
+  if (!SECRETS[integration]) throw new Error(`Unknown integration "${integration}"`);
+  return SECRETS[integration]();
+}
+
+const hmac = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Sign a serialized payload.
+ * @param {string} secret
+ * @param {string} body - Exact request body
+ * @param {number} [timestamp] - Unix seconds (now)
+ * @returns {{timestamp:number, signature:string, header:string}}
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = hmac(secret, timestamp, body);
+  return { timestamp, signature, header: `t=${timestamp},v1=${signature}` };
+}
+
+/**
+ * Check a signature header against the raw body.
+ * @param {object} params
+ * @param {string} params.header - X-Printora-Signature value
+ * @param {string|Buffer} params.body - Raw request body
+ * @param {string[]} params.secrets
+ * @param {number} [params.toleranceSec]
+ * @returns {number} the signed timestamp
+ * @throws {SignatureError}
+ */
+export function verifySignature({ header, body, secrets, toleranceSec = TOLERANCE_SEC }) {
+  if (!header) throw new SignatureError(`Missing ${SIGNATURE_HEADER} header`);
+  const parts = String(header)
+    .split(',')
+    .map((p) => p.trim().split('='));
+  const timestamp = Number(parts.find(([k]) => k === 't')?.[1]);
+  const candidates = parts.filter(([k, v]) => k === 'v1' && /^[0-9a-f]{64}$/.test(v || '')).map(([, v]) => v);
+  if (!Number.isInteger(timestamp) || !candidates.length) {
+    throw new SignatureError('Malformed signature header');
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSec) {
+    throw new SignatureError('Signature timestamp outside the tolerance window');
+  }
+
+  const raw = Buffer.isBuffer(body) ? body.toString('utf8') : String(body ?? '');
+  const valid = secrets.some((secret) => {
+    const expected = Buffer.from(hmac(secret, timestamp, raw), 'hex');
+    return candidates.some((c) => crypto.timingSafeEqual(expected, Buffer.from(c, 'hex')));
+  });
+  if (!valid) throw new SignatureError('Signature does not match');
+  return timestamp;
+}
+
+/**
+ * Middleware for inbound integration calls: verifies the signature over
+ * `req.rawBody` (kept by the JSON parser) and authenticates the caller as
+ * `integration` for requireRole().
+ * @param {'make'|'apps_script'} integration
+ */
+export function requireSignature(integration) {
+  return (req, res, next) => {
+    const secrets = signingSecrets(integration);
+    if (!secrets.length) {
+      return res.status(503).json({ ok: false, error: `Signing secret for ${integration} is not configured` });
+    }
+    try {
+      verifySignature({ header: req.headers[SIGNATURE_HEADER.toLowerCase()], body: req.rawBody, secrets });
+    } catch (e) {
+      if (!(e instanceof SignatureError)) throw e;
+      log.warn('rejected unsigned or badly signed request', { integration, path: req.originalUrl, reason: e.message });
+      return res.status(e.status).json({ ok: false, error: 'Invalid signature' });
+    }
+    req.auth = { id: integration, role: 'integration', via: 'signature' };
+    next();
+  };
+}
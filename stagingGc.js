@@ -0,0 +1,147 @@
+// backend/stagingGc.js
+import { deleteFile, listFiles, moveFile, setFileProperties, storageFolders } from './storage.js';
+import { findOrderByFile } from './orders.js';
+import { createLogger } from './logger.js';
+import { config } from './config.js';
+
+/**
+ * Staging folder garbage collection.
+ *
+ * Phase 1 (archive): staging files older than STAGING_GC_MAX_AGE_HOURS that are
+ *   not attached to a paid order are moved to the staging trash folder and
+ *   stamped with a `gc_archived_at` property.
+ * Phase 2 (purge): archived files older than STAGING_GC_GRACE_DAYS are deleted,
+ *   unless their order got paid in the meantime, in which case they go back to staging.
+ *
+ * A file is "attached" to an order through its `order_code` file property (set by
+ * uploads that carried the order token) or by being listed on the order record.
+ * `claimed_order_code` (an order code sent without the token) is ignored.
+ * Whether that order is paid is decided by the injected `isOrderPaid` callback.
+ *
+ * On Drive the folders are DRIVE_STAGING_FOLDER_ID and DRIVE_STAGING_TRASH_FOLDER_ID;
+ * the other backends have fixed ones (storageFolders()).
+ */
+
+const MAX_AGE_HOURS = config.STAGING_GC_MAX_AGE_HOURS;
+const GRACE_DAYS = config.STAGING_GC_GRACE_DAYS;
+const INTERVAL_HOURS = config.STAGING_GC_INTERVAL_HOURS;
+
+const log = createLogger('staging-gc');
+
+/**
+ * Plan and (unless dryRun) apply one GC pass.
+ * @param {object} params
+ * @param {(orderCode:string) => Promise<boolean>} params.isOrderPaid
+ * @param {boolean} [params.dryRun=true]
+ * @returns {Promise<{dry_run:boolean, archive:object[], purge:object[], restore:object[], kept:object[], errors:object[]}>}
+ */
+export async function runStagingGc({ isOrderPaid, dryRun = true }) {
+  const { staging: stagingId, trash: trashId } = storageFolders();
+  if (!stagingId || !trashId) {
+    throw new Error('DRIVE_STAGING_FOLDER_ID and DRIVE_STAGING_TRASH_FOLDER_ID must be set');
+  }
+
+  // one lookup per order code per run
+  const paidCache = new Map();
+  const paid = async (code) => {
+    if (!code) return false;
+    if (!paidCache.has(code)) paidCache.set(code, await isOrderPaid(code));
+    return paidCache.get(code);
+  };
+  const orderOf = (f) => f.properties?.order_code || findOrderByFile(f.id)?.order_code || null;
+
+  const now = Date.now();
+  const report = { dry_run: dryRun, archive: [], purge: [], restore: [], kept: [], errors: [] };
+  const summary = (f, extra = {}) => ({
+    id: f.id,
+    name: f.name,
+    size: Number(f.size || 0),
+    created: f.createdTime,
+    order_code: orderOf(f),
+    ...extra,
+  });
+
+  // Phase 1: stale staging files
+  const stale = await listFiles({
+    parentId: stagingId,
+    createdBefore: new Date(now - MAX_AGE_HOURS * 3600 * 1000),
+  });
+  for (const f of stale) {
+    try {
+      if (await paid(orderOf(f))) {
+        report.kept.push(summary(f, { reason: 'paid_order' }));
+        continue;
+      }
+      report.archive.push(summary(f));
+      if (!dryRun) {
+        await moveFile({ fileId: f.id, newParentId: trashId });
+        await setFileProperties(f.id, { gc_archived_at: new Date().toISOString() });
+      }
+    } catch (e) {
+      report.errors.push(summary(f, { error: String(e?.message || e) }));
+    }
+  }
+
+  // Phase 2: archived files past the grace period
+  const graceCutoff = now - GRACE_DAYS * 24 * 3600 * 1000;
+  const archived = await listFiles({ parentId: trashId });
+  for (const f of archived) {
+    const archivedAt = Date.parse(f.properties?.gc_archived_at || f.createdTime);
+    if (archivedAt > graceCutoff) continue;
+    try {
+      if (await paid(orderOf(f))) {
+        // paid late (e.g. bank transfer): put it back where the order flow expects it
+        report.restore.push(summary(f));
+        if (!dryRun) {
+          await moveFile({ fileId: f.id, newParentId: stagingId });
+          await setFileProperties(f.id, { gc_archived_at: null });
+        }
+        continue;
+      }
+      report.purge.push(summary(f, { archived_at: new Date(archivedAt).toISOString() }));
+      if (!dryRun) await deleteFile(f.id);
+    } catch (e) {
+      report.errors.push(summary(f, { error: String(e?.message || e) }));
+    }
+  }
+
+  if (!dryRun) {
+    log.info('pass finished', {
+      archived: report.archive.length,
+      purged: report.purge.length,
+      restored: report.restore.length,
+      errors: report.errors.length,
+    });
+  }
+  return report;
+}
+
+let timer = null;
+
+/**
+ * Schedule GC passes every STAGING_GC_INTERVAL_HOURS when STAGING_GC_ENABLED=true.
+ * STAGING_GC_DRY_RUN=true makes scheduled passes log what they would do only.
+ * @param {object} params
+ * @param {(orderCode:string) => Promise<boolean>} params.isOrderPaid
+ */
+export function startStagingGc({ isOrderPaid }) {
+  if (timer || !config.STAGING_GC_ENABLED) return;
+  const dryRun = config.STAGING_GC_DRY_RUN;
+  const run = async () => {
+    try {
+      const report = await runStagingGc({ isOrderPaid, dryRun });
+      if (dryRun) {
+        log.info('dry run finished', {
+          would_archive: report.archive.length,
+          would_purge: report.purge.length,
+          would_restore: report.restore.length,
+        });
+      }
+    } catch (e) {
+      log.error('run failed', { err: e });
+    }
+  };
+  timer = setInterval(run, INTERVAL_HOURS * 3600 * 1000);
+  timer.unref();
+  setTimeout(run, 60 * 1000).unref(); // first pass shortly after boot
+}
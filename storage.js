@@ -0,0 +1,177 @@
+// backend/storage.js
+import * as drive from './drive.js';
+import { StorageError, createObjectStorage } from './objectStorage.js';
+import { createS3Objects } from './storageS3.js';
+import { createLocalObjects } from './storageLocal.js';
+import { config } from './config.js';
+
+export { StorageError };
+
+/**
+ * File storage used by the upload, order folder, support attachment and staging
+ * GC flows, with the backend picked by STORAGE_BACKEND:
+ *  - drive : Google Drive (drive.js); folders are Drive folder ids from the DRIVE_* settings
+ *  - s3    : an S3-compatible bucket (storageS3.js), e.g. MinIO for a local stand-in
+ *  - local : a directory on disk (storageLocal.js), for development and tests
+ * s3 and local share the id catalog of objectStorage.js, so file ids survive moves
+ * and renames as they do in Drive.
+ *
+ * File ids keep their historical `driveFileId` name in API payloads and order
+ * records, whatever the backend.
+ *
+ * Every function throws StorageError (status, reason, retryable) for backend failures.
+ */
+
+export const STORAGE_BACKEND = config.STORAGE_BACKEND;
+
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+
+/** Folder ids of the well-known folders; Drive ids may be unset (null). */
+export function storageFolders() {
+  if (STORAGE_BACKEND === 'drive') {
+    return {
+      root: config.GOOGLE_DRIVE_ROOT_FOLDER_ID,
+      staging: config.DRIVE_STAGING_FOLDER_ID,
+      trash: config.DRIVE_STAGING_TRASH_FOLDER_ID,
+      support: config.DRIVE_SUPPORT_FOLDER_ID,
+    };
+  }
+  return { root: 'orders', staging: 'staging', trash: 'staging-trash', support: 'support' };
+}
+
+const driveStorage = {
+  backend: 'drive',
+  uploadFile: ({ sessionUri, size, ...params }) =>
+    sessionUri
+      ? drive.uploadToResumableSession({ sessionUri, localPath: params.localPath, size })
+      : drive.uploadFileToDrive(params),
+  startResumableUpload: (params) => drive.createResumableSession(params),
+  ensureFolderPath: (params) => drive.ensureFolderPath(params),
+  async getFolder(folderId) {
+    const folder = await drive.getFile(folderId);
+    if (folder.mimeType !== FOLDER_MIME) throw new StorageError(`${folderId} is not a folder`, { status: 409 });
+    return { id: folder.id, name: folder.name, webViewLink: folder.webViewLink || null };
+  },
+  getFile: (fileId) => drive.getFile(fileId),
+  async getFileLink(fileId) {
+    // access follows the Drive sharing of the folder, so the link doesn't expire
+    return { url: (await drive.getFile(fileId)).webViewLink, expires_at: null };
+  },
+  moveFile: (params) => drive.moveFileToFolder(params),
+  listFiles: (params) => drive.listFiles(params),
+  setFileProperties: (fileId, properties) => drive.setFileProperties(fileId, properties),
+  deleteFile: (fileId) => drive.deleteFile(fileId),
+};
+
+function createBackend() {
+  if (STORAGE_BACKEND === 's3') return createObjectStorage({ backend: 's3', objects: createS3Objects() });
+  if (STORAGE_BACKEND === 'local') return createObjectStorage({ backend: 'local', objects: createLocalObjects() });
+  return driveStorage;
+}
+
+let active = null;
+
+function toStorageError(e) {
+  if (!(e instanceof drive.DriveError)) return e;
+  return new StorageError(e.message, {
+    status: e.status,
+    reason: e.reason,
+    retryable: e.retryable,
+    retryAfterMs: e.retryAfterMs,
+  });
+}
+
+async function call(method, ...args) {
+  active ||= createBackend();
+  try {
+    return await active[method](...args);
+  } catch (e) {
+    throw toStorageError(e);
+  }
+}
+
+/**
+ * Upload a local file into a folder.
+ * @param {object} params
+ * @param {string} params.localPath
+ * @param {string} params.fileName
+ * @param {string} params.mimeType
+ * @param {string} params.parentId - Folder id (e.g. storageFolders().staging)
+ * @param {Record<string,string>} [params.properties] - Custom file properties (preflight report, order_code, ...)
+ * @param {string|null} [params.sessionUri] - From startResumableUpload(), to resume a Drive upload
+ * @param {number} [params.size] - Total bytes, with sessionUri
+ * @returns {Promise<{id:string, webViewLink:string, name:string, mimeType:string, size:number}>}
+ */
+export const uploadFile = (params) => call('uploadFile', params);
+
+/**
+ * Start a resumable upload session for a large file. Only Drive has one; other
+ * backends return null and uploadFile() sends the local file in one go.
+ * @param {object} params - { fileName, mimeType, parentId, size, properties }
+ * @returns {Promise<string|null>} session URI, to be persisted and passed to uploadFile()
+ */
+export const startResumableUpload = (params) => call('startResumableUpload', params);
+
+/**
+ * mkdir -p: the id of `<rootId>/<segments...>`, creating missing folders.
+ * @param {object} params
+ * @param {string} params.rootId
+ * @param {string[]} params.segments
+ * @returns {Promise<string>}
+ */
+export const ensureFolderPath = (params) => call('ensureFolderPath', params);
+
+/**
+ * Check a folder is reachable.
+ * @param {string} folderId
+ * @returns {Promise<{id:string, name:string, webViewLink:string|null}>}
+ */
+export const getFolder = (folderId) => call('getFolder', folderId);
+
+/**
+ * File metadata.
+ * @param {string} fileId
+ * @returns {Promise<{id:string, name:string, mimeType:string, size?:string|number, webViewLink?:string, parents?:string[], properties?:Record<string,string>}>}
+ */
+export const getFile = (fileId) => call('getFile', fileId);
+
+/**
+ * Link to open / download a file: the Drive share link, or a signed URL valid
+ * for STORAGE_LINK_TTL_SECONDS (s3, local).
+ * @param {string} fileId
+ * @returns {Promise<{url:string, expires_at:string|null}>}
+ */
+export const getFileLink = (fileId) => call('getFileLink', fileId);
+
+/**
+ * Move a file to another folder, optionally renaming it. The id stays the same.
+ * @param {object} params
+ * @param {string} params.fileId
+ * @param {string} params.newParentId
+ * @param {string} [params.name]
+ * @returns {Promise<{id:string, name:string, parents:string[]}>}
+ */
+export const moveFile = (params) => call('moveFile', params);
+
+/**
+ * Files directly in a folder.
+ * @param {object} params
+ * @param {string} params.parentId
+ * @param {Date} [params.createdBefore]
+ * @param {Record<string,string>} [params.properties] - Only files having these property values
+ * @returns {Promise<Array<{id:string, name:string, createdTime:string, size?:string, properties?:Record<string,string>}>>}
+ */
+export const listFiles = (params) => call('listFiles', params);
+
+/**
+ * Merge custom properties into a file's properties (null deletes a key).
+ * @param {string} fileId
+ * @param {Record<string,string|null>} properties
+ */
+export const setFileProperties = (fileId, properties) => call('setFileProperties', fileId, properties);
+
+/**
+ * Permanently delete a file.
+ * @param {string} fileId
+ */
+export const deleteFile = (fileId) => call('deleteFile', fileId);
@@ -0,0 +1,112 @@
+// backend/storageLocal.js
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { StorageError } from './objectStorage.js';
+import { DATA_DIR } from './store.js';
+import { config } from './config.js';
+
+/**
+ * Object store adapter for a local directory (STORAGE_LOCAL_DIR, default
+ * <DATA_DIR>/storage), for createObjectStorage(). Meant for development and
+ * tests: no Google credentials or bucket needed.
+ *
+ * Links point at GET /api/files/local on this API (PUBLIC_API_URL) and are
+ * HMAC-signed with an expiry, like presigned S3 URLs.
+ */
+
+export const LOCAL_STORAGE_DIR = path.resolve(config.STORAGE_LOCAL_DIR || path.join(DATA_DIR, 'storage'));
+
+// a random secret only lives as long as the process: links break on restart
+const LINK_SECRET = config.STORAGE_LOCAL_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+
+/** Absolute path for a key, refusing anything outside the storage dir. */
+function filePath(key) {
+  const full = path.resolve(LOCAL_STORAGE_DIR, key);
+  if (!full.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+    throw new StorageError(`Invalid storage key "${key}"`, { status: 400 });
+  }
+  return full;
+}
+
+function fsStorageError(operation, e) {
+  if (e.code === 'ENOENT') return new StorageError(`Local ${operation} failed: not found`, { status: 404, reason: 'not_found' });
+  return new StorageError(`Local ${operation} failed: ${e.message}`, { status: 500, reason: e.code });
+}
+
+const linkSignature = (key, name, expires) =>
+  crypto.createHmac('sha256', LINK_SECRET).update(`${key}\n${name}\n${expires}`).digest('base64url');
+
+/**
+ * Check a link created by link() (query of GET /api/files/local).
+ * @param {{key?:string, name?:string, expires?:string, signature?:string}} query
+ * @returns {{path:string, name:string}|null} null when invalid or expired
+ */
+export function resolveLocalLink({ key, name, expires, signature }) {
+  if (!key || !name || !signature || !(Number(expires) * 1000 > Date.now())) return null;
+  const expected = Buffer.from(linkSignature(key, name, expires));
+  const given = Buffer.from(String(signature));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    return { path: filePath(key), name };
+  } catch {
+    return null;
+  }
+}
+
+/** Object store adapter for createObjectStorage(). */
+export function createLocalObjects() {
+  fs.mkdirSync(LOCAL_STORAGE_DIR, { recursive: true });
+  const baseUrl = (config.PUBLIC_API_URL || `http://localhost:${config.PORT}`).replace(/\/+$/, '');
+
+  return {
+    async put(key, localPath) {
+      const dest = filePath(key);
+      try {
+        await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+        // copy, not rename: the temp dir may be on another volume and the caller cleans it up
+        await fs.promises.copyFile(localPath, dest);
+      } catch (e) {
+        throw fsStorageError('put', e);
+      }
+    },
+
+    async move(fromKey, toKey) {
+      const dest = filePath(toKey);
+      try {
+        await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+        await fs.promises.rename(filePath(fromKey), dest);
+      } catch (e) {
+        throw fsStorageError('move', e);
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw fsStorageError('remove', e);
+      }
+    },
+
+    async link(key, { fileName }) {
+      const expires = Math.floor(Date.now() / 1000) + config.STORAGE_LINK_TTL_SECONDS;
+      const query = new URLSearchParams({
+        key,
+        name: fileName,
+        expires: String(expires),
+        signature: linkSignature(key, fileName, String(expires)),
+      });
+      return { url: `${baseUrl}/api/files/local?${query}`, expires_at: new Date(expires * 1000).toISOString() };
+    },
+
+    async check() {
+      try {
+        await fs.promises.access(LOCAL_STORAGE_DIR, fs.constants.W_OK);
+      } catch (e) {
+        throw fsStorageError('check', e);
+      }
+      return { dir: LOCAL_STORAGE_DIR };
+    },
+  };
+}
@@ -0,0 +1,214 @@
+// backend/storageS3.js
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import { StorageError } from './objectStorage.js';
+import { config } from './config.js';
+
+/**
+ * Object store adapter for S3-compatible services (AWS S3, MinIO, R2, ...),
+ * for createObjectStorage(). Requests are signed with AWS Signature V4 by hand;
+ * the handful of calls we need don't justify the AWS SDK.
+ *
+ *   STORAGE_S3_ENDPOINT          e.g. http://localhost:9000 (default https://s3.<region>.amazonaws.com)
+ *   STORAGE_S3_REGION            us-east-1 for MinIO
+ *   STORAGE_S3_BUCKET, STORAGE_S3_ACCESS_KEY_ID, STORAGE_S3_SECRET_ACCESS_KEY
+ *   STORAGE_S3_FORCE_PATH_STYLE  true for MinIO (bucket in the path, not the host name)
+ *
+ * Links are presigned GET URLs valid for STORAGE_LINK_TTL_SECONDS.
+ */
+
+const UNSIGNED = 'UNSIGNED-PAYLOAD';
+
+const sha256hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/** RFC 3986 encoding, as SigV4 expects (encodeURIComponent leaves !'()* alone). */
+const encode = (s) => encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodeKey = (key) => key.split('/').map(encode).join('/');
+
+/** "20250901T101500Z" */
+const amzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+/**
+ * SigV4 signature parts for one request.
+ * @param {object} params
+ * @param {object} params.s3 - { region, accessKeyId, secretAccessKey }
+ * @param {string} params.method
+ * @param {URL} params.url - Path already encoded with encodeKey()
+ * @param {Record<string,string>} params.headers - Headers to sign (lower-case names, host included)
+ * @param {Record<string,string>} [params.query]
+ * @param {Date} params.date
+ */
+function signature({ s3, method, url, headers, query = {}, date }) {
+  const stamp = amzDate(date);
+  const scope = `${stamp.slice(0, 8)}/${s3.region}/s3/aws4_request`;
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map((k) => `${encode(k)}=${encode(query[k])}`)
+    .join('&');
+  const names = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    names.map((n) => `${n}:${String(headers[n]).trim()}\n`).join(''),
+    names.join(';'),
+    headers['x-amz-content-sha256'] || UNSIGNED,
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', stamp, scope, sha256hex(canonicalRequest)].join('\n');
+
+  let key = hmac(`AWS4${s3.secretAccessKey}`, stamp.slice(0, 8));
+  for (const part of [s3.region, 's3', 'aws4_request']) key = hmac(key, part);
+  return {
+    credential: `${s3.accessKeyId}/${scope}`,
+    signedHeaders: names.join(';'),
+    signature: hmac(key, stringToSign).toString('hex'),
+    canonicalQuery,
+  };
+}
+
+/**
+ * Presigned GET URL.
+ * @param {object} s3 - Settings from s3Settings()
+ * @param {string} key
+ * @param {object} [opts]
+ * @param {number} [opts.expiresIn] - Seconds
+ * @param {Record<string,string>} [opts.query] - Extra parameters, e.g. response-content-disposition
+ * @param {Date} [opts.date]
+ * @returns {string}
+ */
+export function presignGetUrl(s3, key, { expiresIn = config.STORAGE_LINK_TTL_SECONDS, query = {}, date = new Date() } = {}) {
+  const url = objectUrl(s3, key);
+  const params = {
+    ...query,
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${s3.accessKeyId}/${amzDate(date).slice(0, 8)}/${s3.region}/s3/aws4_request`,
+    'X-Amz-Date': amzDate(date),
+    'X-Amz-Expires': String(expiresIn),
+    'X-Amz-SignedHeaders': 'host',
+  };
+  const signed = signature({ s3, method: 'GET', url, headers: { host: url.host }, query: params, date });
+  return `${url.origin}${url.pathname}?${signed.canonicalQuery}&X-Amz-Signature=${signed.signature}`;
+}
+
+function s3Settings() {
+  const region = config.STORAGE_S3_REGION;
+  return {
+    endpoint: new URL(config.STORAGE_S3_ENDPOINT || `https://s3.${region}.amazonaws.com`),
+    region,
+    bucket: config.STORAGE_S3_BUCKET,
+    accessKeyId: config.STORAGE_S3_ACCESS_KEY_ID,
+    secretAccessKey: config.STORAGE_S3_SECRET_ACCESS_KEY,
+    pathStyle: config.STORAGE_S3_FORCE_PATH_STYLE,
+  };
+}
+
+function objectUrl(s3, key = '') {
+  const url = new URL(s3.endpoint);
+  const base = url.pathname.replace(/\/+$/, '');
+  if (s3.pathStyle) {
+    url.pathname = `${base}/${encode(s3.bucket)}${key ? `/${encodeKey(key)}` : ''}`;
+  } else {
+    url.host = `${s3.bucket}.${url.host}`;
+    url.pathname = `${base}/${encodeKey(key)}`;
+  }
+  return url;
+}
+
+/** S3 error code from an XML error body, e.g. "NoSuchKey". */
+const errorCode = (body) => /<Code>([^<]+)<\/Code>/.exec(body)?.[1];
+
+function httpStorageError(operation, status, body) {
+  const code = errorCode(body) || `HTTP ${status}`;
+  const message = `S3 ${operation} failed: ${code}`;
+  if (status === 404) return new StorageError(message, { status: 404, reason: 'not_found' });
+  if (status === 503 || status === 429) return new StorageError(message, { status: 503, reason: 'rate_limited', retryable: true });
+  return new StorageError(message, { status: 502, reason: code, retryable: status >= 500 });
+}
+
+/**
+ * One signed request. Bodies are streamed with a Content-Length (S3 rejects chunked uploads).
+ * @returns {Promise<{status:number, headers:object, body:string}>}
+ */
+function request(s3, operation, { method, key, headers = {}, body = null, length = 0 }) {
+  const url = objectUrl(s3, key);
+  const date = new Date();
+  const signed = { host: url.host, 'x-amz-content-sha256': UNSIGNED, 'x-amz-date': amzDate(date), ...headers };
+  const { credential, signedHeaders, signature: sig } = signature({ s3, method, url, headers: signed, date });
+  const requestHeaders = {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${sig}`,
+    'content-length': String(length),
+  };
+
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === 'https:' ? https : http;
+    const req = transport.request(url, { method, headers: requestHeaders }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        // CopyObject can fail with a 200 and an error document
+        if (res.statusCode >= 300 || (operation === 'copy' && errorCode(text))) {
+          reject(httpStorageError(operation, res.statusCode >= 300 ? res.statusCode : 500, text));
+        } else {
+          resolve({ status: res.statusCode, headers: res.headers, body: text });
+        }
+      });
+      res.on('error', reject);
+    });
+    req.on('error', (e) =>
+      reject(new StorageError(`S3 ${operation} failed: ${e.message}`, { status: 502, reason: e.code, retryable: true }))
+    );
+    if (body) {
+      body.on('error', (e) => req.destroy(e));
+      body.pipe(req);
+    } else {
+      req.end();
+    }
+  });
+}
+
+/** Object store adapter for createObjectStorage(). */
+export function createS3Objects() {
+  const s3 = s3Settings();
+  return {
+    async put(key, localPath, { mimeType, size }) {
+      await request(s3, 'put', {
+        method: 'PUT',
+        key,
+        headers: { 'content-type': mimeType || 'application/octet-stream' },
+        body: fs.createReadStream(localPath),
+        length: size,
+      });
+    },
+
+    async move(fromKey, toKey) {
+      // S3 has no rename: server-side copy, then delete the source
+      await request(s3, 'copy', {
+        method: 'PUT',
+        key: toKey,
+        headers: { 'x-amz-copy-source': `/${encode(s3.bucket)}/${encodeKey(fromKey)}` },
+      });
+      await request(s3, 'delete', { method: 'DELETE', key: fromKey });
+    },
+
+    async remove(key) {
+      await request(s3, 'delete', { method: 'DELETE', key });
+    },
+
+    async link(key, { fileName }) {
+      const url = presignGetUrl(s3, key, {
+        query: { 'response-content-disposition': `attachment; filename="${fileName.replace(/["\\]/g, '_')}"` },
+      });
+      return { url, expires_at: new Date(Date.now() + config.STORAGE_LINK_TTL_SECONDS * 1000).toISOString() };
+    },
+
+    async check() {
+      await request(s3, 'head_bucket', { method: 'HEAD', key: '' });
+      return { bucket: s3.bucket };
+    },
+  };
+}
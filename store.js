@@ -0,0 +1,74 @@
+// backend/store.js
+import fs from 'node:fs';
+import path from 'node:path';
+import { config } from './config.js';
+
+/**
+ * Directory for the backend's small JSON databases (webhook events, ...).
+ * Must be on a persistent volume in production.
+ */
+export const DATA_DIR = path.resolve(config.DATA_DIR);
+
+/**
+ * Tiny file-backed JSON store.
+ * - The whole document is kept in memory and flushed to `<DATA_DIR>/<name>.json`.
+ * - Writes go to a temp file + rename so a crash never leaves a half-written file.
+ * - `update()` calls are serialized so concurrent requests don't lose writes.
+ * - `update()` works on a copy that replaces the document only once it is on
+ *   disk: a failed mutator or write leaves memory and file in agreement.
+ *
+ * @param {string} name - File name without extension
+ * @param {() => any} initial - Factory for the empty document
+ */
+export function createJsonStore(name, initial) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let doc = null;
+  let queue = Promise.resolve();
+
+  function load() {
+    if (doc) return doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new Error(`Cannot read ${file}: ${e.message}`);
+      doc = initial();
+    }
+    return doc;
+  }
+
+  async function flush(next) {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(next, null, 2));
+    await fs.promises.rename(tmp, file);
+  }
+
+  return {
+    file,
+
+    /** Current document (read-only by convention; mutate through update()). */
+    read() {
+      return load();
+    },
+
+    /**
+     * Mutate the document and persist it. `fn` gets a copy of the document; if it
+     * throws or the write fails, the current document is unchanged.
+     * @template T
+     * @param {(doc:any) => T | Promise<T>} fn
+     * @returns {Promise<T>}
+     */
+    update(fn) {
+      const run = queue.then(async () => {
+        const next = structuredClone(load());
+        const result = await fn(next);
+        await flush(next);
+        doc = next;
+        return result;
+      });
+      // keep the chain alive even if this update fails
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+}
@@ -0,0 +1,221 @@
+// backend/tax.js
+import { InvoiceDetailsError, euVatPrefix } from './invoicing.js';
+import { createLogger } from './logger.js';
+import { upstreamDuration } from './metrics.js';
+import { config } from './config.js';
+
+/**
+ * VAT for checkout.
+ *
+ * Italian VAT (VAT_RATE, 22%) is added to net catalog prices and shipping.
+ * EU businesses outside Italy whose VAT number VIES confirms pay no VAT
+ * (reverse charge, art. 41 D.L. 331/93); if VIES can't be reached the order is
+ * charged with VAT and accounting can sort it out, rather than blocking checkout.
+ * The same goes when VIES checks are off (VAT_VIES_CHECK=false): a well-formed
+ * number alone never earns a reverse charge.
+ *
+ * On Stripe, products carry a VAT tax rate (shown as "IVA" on the Checkout page)
+ * while shipping rates are created with VAT already included, since Stripe only
+ * taxes shipping through Stripe Tax.
+ */
+
+export const VAT_RATE = config.VAT_RATE;
+const VIES_CHECK = config.VAT_VIES_CHECK;
+const VIES_TIMEOUT_MS = config.VAT_VIES_TIMEOUT_MS;
+const VIES_URL = 'https://ec.europa.eu/taxation_customs/vies/rest-api/ms';
+const VIES_CACHE_MS = 24 * 3600 * 1000;
+
+const log = createLogger('vat');
+
+export const REVERSE_CHARGE_NOTE = 'Inversione contabile - art. 41 D.L. 331/93 (reverse charge)';
+
+const viesCache = new Map();
+const taxRateIds = new Map();
+
+/**
+ * Ask VIES whether an EU VAT number is active.
+ * @param {string} prefix - VAT prefix (EL for Greece)
+ * @param {string} number - Without prefix
+ * @returns {Promise<'valid'|'invalid'|'unavailable'>}
+ */
+export async function checkVies(prefix, number) {
+  const key = `${prefix}${number}`;
+  const hit = viesCache.get(key);
+  if (hit && Date.now() - hit.at < VIES_CACHE_MS) return hit.result;
+
+  let result;
+  try {
+    const resp = await upstreamDuration.time({ target: 'vies' }, () =>
+      fetch(`${VIES_URL}/${prefix}/vat/${encodeURIComponent(number)}`, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(VIES_TIMEOUT_MS),
+      })
+    );
+    const body = resp.ok ? await resp.json() : null;
+    // userError is "VALID"/"INVALID" on answers, MS_UNAVAILABLE, TIMEOUT, ... otherwise
+    if (body && (body.userError === 'VALID' || body.userError === 'INVALID' || body.userError == null)) {
+      result = body.isValid ? 'valid' : 'invalid';
+    } else {
+      result = 'unavailable';
+    }
+  } catch (e) {
+    log.warn('VIES check failed', { vat_number: key, err: e });
+    result = 'unavailable';
+  }
+  if (result !== 'unavailable') viesCache.set(key, { result, at: Date.now() });
+  return result;
+}
+
+/**
+ * Decide how an order is taxed.
+ * @param {object|null} invoice - From invoicing.validateInvoiceDetails
+ * @returns {Promise<{rate:number, reverse_charge:boolean, vies:string|null}>}
+ * @throws {InvoiceDetailsError} when VIES says the VAT number does not exist
+ */
+export async function resolveVatTreatment(invoice) {
+  const italian = { rate: VAT_RATE, reverse_charge: false, vies: null };
+  if (!invoice || invoice.type !== 'business' || !invoice.country || invoice.country === 'IT') return italian;
+
+  const prefix = euVatPrefix(invoice.country);
+  if (!prefix) return italian;
+  if (!VIES_CHECK) {
+    log.warn('VIES checks disabled; charging Italian VAT', { vat_number: `${prefix}${invoice.vat_number}` });
+    return { ...italian, vies: 'skipped' };
+  }
+  const vies = await checkVies(prefix, invoice.vat_number);
+  if (vies === 'invalid') {
+    throw new InvoiceDetailsError(`VAT number ${prefix}${invoice.vat_number} is not registered in VIES`, 'vat_number');
+  }
+  if (vies === 'unavailable') {
+    log.warn('VIES unavailable; charging Italian VAT', { vat_number: `${prefix}${invoice.vat_number}` });
+    return { ...italian, vies };
+  }
+  return { rate: 0, reverse_charge: true, vies };
+}
+
+const vatOf = (cents, rate) => Math.round((cents * rate) / 100);
+
+/**
+ * Add VAT to a net quote (after any promo discount).
+ * Shipping options get `vat` and `total` (what Stripe charges for them).
+ *
+ * @param {object} quote - From pricing.priceOrder (+ promoCodes.applyPromo)
+ * @param {{rate:number, reverse_charge:boolean}} treatment
+ * @returns {object} quote with `vat: {rate, reverse_charge, goods, shipping, amount}`, `net` and a gross `total`
+ */
+export function applyVat(quote, { rate, reverse_charge }) {
+  const goodsNet = quote.subtotal - (quote.discount?.amount || 0);
+  const withVat = (o) => ({ ...o, vat: vatOf(o.amount, rate), total: o.amount + vatOf(o.amount, rate) });
+  const shippingOptions = quote.shippingOptions.map(withVat);
+  const shipping = withVat(quote.shipping);
+  const goodsVat = vatOf(goodsNet, rate);
+
+  return {
+    ...quote,
+    shipping,
+    shippingOptions,
+    vat: { rate, reverse_charge, goods: goodsVat, shipping: shipping.vat, amount: goodsVat + shipping.vat },
+    net: goodsNet + shipping.amount,
+    total: goodsNet + goodsVat + shipping.total,
+  };
+}
+
+/**
+ * Stripe tax rate id for Italian VAT (exclusive), found or created once.
+ * STRIPE_VAT_TAX_RATE_ID pins an existing one.
+ * @param {import('stripe').Stripe} stripe
+ * @param {number} rate
+ * @returns {Promise<string>}
+ */
+export async function stripeTaxRateFor(stripe, rate) {
+  if (config.STRIPE_VAT_TAX_RATE_ID) return config.STRIPE_VAT_TAX_RATE_ID;
+  if (taxRateIds.has(rate)) return taxRateIds.get(rate);
+
+  const existing = await stripe.taxRates
+    .list({ active: true, inclusive: false, limit: 100 })
+    .autoPagingToArray({ limit: 1000 });
+  let taxRate = existing.find(
+    (r) => r.percentage === rate && r.country === 'IT' && r.metadata?.printora === 'vat'
+  );
+  if (!taxRate) {
+    taxRate = await stripe.taxRates.create({
+      display_name: 'IVA',
+      description: `IVA ${rate}%`,
+      percentage: rate,
+      inclusive: false,
+      country: 'IT',
+      jurisdiction: 'IT',
+      tax_type: 'vat',
+      metadata: { printora: 'vat' },
+    });
+  }
+  taxRateIds.set(rate, taxRate.id);
+  return taxRate.id;
+}
+
+/**
+ * Net / VAT / shipping split of a Checkout Session, for Apps Script payloads.
+ * Uses Stripe's own totals; the shipping VAT is taken back out of the gross shipping rate.
+ *
+ * @param {object} cs - Checkout Session (webhook object)
+ * @param {import('stripe').Stripe} stripe - to read the chosen shipping rate
+ * @returns {Promise<object>} cents
+ */
+export async function checkoutBreakdown(cs, stripe) {
+  const md = cs.metadata || {};
+  const rate = md.vat_rate != null ? Number(md.vat_rate) : VAT_RATE;
+  const discount = cs.total_details?.amount_discount || 0;
+  const goodsVat = cs.total_details?.amount_tax || 0;
+  const shippingTotal = cs.shipping_cost?.amount_total || 0;
+  const shippingNet = Math.round((shippingTotal * 100) / (100 + rate));
+
+  let shippingMethod = md.shipping_method || null;
+  const rateId = cs.shipping_cost?.shipping_rate;
+  if (rateId) {
+    const shippingRate = typeof rateId === 'string' ? await stripe.shippingRates.retrieve(rateId) : rateId;
+    shippingMethod = shippingRate.metadata?.method || shippingRate.display_name || shippingMethod;
+  }
+
+  // amount_subtotal is the goods total before discounts (shipping excluded)
+  const goodsNet = (cs.amount_subtotal || 0) - discount;
+  return {
+    currency: cs.currency,
+    vat_rate: rate,
+    reverse_charge: md.reverse_charge === 'true',
+    goods_net: goodsNet,
+    discount,
+    goods_vat: goodsVat,
+    shipping_method: shippingMethod,
+    shipping_net: shippingNet,
+    shipping_vat: shippingTotal - shippingNet,
+    shipping_total: shippingTotal,
+    net: goodsNet + shippingNet,
+    vat: goodsVat + shippingTotal - shippingNet,
+    total: cs.amount_total,
+  };
+}
+
+/**
+ * Same split as checkoutBreakdown, for orders paid outside Checkout (bank transfer)
+ * from the priced quote.
+ * @param {object} quote - From applyVat
+ * @returns {object} cents
+ */
+export function quoteBreakdown(quote) {
+  const discount = quote.discount?.amount || 0;
+  return {
+    currency: quote.currency,
+    vat_rate: quote.vat.rate,
+    reverse_charge: quote.vat.reverse_charge,
+    goods_net: quote.subtotal - discount,
+    discount,
+    goods_vat: quote.vat.goods,
+    shipping_method: quote.shipping.method,
+    shipping_net: quote.shipping.amount,
+    shipping_vat: quote.shipping.vat,
+    shipping_total: quote.shipping.total,
+    net: quote.net,
+    vat: quote.vat.amount,
+    total: quote.total,
+  };
+}
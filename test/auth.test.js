@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderRecord, startServer } from './helpers.js';
+
+const ADMIN = 'test-admin-token-0123456789abcdef';
+let server;
+let keys;
+
+before(async () => {
+  server = await startServer(
+    { ADMIN_API_TOKEN: ADMIN },
+    { stores: { orders: { orders: { 'ORD-AUTH-1': orderRecord('ORD-AUTH-1', 'order-secret') } } } }
+  );
+  keys = {};
+  for (const role of ['customer', 'operator']) {
+    const res = await fetch(`${server.url}/api/admin/api-keys`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${ADMIN}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ role }),
+    });
+    assert.equal(res.status, 201);
+    keys[role] = (await res.json()).key;
+  }
+});
+
+after(() => server?.stop());
+
+const get = (path, headers = {}) => fetch(`${server.url}${path}`, { headers });
+const bearer = (key) => ({ Authorization: `Bearer ${key}` });
+
+test('a customer key without the order token gets a 404', async () => {
+  assert.equal((await get('/api/orders/ORD-AUTH-1', bearer(keys.customer))).status, 404);
+  assert.equal((await get('/api/orders/ORD-AUTH-1', { ...bearer(keys.customer), 'X-Order-Token': 'order-secret' })).status, 200);
+  assert.equal((await get('/api/orders/ORD-AUTH-1', { 'X-Order-Token': 'order-secret' })).status, 200);
+});
+
+test('staff keys read orders without the token', async () => {
+  assert.equal((await get('/api/orders/ORD-AUTH-1', bearer(keys.operator))).status, 200);
+});
+
+test('a customer key without the quote token gets a 404', async () => {
+  const created = await fetch(`${server.url}/api/quotes`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      items: [{ product: 'banner', material: 'pvc_440', width_cm: 200, height_cm: 100, quantity: 1 }],
+      customer: { email: 'buyer@example.com' },
+    }),
+  });
+  assert.equal(created.status, 201);
+  const { quote_id, quote_token } = await created.json();
+
+  assert.equal((await get(`/api/quotes/${quote_id}`, bearer(keys.customer))).status, 404);
+  assert.equal((await get(`/api/quotes/${quote_id}`, { 'X-Quote-Token': quote_token })).status, 200);
+  assert.equal((await get(`/api/quotes/${quote_id}`, bearer(keys.operator))).status, 200);
+});
@@ -0,0 +1,36 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server?.stop());
+
+const banner = { product: 'banner', material: 'pvc_440', width_cm: 200, height_cm: 100, quantity: 1 };
+
+const checkout = (metadata) =>
+  fetch(`${server.url}/api/create-checkout-session`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ items: [banner], metadata }),
+  });
+
+test('client metadata must fit Stripe limits', async () => {
+  const tooMany = Object.fromEntries(Array.from({ length: 31 }, (_, i) => [`k${i}`, 'v']));
+  const cases = [
+    'not an object',
+    tooMany,
+    { ['k'.repeat(41)]: 'v' },
+    { note: 'x'.repeat(501) },
+    { nested: { a: 1 } },
+  ];
+  for (const metadata of cases) {
+    const res = await checkout(metadata);
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).type, 'invalid_metadata');
+  }
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.CONTACT_MAX_PER_IP = '5';
+const { HONEYPOT_FIELD, listContactRejections, recordContactRejection, screenContactMessage } = await import(
+  '../contactSpam.js'
+);
+
+test('repeated honeypot hits from one IP end in rate_limit_ip', async () => {
+  const reasons = [];
+  for (let i = 0; i < 7; i++) {
+    const body = { name: 'Bot', email: `bot${i}@example.com`, message: 'hi', [HONEYPOT_FIELD]: 'http://spam.example' };
+    try {
+      await screenContactMessage({ body, ip: '203.0.113.7' });
+      reasons.push('accepted');
+    } catch (e) {
+      reasons.push(e.reason);
+      await recordContactRejection(e, { body, ip: '203.0.113.7' });
+    }
+  }
+  assert.deepEqual(reasons, [...Array(5).fill('honeypot'), 'rate_limit_ip', 'rate_limit_ip']);
+
+  // only the first few rejections per IP and window are stored
+  assert.equal(listContactRejections({ limit: 100 }).length, 3);
+});
@@ -0,0 +1,101 @@
+// Shared test helpers: run server.js in a child process against its own DATA_DIR.
+import { spawn } from 'node:child_process';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the API with `env` on top of the test environment. Integrations that
+ * would reach the network (Make, Apps Script, Stripe webhook signing) are unset
+ * unless `env` sets them.
+ * @param {Record<string,string>} [env]
+ * @param {object} [opts]
+ * @param {Record<string,any>} [opts.stores] - JSON store documents to start with, by store name
+ * @returns {Promise<{url:string, dataDir:string, readStore:(name:string) => any, stop:() => Promise<void>}>}
+ */
+export async function startServer(env = {}, { stores = {} } = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'printora-server-'));
+  for (const [name, doc] of Object.entries(stores)) {
+    fs.writeFileSync(path.join(dataDir, `${name}.json`), JSON.stringify(doc));
+  }
+  const childEnv = { ...process.env, PORT: String(port), DATA_DIR: dataDir, STORAGE_BACKEND: 'local', ...env };
+  for (const key of ['MAKE_ORDER_CREATED_WEBHOOK_URL', 'APPS_SCRIPT_URL', 'STRIPE_WEBHOOK_SECRET']) {
+    if (!(key in env)) delete childEnv[key];
+  }
+  const child = spawn(process.execPath, ['server.js'], { cwd: ROOT, env: childEnv, stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', (c) => (stderr += c));
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 15_000;
+  for (;;) {
+    if (child.exitCode !== null) throw new Error(`server exited (${child.exitCode}): ${stderr}`);
+    try {
+      // any answer means it is listening
+      await fetch(url);
+      break;
+    } catch {
+      // not listening yet
+    }
+    if (Date.now() > deadline) {
+      child.kill();
+      throw new Error(`server did not start: ${stderr}`);
+    }
+    await new Promise((r) => setTimeout(r, 100));
+  }
+
+  return {
+    url,
+    dataDir,
+    readStore(name) {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dataDir, `${name}.json`), 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    stop() {
+      if (child.exitCode !== null) return Promise.resolve();
+      return new Promise((resolve) => {
+        child.once('exit', () => resolve());
+        child.kill();
+      });
+    },
+  };
+}
+
+/** Order record as orders.js stores it, reachable with `token`. */
+export function orderRecord(orderCode, token, fields = {}) {
+  const now = new Date().toISOString();
+  return {
+    order_code: orderCode,
+    order_id: null,
+    status: 'pending_payment',
+    created_at: now,
+    updated_at: now,
+    token_hashes: [crypto.createHash('sha256').update(token).digest('hex')],
+    files: [],
+    items: [],
+    history: [],
+    stripe: {},
+    ...fields,
+  };
+}
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { finalizeOrderFiles } from '../orderFiles.js';
+import { getFile, storageFolders, uploadFile } from '../storage.js';
+
+async function stage(name, orderCode, properties = orderCode ? { order_code: orderCode } : {}) {
+  const localPath = path.join(process.env.DATA_DIR, name);
+  fs.writeFileSync(localPath, '%PDF-1.7\n');
+  return uploadFile({
+    localPath,
+    fileName: name,
+    mimeType: 'application/pdf',
+    parentId: storageFolders().staging,
+    size: 9,
+    properties,
+  });
+}
+
+test('only files staged for the order are moved into it', async () => {
+  const own = await stage('own.pdf', 'ORD-A');
+  const other = await stage('other.pdf', 'ORD-B');
+  const untagged = await stage('untagged.pdf', null);
+  // an order code sent without the order token is only a claim
+  const claimed = await stage('claimed.pdf', null, { claimed_order_code: 'ORD-A' });
+
+  for (const file of [other, untagged, claimed]) {
+    await assert.rejects(
+      finalizeOrderFiles({ orderCode: 'ORD-A', files: [{ driveFileId: own.id }, { driveFileId: file.id }] }),
+      { status: 403 }
+    );
+  }
+  // nothing moved by the rejected calls
+  assert.deepEqual((await getFile(own.id)).parents, [storageFolders().staging]);
+  assert.deepEqual((await getFile(other.id)).parents, [storageFolders().staging]);
+
+  const result = await finalizeOrderFiles({ orderCode: 'ORD-A', files: [{ driveFileId: own.id }] });
+  assert.deepEqual(result.files.map((f) => f.name), ['ORD-A_item01.pdf']);
+  assert.deepEqual((await getFile(own.id)).parents, [result.folderId]);
+
+  // finalizing again is still fine
+  await finalizeOrderFiles({ orderCode: 'ORD-A', files: [{ driveFileId: own.id }] });
+});
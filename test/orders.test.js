@@ -0,0 +1,34 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderRecord, startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  const order = orderRecord('ORD-OWNED-1', 'owner-secret', { customer_email: 'owner@example.com', amount_total: 2928 });
+  server = await startServer({}, { stores: { orders: { orders: { 'ORD-OWNED-1': order } } } });
+});
+
+after(() => server?.stop());
+
+const banner = { product: 'banner', material: 'pvc_440', width_cm: 200, height_cm: 100, quantity: 1 };
+
+test("a checkout can't take over someone else's unpaid order", async () => {
+  const res = await fetch(`${server.url}/api/create-checkout-session`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      items: [{ ...banner, quantity: 50, driveFileId: 'attacker-file' }],
+      order_code: 'ORD-OWNED-1',
+      shippingAddress: { email: 'attacker@example.com' },
+    }),
+  });
+  assert.equal(res.status, 409);
+  assert.equal((await res.json()).order_token, undefined);
+
+  const order = server.readStore('orders').orders['ORD-OWNED-1'];
+  assert.equal(order.customer_email, 'owner@example.com');
+  assert.equal(order.amount_total, 2928);
+  assert.equal(order.token_hashes.length, 1);
+  assert.deepEqual(order.files, []);
+});
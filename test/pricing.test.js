@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PricingError, priceItem, priceOrder } from '../pricing.js';
+
+const banner = { product: 'banner', material: 'pvc_440', width_cm: 200, height_cm: 100, quantity: 1 };
+
+test('prices a catalog item', () => {
+  const line = priceItem(banner, 0);
+  assert.equal(line.unitAmount, 2400);
+  assert.equal(line.amount, 2400);
+});
+
+test('inherited object keys are unknown catalog entries, not 500s', () => {
+  const bad = [
+    { ...banner, product: 'constructor' },
+    { ...banner, product: '__proto__' },
+    { ...banner, material: 'constructor' },
+    { ...banner, material: 'hasOwnProperty' },
+    { ...banner, options: ['toString'] },
+  ];
+  for (const item of bad) {
+    assert.throws(() => priceItem(item, 0), (e) => e instanceof PricingError && e.status === 400);
+  }
+});
+
+test('inherited shipping method names are rejected', () => {
+  assert.throws(
+    () => priceOrder({ items: [banner], shippingMethod: 'constructor' }),
+    (e) => e instanceof PricingError && e.status === 400
+  );
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuoteError, acceptQuote, createQuote } from '../quotes.js';
+
+const pricing = { currency: 'eur', total: 2928, lines: [] };
+const customer = { email: 'buyer@example.com' };
+
+test('an order code can only belong to one quote', async () => {
+  await createQuote({ orderCode: 'ORD-Q-1', pricing, customer, metadata: {} });
+  await assert.rejects(createQuote({ orderCode: 'ORD-Q-1', pricing, customer, metadata: {} }), (e) => {
+    return e instanceof QuoteError && e.status === 409;
+  });
+});
+
+test('a card acceptance cannot be repeated once the quote has expired', async (t) => {
+  const { quote } = await createQuote({ orderCode: 'ORD-Q-2', pricing, customer, metadata: {} });
+  await acceptQuote(quote.id, 'card');
+  // restarting an abandoned Checkout is fine while the quote is valid
+  assert.equal((await acceptQuote(quote.id, 'card')).status, 'accepted');
+
+  const later = Date.parse(quote.expires_at) + 1000;
+  t.mock.method(Date, 'now', () => later);
+  await assert.rejects(acceptQuote(quote.id, 'card'), { status: 410 });
+});
@@ -0,0 +1,11 @@
+// Test environment: a dummy Stripe key, and anything persisted (JSON stores, files on the
+// local storage backend) goes to a throwaway DATA_DIR.
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_dummy';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'printora-test-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOG_LEVEL ||= 'error';
+process.env.NODE_ENV = 'test';
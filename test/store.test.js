@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { createJsonStore } from '../store.js';
+import { beginEvent, finishEvent, getEvent, listEvents } from '../webhookEvents.js';
+
+test('update persists the mutated document', async () => {
+  const store = createJsonStore('store-persist', () => ({ n: 0 }));
+  assert.equal(await store.update((doc) => ++doc.n), 1);
+  assert.deepEqual(store.read(), { n: 1 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(store.file, 'utf8')), { n: 1 });
+});
+
+test('a throwing mutator leaves the document unchanged', async () => {
+  const store = createJsonStore('store-throw', () => ({ items: [] }));
+  await store.update((doc) => doc.items.push('a'));
+  await assert.rejects(
+    store.update((doc) => {
+      doc.items.push('b');
+      throw new Error('boom');
+    }),
+    /boom/
+  );
+  assert.deepEqual(store.read().items, ['a']);
+  // later updates still run
+  await store.update((doc) => doc.items.push('c'));
+  assert.deepEqual(store.read().items, ['a', 'c']);
+});
+
+test('a failed write leaves the in-memory document as on disk', async () => {
+  const store = createJsonStore('store-write-fail', () => ({ n: 0 }));
+  await store.update((doc) => (doc.n = 1));
+  // a directory where the temp file goes makes the write fail
+  const tmp = `${store.file}.${process.pid}.tmp`;
+  fs.mkdirSync(tmp);
+  try {
+    await assert.rejects(store.update((doc) => (doc.n = 2)));
+  } finally {
+    fs.rmdirSync(tmp);
+  }
+  assert.equal(store.read().n, 1);
+  assert.equal(JSON.parse(fs.readFileSync(store.file, 'utf8')).n, 1);
+});
+
+test('webhook event records keep the outcome, not the Stripe payload', async () => {
+  const event = {
+    id: 'evt_store_1',
+    type: 'checkout.session.completed',
+    data: { object: { customer_details: { email: 'buyer@example.com', name: 'Ada' } } },
+  };
+  const { claimed } = await beginEvent(event);
+  assert.equal(claimed, true);
+  await finishEvent(event.id);
+
+  const record = getEvent(event.id);
+  assert.equal(record.status, 'processed');
+  assert.equal(record.type, event.type);
+  assert.equal(record.event, undefined);
+  assert.equal(listEvents().find((r) => r.id === event.id).event, undefined);
+  assert.doesNotMatch(fs.readFileSync(createJsonStore('webhook-events').file, 'utf8'), /buyer@example\.com/);
+
+  assert.equal((await beginEvent(event)).claimed, false);
+});
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.VAT_VIES_CHECK = 'false';
+const { VAT_RATE, resolveVatTreatment } = await import('../tax.js');
+
+test('without VIES checks an EU business VAT number is charged VAT', async () => {
+  const treatment = await resolveVatTreatment({ type: 'business', country: 'DE', vat_number: '123456789' });
+  assert.deepEqual(treatment, { rate: VAT_RATE, reverse_charge: false, vies: 'skipped' });
+});
+
+test('private and Italian customers pay Italian VAT', async () => {
+  assert.equal((await resolveVatTreatment(null)).rate, VAT_RATE);
+  assert.equal((await resolveVatTreatment({ type: 'business', country: 'IT', vat_number: '01234567890' })).rate, VAT_RATE);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { threadContactMessage } from '../tickets.js';
+
+const message = { email: 'Buyer@Example.com', name: 'Ada', subject: 'Proof', orderCode: 'ORD-T-1' };
+
+test('messages with the order token thread under one ticket', async () => {
+  const first = await threadContactMessage({ ...message, orderVerified: true });
+  const second = await threadContactMessage({ ...message, email: 'buyer@example.com', orderVerified: true });
+  assert.equal(first.isNew, true);
+  assert.equal(second.isNew, false);
+  assert.equal(second.ticket.id, first.ticket.id);
+  assert.equal(second.seq, 2);
+  assert.equal(second.ticket.order_verified, true);
+});
+
+test('a guessed order code and email open a new ticket', async () => {
+  const verified = await threadContactMessage({ ...message, orderCode: 'ORD-T-2', orderVerified: true });
+  const guessed = await threadContactMessage({ ...message, orderCode: 'ORD-T-2' });
+  assert.equal(guessed.isNew, true);
+  assert.notEqual(guessed.ticket.id, verified.ticket.id);
+  assert.equal(guessed.ticket.order_code, 'ORD-T-2');
+  assert.equal(guessed.ticket.order_verified, false);
+
+  // and unverified messages don't thread among themselves either
+  const again = await threadContactMessage({ ...message, orderCode: 'ORD-T-2' });
+  assert.notEqual(again.ticket.id, guessed.ticket.id);
+});
@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+import { createClamdScanner, setScanner, vetUpload } from '../uploadSecurity.js';
+
+const dir = path.join(process.env.DATA_DIR, 'vetting');
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+function write(name, content) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+/** Minimal ZIP with stored (uncompressed) entries; CRCs are not checked by the sniffer. */
+function zip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, data] of Object.entries(entries)) {
+    const nameBuf = Buffer.from(name);
+    const body = Buffer.from(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(body.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(body.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, body);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + body.length;
+  }
+  const dirBuf = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(centrals.length / 2, 8);
+  eocd.writeUInt16LE(centrals.length / 2, 10);
+  eocd.writeUInt32LE(dirBuf.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dirBuf, eocd]);
+}
+
+/** Stand-in clamd: speaks INSTREAM on a unix socket and flags the EICAR test string. */
+function startFakeClamd(socketPath) {
+  const server = net.createServer((sock) => {
+    let buf = Buffer.alloc(0);
+    let command = false;
+    const chunks = [];
+    sock.on('data', (d) => {
+      buf = Buffer.concat([buf, d]);
+      if (!command) {
+        const end = buf.indexOf(0);
+        if (end < 0) return;
+        assert.equal(buf.toString('latin1', 0, end), 'zINSTREAM');
+        command = true;
+        buf = buf.subarray(end + 1);
+      }
+      while (buf.length >= 4) {
+        const len = buf.readUInt32BE(0);
+        if (len === 0) {
+          const infected = Buffer.concat(chunks).includes(EICAR);
+          sock.end(infected ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+          return;
+        }
+        if (buf.length < 4 + len) return;
+        chunks.push(buf.subarray(4, 4 + len));
+        buf = buf.subarray(4 + len);
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(socketPath, () => resolve(server)));
+}
+
+let clamd;
+
+before(async () => {
+  fs.mkdirSync(dir, { recursive: true });
+  const socketPath = path.join(dir, 'clamd.sock');
+  clamd = await startFakeClamd(socketPath);
+  setScanner(createClamdScanner({ socketPath, timeoutMs: 5000 }));
+});
+
+after(() => new Promise((resolve) => clamd.close(resolve)));
+
+test('a PDF must start with its header', async () => {
+  assert.equal((await vetUpload(write('ok.pdf', '%PDF-1.7\n%\xe2\xe3\n'), 'pdf')).type, 'pdf');
+  await assert.rejects(vetUpload(write('prefixed.pdf', 'MZ\x90\0 junk\n%PDF-1.7\n'), 'pdf'), {
+    status: 415,
+    code: 'content_mismatch',
+  });
+});
+
+test('ZIP-based CDR files need a CorelDRAW entry', async () => {
+  const cdr = write('x4.cdr', zip({ 'mimetype': 'application/x-vnd.corel.draw.document+zip', 'content/riffData.cdr': 'RIFF' }));
+  assert.deepEqual(await vetUpload(cdr, 'cdr'), { type: 'cdr-zip', mimeType: 'application/vnd.corel-draw' });
+  assert.equal((await vetUpload(write('meta.cdr', zip({ 'metadata.xml': '<x/>' })), 'cdr')).type, 'cdr-zip');
+
+  await assert.rejects(vetUpload(write('other.cdr', zip({ 'word/document.xml': '<w/>' })), 'cdr'), {
+    status: 415,
+    code: 'content_mismatch',
+  });
+});
+
+test('the clamd scanner rejects infected files', async () => {
+  await assert.rejects(vetUpload(write('eicar.pdf', `%PDF-1.4\n${EICAR}\n`), 'pdf'), {
+    status: 422,
+    code: 'malware_detected',
+  });
+});
+
+test('an unreachable clamd fails closed', async () => {
+  setScanner(createClamdScanner({ socketPath: path.join(dir, 'missing.sock'), timeoutMs: 1000 }));
+  try {
+    await assert.rejects(vetUpload(write('ok2.pdf', '%PDF-1.7\n'), 'pdf'), { status: 503, code: 'scan_unavailable' });
+  } finally {
+    setScanner(createClamdScanner({ socketPath: path.join(dir, 'clamd.sock'), timeoutMs: 5000 }));
+  }
+});
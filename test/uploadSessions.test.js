@@ -0,0 +1,34 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import { appendChunk, createSession, getSession, setPartsDir } from '../uploadSessions.js';
+
+before(() => setPartsDir(path.join(process.env.DATA_DIR, 'parts')));
+
+test('a second chunk for the same session is refused while the first is written', async () => {
+  const session = await createSession({ fileName: 'art.pdf', mimeType: 'application/pdf', size: 8 });
+
+  const first = new PassThrough();
+  const writing = appendChunk(session.id, 0, first);
+  first.write(Buffer.from('abcd'));
+
+  const second = new PassThrough();
+  second.end(Buffer.from('abcd'));
+  await assert.rejects(appendChunk(session.id, 0, second), { status: 423 });
+
+  first.end();
+  assert.equal((await writing).offset, 4);
+
+  // the retry at the stale offset is now an offset mismatch, not a second append
+  const stale = new PassThrough();
+  stale.end(Buffer.from('abcd'));
+  await assert.rejects(appendChunk(session.id, 0, stale), { status: 409 });
+
+  const next = new PassThrough();
+  next.end(Buffer.from('efgh'));
+  assert.equal((await appendChunk(session.id, 4, next)).offset, 8);
+  assert.equal((await getSession(session.id)).offset, 8);
+  assert.equal(fs.readFileSync(path.join(process.env.DATA_DIR, 'parts', `${session.id}.part`), 'utf8'), 'abcdefgh');
+});
@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderRecord, startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer({}, { stores: { orders: { orders: { 'ORD-UP-1': orderRecord('ORD-UP-1', 'order-secret') } } } });
+});
+
+after(() => server?.stop());
+
+function upload(name, headers = {}) {
+  const form = new FormData();
+  form.append('order_code', 'ORD-UP-1');
+  form.append('file', new Blob(['%PDF-1.7\n%%EOF\n'], { type: 'application/pdf' }), name);
+  return fetch(`${server.url}/api/files/upload`, { method: 'POST', headers, body: form });
+}
+
+const orderFiles = () => server.readStore('orders').orders['ORD-UP-1'].files.map((f) => f.name);
+const fileProperties = (id) => server.readStore('storage-local').files[id].properties;
+
+test('an upload naming an order without its token is only staged', async () => {
+  const res = await upload('anon.pdf');
+  assert.equal(res.status, 200);
+  assert.deepEqual(orderFiles(), []);
+  // the code is kept as an unproven claim, not as the order_code GC and finalize trust
+  const props = fileProperties((await res.json()).driveFileId);
+  assert.equal(props.order_code, undefined);
+  assert.equal(props.claimed_order_code, 'ORD-UP-1');
+
+  const wrong = await upload('wrong.pdf', { 'X-Order-Token': 'guess' });
+  assert.equal(wrong.status, 200);
+  assert.deepEqual(orderFiles(), []);
+});
+
+test('an upload with the order token is recorded on the order', async () => {
+  const res = await upload('art.pdf', { 'X-Order-Token': 'order-secret' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(orderFiles(), ['art.pdf']);
+  assert.equal(fileProperties((await res.json()).driveFileId).order_code, 'ORD-UP-1');
+});
+
+test('resumable uploads attach only with the order token', async () => {
+  for (const [name, token] of [['resumable-anon.pdf', null], ['resumable.pdf', 'order-secret']]) {
+    const body = Buffer.from('%PDF-1.7\n%%EOF\n');
+    const init = await fetch(`${server.url}/api/files/uploads`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token && { 'X-Order-Token': token }) },
+      body: JSON.stringify({ fileName: name, size: body.length, order_code: 'ORD-UP-1' }),
+    });
+    assert.equal(init.status, 201);
+    const { uploadId } = await init.json();
+    await fetch(`${server.url}/api/files/uploads/${uploadId}?offset=0`, { method: 'PUT', body });
+    const done = await fetch(`${server.url}/api/files/uploads/${uploadId}/complete`, { method: 'POST' });
+    assert.equal(done.status, 200);
+    const props = fileProperties((await done.json()).driveFileId);
+    assert.equal(props.order_code, token ? 'ORD-UP-1' : undefined);
+  }
+  assert.deepEqual(orderFiles(), ['art.pdf', 'resumable.pdf']);
+});
@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { startServer } from './helpers.js';
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+let server;
+let unsigned;
+
+before(async () => {
+  // Make is not configured; Apps Script points at a port nobody listens on, so messages stay queued
+  server = await startServer({ APPS_SCRIPT_URL: 'http://127.0.0.1:9/exec', STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET });
+  unsigned = await startServer({});
+});
+
+after(() => Promise.all([server?.stop(), unsigned?.stop()]));
+
+function paidSession(eventId, type = 'checkout.session.completed') {
+  return {
+    id: eventId,
+    type,
+    data: {
+      object: {
+        id: 'cs_test_paid_1',
+        payment_intent: 'pi_test_1',
+        status: 'complete',
+        payment_status: 'paid',
+        amount_total: 2400,
+        currency: 'eur',
+        customer_details: { email: 'buyer@example.com' },
+        metadata: { order_id: '4711', order_code: 'PO-TEST-1' },
+      },
+    },
+  };
+}
+
+function deliver(event, target = server) {
+  const payload = JSON.stringify(event);
+  // Stripe's scheme: HMAC-SHA256 of "<timestamp>.<payload>"
+  const t = Math.floor(Date.now() / 1000);
+  const v1 = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${t}.${payload}`).digest('hex');
+  return fetch(`${target.url}/api/stripe-webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': `t=${t},v1=${v1}` },
+    body: payload,
+  });
+}
+
+const queued = (target, event) =>
+  Object.values(server.readStore('outbox')?.messages || {}).filter(
+    (m) => m.target === target && (!event || m.body.event === event)
+  );
+
+test('a paid checkout without a Make URL is acknowledged and notifies Apps Script once', async () => {
+  const first = await deliver(paidSession('evt_test_1'));
+  assert.equal(first.status, 200);
+  assert.deepEqual(await first.json(), { received: true });
+
+  // Stripe re-delivers the same event
+  const retry = await deliver(paidSession('evt_test_1'));
+  assert.equal(retry.status, 200);
+  assert.equal((await retry.json()).duplicate, true);
+  assert.equal(server.readStore('webhook-events').events.evt_test_1.status, 'processed');
+
+  assert.equal(queued('apps_script', 'PAYMENT_SUCCEEDED').length, 1);
+  assert.equal(queued('make_order_created').length, 0);
+  assert.equal(server.readStore('orders').orders['PO-TEST-1'].status, 'paid');
+});
+
+test('another event for the same payment does not notify again', async () => {
+  const res = await deliver(paidSession('evt_test_2', 'checkout.session.async_payment_succeeded'));
+  assert.equal(res.status, 200);
+  assert.equal(queued('apps_script', 'PAYMENT_SUCCEEDED').length, 1);
+});
+
+test('without a webhook secret a payment success is refused', async () => {
+  for (const type of ['checkout.session.completed', 'checkout.session.async_payment_succeeded']) {
+    const res = await deliver(paidSession(`evt_unsigned_${type}`, type), unsigned);
+    assert.equal(res.status, 400);
+  }
+  assert.equal(unsigned.readStore('orders')?.orders['PO-TEST-1'], undefined);
+  assert.equal(unsigned.readStore('webhook-events'), null);
+});
+
+test('production refuses to start without a webhook secret', async () => {
+  await assert.rejects(startServer({ NODE_ENV: 'production' }), /STRIPE_WEBHOOK_SECRET/);
+});
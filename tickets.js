@@ -0,0 +1,128 @@
+// backend/tickets.js
+import crypto from 'node:crypto';
+import { ensureFolderPath, storageFolders, uploadFile } from './storage.js';
+import { createJsonStore } from './store.js';
+
+/**
+ * Support tickets for contact form messages.
+ *
+ * Messages about an order thread under one ticket per (order_code, email), so
+ * support sees a customer's follow-ups together - but only when they carry the
+ * order token: order code and email are easy to guess, and threading on them
+ * would let anyone post into someone else's ticket. Other messages each open
+ * their own ticket, keeping the order code only as the sender's claim
+ * (`order_verified: false`). Only metadata is kept here - the message text goes
+ * to Apps Script with the ticket id.
+ *
+ * Attachments go to a per-order support folder in storage (per ticket when the
+ * order isn't verified):
+ *   <support folder | root folder/_support>/<ORDER_CODE or TICKET_ID>/
+ * (on Drive: DRIVE_SUPPORT_FOLDER_ID, else GOOGLE_DRIVE_ROOT_FOLDER_ID/_support)
+ */
+
+const store = createJsonStore('tickets', () => ({ tickets: {}, threads: {}, folders: {} }));
+
+const threadKey = (orderCode, email) => `${orderCode}|${String(email).trim().toLowerCase()}`;
+
+/** New ticket id, e.g. TCK-LZ2K9Q1A-3F9A1C */
+export function generateTicketId() {
+  const rand = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `TCK-${Date.now().toString(36).toUpperCase()}-${rand}`;
+}
+
+/**
+ * Thread a contact message: reuse the open ticket for this order and email, or open one.
+ * @param {object} params
+ * @param {string} params.email
+ * @param {string} [params.name]
+ * @param {string} [params.subject]
+ * @param {string|null} [params.orderCode]
+ * @param {boolean} [params.orderVerified=false] - The message carried the order token;
+ *   without it the message never joins an existing ticket
+ * @returns {Promise<{ticket:object, isNew:boolean, seq:number}>} seq is the message number in the ticket
+ */
+export function threadContactMessage({ email, name, subject, orderCode, orderVerified = false }) {
+  return store.update((doc) => {
+    const now = new Date().toISOString();
+    const key = orderCode && orderVerified ? threadKey(orderCode, email) : null;
+    let ticket = key ? doc.tickets[doc.threads[key]] : null;
+    const isNew = !ticket;
+
+    if (isNew) {
+      ticket = {
+        id: generateTicketId(),
+        order_code: orderCode || null,
+        order_verified: !!key,
+        email: String(email).trim().toLowerCase(),
+        name: name || null,
+        subject: subject || null,
+        created_at: now,
+        messages: [],
+      };
+      doc.tickets[ticket.id] = ticket;
+      if (key) doc.threads[key] = ticket.id;
+    }
+    ticket.messages.push({ at: now, subject: subject || null, attachments: [] });
+    ticket.updated_at = now;
+    return { ticket: structuredClone(ticket), isNew, seq: ticket.messages.length };
+  });
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getTicket(id) {
+  return store.read().tickets[id] || null;
+}
+
+/** Whether attachments can be stored (support or root folder configured). */
+export function supportFolderConfigured() {
+  const { support, root } = storageFolders();
+  return !!(support || root);
+}
+
+async function supportFolderFor(ticket) {
+  const name = (ticket.order_verified && ticket.order_code) || ticket.id;
+  const known = store.read().folders[name];
+  if (known) return known;
+
+  const { support, root } = storageFolders();
+  const folderId = support
+    ? await ensureFolderPath({ rootId: support, segments: [name] })
+    : await ensureFolderPath({ rootId: root, segments: ['_support', name] });
+  await store.update((doc) => {
+    doc.folders[name] = folderId;
+  });
+  return folderId;
+}
+
+/**
+ * Upload vetted attachments to the ticket's support folder and record them on the message.
+ * @param {object} ticket - From threadContactMessage
+ * @param {number} seq - Message number in the ticket
+ * @param {Array<{localPath:string, fileName:string, mimeType:string}>} files
+ * @returns {Promise<Array<{name:string, driveFileId:string, webViewLink:string, size:number}>>}
+ */
+export async function uploadTicketAttachments(ticket, seq, files) {
+  if (!files.length) return [];
+  const parentId = await supportFolderFor(ticket);
+
+  const uploaded = [];
+  for (const [i, file] of files.entries()) {
+    const result = await uploadFile({
+      localPath: file.localPath,
+      fileName: `${ticket.id}_m${String(seq).padStart(2, '0')}_${i + 1}_${file.fileName}`,
+      mimeType: file.mimeType,
+      parentId,
+      properties: { ticket_id: ticket.id, ...(ticket.order_verified && { order_code: ticket.order_code }) },
+    });
+    uploaded.push({ name: result.name, driveFileId: result.id, webViewLink: result.webViewLink, size: result.size });
+  }
+
+  await store.update((doc) => {
+    const message = doc.tickets[ticket.id]?.messages[seq - 1];
+    if (message) message.attachments = uploaded.map((a) => a.driveFileId);
+  });
+  return uploaded;
+}
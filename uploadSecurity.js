@@ -0,0 +1,306 @@
+// backend/uploadSecurity.js
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+import { createLogger } from './logger.js';
+import { config } from './config.js';
+
+/**
+ * Upload vetting: real content-type detection (magic bytes) and malware scanning.
+ * Nothing reaches Drive until `vetUpload()` has passed; the file name is never
+ * trusted for either the type or the MIME type.
+ */
+
+const log = createLogger('uploads');
+
+/** Rejection with an HTTP status and a stable machine-readable code. */
+export class UploadRejectedError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'UploadRejectedError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/** Extensions accepted for customer files (ALLOWED_EXTENSIONS). */
+export const ALLOWED_EXTENSIONS = config.ALLOWED_EXTENSIONS.map((s) => s.toLowerCase());
+
+/**
+ * Extension check on the client file name (the content is checked by vetUpload).
+ * @param {string} fileName
+ * @returns {{ext:string, ok:boolean}}
+ */
+export function isAllowedFile(fileName) {
+  const ext = path.extname(fileName || '').slice(1).toLowerCase();
+  return { ext, ok: ALLOWED_EXTENSIONS.includes(ext) };
+}
+
+/* ----------------------------- magic bytes ----------------------------- */
+
+const startsWith = (buf, bytes, at = 0) => bytes.every((b, i) => buf[at + i] === b);
+const ascii = (s) => [...Buffer.from(s, 'latin1')];
+
+/**
+ * Known print formats. `match` gets the first 1 KiB of the file.
+ * AI files are either PDF-compatible (%PDF) or legacy PostScript (%!PS-Adobe);
+ * CDR files are RIFF "CDR?" containers, or ZIP packages from CorelDRAW X4 on
+ * (told apart from other ZIPs by their entries, see CDR_ZIP_ENTRIES).
+ */
+const SIGNATURES = [
+  // readers tolerate junk before %PDF-, but that is how polyglot files pass as PDFs
+  { type: 'pdf', mimeType: 'application/pdf', match: (b) => startsWith(b, ascii('%PDF-')) },
+  { type: 'postscript', mimeType: 'application/postscript', match: (b) => startsWith(b, ascii('%!PS-Adobe')) },
+  { type: 'png', mimeType: 'image/png', match: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'jpeg', mimeType: 'image/jpeg', match: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  {
+    type: 'tiff',
+    mimeType: 'image/tiff',
+    match: (b) => startsWith(b, ascii('II*\0')) || startsWith(b, ascii('MM\0*')),
+  },
+  {
+    type: 'cdr-riff',
+    mimeType: 'application/vnd.corel-draw',
+    match: (b) => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('CDR'), 8),
+  },
+  { type: 'zip', mimeType: 'application/zip', match: (b) => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) },
+];
+
+/** Entries of which at least one is in every ZIP-based CorelDRAW file. */
+const CDR_ZIP_ENTRIES = ['content/riffData.cdr', 'metadata.xml'];
+
+const ZIP_EOCD = 0x06054b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+// End of central directory record: 22 bytes plus a comment of up to 64 KiB
+const ZIP_EOCD_MAX = 22 + 0xffff;
+
+/**
+ * Entry names from a ZIP's central directory.
+ * @param {import('node:fs/promises').FileHandle} fh
+ * @param {number} size - File size
+ * @returns {Promise<string[]>} empty when the directory can't be read (truncated, ZIP64)
+ */
+async function zipEntryNames(fh, size) {
+  const tailLength = Math.min(size, ZIP_EOCD_MAX);
+  const tail = Buffer.alloc(tailLength);
+  await fh.read(tail, 0, tailLength, size - tailLength);
+  let eocd = -1;
+  for (let i = tailLength - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === ZIP_EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) return [];
+  const count = tail.readUInt16LE(eocd + 10);
+  const dirSize = tail.readUInt32LE(eocd + 12);
+  const dirOffset = tail.readUInt32LE(eocd + 16);
+  if (dirOffset + dirSize > size) return [];
+
+  const dir = Buffer.alloc(dirSize);
+  await fh.read(dir, 0, dirSize, dirOffset);
+  const names = [];
+  for (let at = 0, n = 0; n < count && at + 46 <= dirSize; n++) {
+    if (dir.readUInt32LE(at) !== ZIP_CENTRAL_HEADER) break;
+    const nameLength = dir.readUInt16LE(at + 28);
+    const extraLength = dir.readUInt16LE(at + 30);
+    const commentLength = dir.readUInt16LE(at + 32);
+    names.push(dir.toString('utf8', at + 46, at + 46 + nameLength));
+    at += 46 + nameLength + extraLength + commentLength;
+  }
+  return names;
+}
+
+/** Which detected types are acceptable for each allowed extension. */
+const EXTENSION_TYPES = {
+  pdf: ['pdf'],
+  ai: ['pdf', 'postscript'],
+  png: ['png'],
+  jpg: ['jpeg'],
+  jpeg: ['jpeg'],
+  tif: ['tiff'],
+  tiff: ['tiff'],
+  cdr: ['cdr-riff', 'cdr-zip'],
+};
+
+/**
+ * Detect the real file type from its first bytes.
+ * @param {string} localPath
+ * @returns {Promise<{type:string, mimeType:string} | null>}
+ */
+export async function detectFileType(localPath) {
+  const fh = await fs.promises.open(localPath, 'r');
+  try {
+    const buf = Buffer.alloc(1024);
+    const { bytesRead } = await fh.read(buf, 0, buf.length, 0);
+    const head = buf.subarray(0, bytesRead);
+    const sig = SIGNATURES.find((s) => s.match(head));
+    if (!sig) return null;
+    if (sig.type === 'zip') {
+      const names = await zipEntryNames(fh, (await fh.stat()).size);
+      if (CDR_ZIP_ENTRIES.some((name) => names.includes(name))) {
+        return { type: 'cdr-zip', mimeType: 'application/vnd.corel-draw' };
+      }
+    }
+    return { type: sig.type, mimeType: sig.mimeType };
+  } finally {
+    await fh.close();
+  }
+}
+
+/**
+ * Ensure the file content matches its extension.
+ * @param {string} localPath
+ * @param {string} ext - Lowercase extension without dot
+ * @returns {Promise<{type:string, mimeType:string}>}
+ * @throws {UploadRejectedError} 415 on mismatch / unknown content
+ */
+export async function verifyFileSignature(localPath, ext) {
+  const detected = await detectFileType(localPath);
+  const expected = EXTENSION_TYPES[ext];
+  if (!expected) {
+    throw new UploadRejectedError(`No signature check defined for .${ext}`, 415, 'unsupported_type');
+  }
+  if (!detected || !expected.includes(detected.type)) {
+    throw new UploadRejectedError(
+      `File content does not match its .${ext} extension${detected ? ` (looks like ${detected.type})` : ''}`,
+      415,
+      'content_mismatch'
+    );
+  }
+  // AI files keep their own MIME type even when PDF-compatible
+  return ext === 'ai' ? { ...detected, mimeType: 'application/postscript' } : detected;
+}
+
+/* ------------------------------- scanners ------------------------------- */
+
+/**
+ * @typedef {object} Scanner
+ * @property {string} name
+ * @property {(localPath:string) => Promise<{clean:boolean, signature?:string}>} scan
+ *   Resolves with the verdict; rejects when the scanner itself failed.
+ */
+
+/** No-op scanner (scanning disabled). */
+const noopScanner = { name: 'none', scan: async () => ({ clean: true }) };
+
+/**
+ * clamd over a unix socket or TCP using the INSTREAM command.
+ * NOTE: clamd's StreamMaxLength must be at least MAX_UPLOAD_MB or big files fail the scan.
+ * @param {object} opts
+ * @param {string} [opts.socketPath]
+ * @param {string} [opts.host]
+ * @param {number} [opts.port=3310]
+ * @param {number} [opts.timeoutMs=120000]
+ * @returns {Scanner}
+ */
+export function createClamdScanner({ socketPath, host, port = 3310, timeoutMs = 120000 }) {
+  return {
+    name: 'clamd',
+    scan: (localPath) =>
+      new Promise((resolve, reject) => {
+        const sock = socketPath ? net.createConnection({ path: socketPath }) : net.createConnection({ host, port });
+        let reply = '';
+        let settled = false;
+        const done = (fn, value) => {
+          if (settled) return;
+          settled = true;
+          sock.destroy();
+          fn(value);
+        };
+
+        sock.setTimeout(timeoutMs, () => done(reject, new Error('clamd timed out')));
+        sock.on('error', (e) => done(reject, new Error(`clamd connection failed: ${e.message}`)));
+        sock.on('data', (d) => {
+          reply += d.toString('utf8');
+        });
+        sock.on('end', () => {
+          const text = reply.replace(/\0/g, '').trim(); // "stream: OK" | "stream: <sig> FOUND" | "... ERROR"
+          if (/\bOK$/.test(text)) return done(resolve, { clean: true });
+          const found = text.match(/^stream: (.+) FOUND$/);
+          if (found) return done(resolve, { clean: false, signature: found[1] });
+          return done(reject, new Error(`clamd error: ${text || 'empty reply'}`));
+        });
+
+        sock.on('connect', () => {
+          sock.write('zINSTREAM\0');
+          const file = fs.createReadStream(localPath, { highWaterMark: 64 * 1024 });
+          file.on('data', (chunk) => {
+            const len = Buffer.alloc(4);
+            len.writeUInt32BE(chunk.length);
+            if (!sock.write(Buffer.concat([len, chunk]))) {
+              file.pause();
+              sock.once('drain', () => file.resume());
+            }
+          });
+          file.on('end', () => sock.write(Buffer.alloc(4))); // zero-length chunk terminates the stream
+          file.on('error', (e) => done(reject, e));
+        });
+      }),
+  };
+}
+
+function scannerFromEnv() {
+  const kind = config.MALWARE_SCANNER || (config.CLAMD_SOCKET || config.CLAMD_HOST ? 'clamd' : 'none');
+  if (kind === 'none') return noopScanner;
+  if (kind === 'clamd') {
+    return createClamdScanner({
+      socketPath: config.CLAMD_SOCKET || undefined,
+      host: config.CLAMD_HOST || '127.0.0.1',
+      port: config.CLAMD_PORT,
+      timeoutMs: config.CLAMD_TIMEOUT_MS,
+    });
+  }
+  throw new Error(`Unknown MALWARE_SCANNER "${kind}" (expected clamd or none)`);
+}
+
+let scanner = scannerFromEnv();
+if (scanner === noopScanner) {
+  log.warn('Malware scanning disabled (set MALWARE_SCANNER=clamd and CLAMD_SOCKET or CLAMD_HOST)');
+}
+
+/**
+ * Replace the active scanner (custom integrations, local stand-ins).
+ * @param {Scanner} next
+ */
+export function setScanner(next) {
+  scanner = next;
+}
+
+/** @returns {string} active scanner name */
+export function scannerName() {
+  return scanner.name;
+}
+
+/**
+ * Scan a file with the active scanner.
+ * @param {string} localPath
+ * @throws {UploadRejectedError} 422 when infected, 503 when the scanner is unavailable
+ */
+export async function scanFile(localPath) {
+  let verdict;
+  try {
+    verdict = await scanner.scan(localPath);
+  } catch (e) {
+    // Fail closed: an unscanned file must not reach the Shared Drive
+    log.error('malware scan failed', { scanner: scanner.name, err: e });
+    throw new UploadRejectedError('Malware scanner unavailable, please retry later', 503, 'scan_unavailable');
+  }
+  if (!verdict.clean) {
+    log.warn('rejected infected file', { signature: verdict.signature || 'unknown' });
+    throw new UploadRejectedError('File rejected by malware scan', 422, 'malware_detected');
+  }
+}
+
+/**
+ * Full vetting pipeline for a received upload: signature check, then malware scan.
+ * @param {string} localPath
+ * @param {string} ext - Lowercase extension without dot (already checked against ALLOWED_EXTENSIONS)
+ * @returns {Promise<{type:string, mimeType:string}>} content-derived type
+ * @throws {UploadRejectedError}
+ */
+export async function vetUpload(localPath, ext) {
+  const detected = await verifyFileSignature(localPath, ext);
+  await scanFile(localPath);
+  return detected;
+}
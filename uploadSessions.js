@@ -0,0 +1,291 @@
+// backend/uploadSessions.js
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createJsonStore } from './store.js';
+import { startResumableUpload, uploadFile } from './storage.js';
+import { preflightFile, preflightProperties } from './preflight.js';
+import { UploadRejectedError, vetUpload } from './uploadSecurity.js';
+import { attachOrderFile } from './orders.js';
+import { createLogger } from './logger.js';
+import { uploadBytes, uploadDuration } from './metrics.js';
+import { config } from './config.js';
+
+/**
+ * Resumable upload sessions (tus-style): the client creates a session with the
+ * total size, appends chunks at the current offset, and the assembled file is
+ * sent to storage (storage.js) once all bytes are in - on Drive through a
+ * resumable session.
+ *
+ * Session metadata survives restarts (JSON store); bytes live in `<dir>/<id>.part`
+ * and the real offset is always the size of that file.
+ *
+ * Session shape:
+ *   { id, fileName, mimeType, size, ordered, orderCode, attachToOrder,
+ *     state: 'receiving'|'uploading'|'done'|'failed'|'rejected',
+ *     created_at, expires_at, drive_session_uri, preflight, result, error }
+ */
+
+const store = createJsonStore('upload-sessions', () => ({ sessions: {} }));
+const TTL_MS = config.RESUMABLE_UPLOAD_TTL_HOURS * 60 * 60 * 1000;
+const log = createLogger('uploads');
+
+/** Error with an HTTP status for the route to surface. */
+export class UploadSessionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UploadSessionError';
+    this.status = status;
+  }
+}
+
+let partsDir = null;
+const finalizing = new Map();
+// session id -> chunk being appended; one writer per .part file at a time
+const appending = new Map();
+
+/**
+ * Configure where partial uploads are written (called once by routes/files.js).
+ * @param {string} dir
+ */
+export function setPartsDir(dir) {
+  partsDir = dir;
+  fs.mkdirSync(partsDir, { recursive: true });
+}
+
+const partPath = (id) => path.join(partsDir, `${id}.part`);
+
+async function currentOffset(id) {
+  try {
+    return (await fs.promises.stat(partPath(id))).size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object>} session with live `offset`
+ * @throws {UploadSessionError} 404 for unknown/expired sessions
+ */
+export async function getSession(id) {
+  const session = store.read().sessions[id];
+  if (!session || new Date(session.expires_at) < new Date()) {
+    throw new UploadSessionError('Upload session not found or expired', 404);
+  }
+  // the .part file is removed once the bytes are safely in storage
+  const offset = session.state === 'done' ? session.size : await currentOffset(id);
+  return { ...session, offset };
+}
+
+/**
+ * Create a new session.
+ * @param {object} params
+ * @param {string} params.fileName
+ * @param {string} params.mimeType
+ * @param {number} params.size - Total bytes
+ * @param {{width_cm:number, height_cm:number}} [params.ordered] - Ordered product size (for preflight)
+ * @param {string} [params.orderCode] - Order the file belongs to (`order_code` file property
+ *   with attachToOrder, `claimed_order_code` without)
+ * @param {boolean} [params.attachToOrder=false] - Record the file on the order once stored;
+ *   only for callers that proved they own it (order token)
+ */
+export async function createSession({ fileName, mimeType, size, ordered = null, orderCode = null, attachToOrder = false }) {
+  await purgeExpired();
+  const now = new Date();
+  const session = {
+    id: crypto.randomUUID(),
+    fileName,
+    mimeType,
+    size,
+    ordered,
+    orderCode,
+    attachToOrder: !!orderCode && attachToOrder,
+    state: 'receiving',
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + TTL_MS).toISOString(),
+    drive_session_uri: null,
+    preflight: null,
+    result: null,
+    error: null,
+  };
+  await fs.promises.writeFile(partPath(session.id), '');
+  await store.update((doc) => {
+    doc.sessions[session.id] = session;
+  });
+  return { ...session, offset: 0 };
+}
+
+/**
+ * Append a chunk from a readable stream at `offset`.
+ * @param {string} id
+ * @param {number} offset - Must equal the current offset (409 otherwise)
+ * @param {import('node:stream').Readable} stream
+ * @returns {Promise<object>} session with the new offset
+ * @throws {UploadSessionError} 423 while another chunk for the session is being written
+ */
+export async function appendChunk(id, offset, stream) {
+  // two PATCHes at the same offset would both append: the second waits its turn
+  // and retries from the offset it gets back
+  if (appending.has(id) || finalizing.has(id)) {
+    throw new UploadSessionError('Another request is writing to this upload; retry from the current offset', 423);
+  }
+  const run = writeChunk(id, offset, stream);
+  appending.set(id, run);
+  try {
+    return await run;
+  } finally {
+    appending.delete(id);
+  }
+}
+
+async function writeChunk(id, offset, stream) {
+  // read under the lock, so the offset can't move before the write starts
+  const session = await getSession(id);
+  if (session.state !== 'receiving') {
+    throw new UploadSessionError(`Upload is already ${session.state}`, 409);
+  }
+  if (offset !== session.offset) {
+    throw new UploadSessionError(`Offset mismatch: expected ${session.offset}`, 409);
+  }
+
+  const remaining = session.size - session.offset;
+  const out = fs.createWriteStream(partPath(id), { flags: 'a' });
+  let written = 0;
+
+  await new Promise((resolve, reject) => {
+    stream.on('data', (chunk) => {
+      written += chunk.length;
+      if (written > remaining) {
+        stream.destroy();
+        out.destroy();
+        reject(new UploadSessionError('Chunk exceeds declared upload length', 413));
+        return;
+      }
+      if (!out.write(chunk)) {
+        stream.pause();
+        out.once('drain', () => stream.resume());
+      }
+    });
+    stream.on('end', () => out.end(resolve));
+    // client went away: keep what was written, the client resumes from the new offset
+    stream.on('close', () => {
+      if (!stream.readableEnded) out.end(resolve);
+    });
+    stream.on('error', (e) => out.end(() => reject(e)));
+    out.on('error', reject);
+  });
+  uploadBytes.inc({ kind: 'resumable' }, Math.min(written, remaining));
+
+  return { ...session, offset: await currentOffset(id) };
+}
+
+async function patchSession(id, fields) {
+  return store.update((doc) => Object.assign(doc.sessions[id], fields));
+}
+
+/**
+ * Send the assembled file to storage. Safe to call repeatedly: concurrent
+ * callers share the same in-flight promise, finished sessions return their result.
+ * @param {string} id
+ * @param {object} opts
+ * @param {string} opts.parentId - Storage folder (staging)
+ * @returns {Promise<{id:string, webViewLink:string, name:string, mimeType:string, size:number, preflight:object}>}
+ */
+export async function finalizeSession(id, { parentId }) {
+  const session = await getSession(id);
+  if (session.state === 'done') return session.result;
+  if (session.state === 'rejected') throw new UploadSessionError(session.error, 422);
+  if (session.offset !== session.size) {
+    throw new UploadSessionError(`Upload incomplete: ${session.offset}/${session.size} bytes`, 409);
+  }
+  if (finalizing.has(id)) return finalizing.get(id);
+  if (appending.has(id)) throw new UploadSessionError('A chunk is still being written to this upload', 423);
+
+  const run = (async () => {
+    try {
+      await patchSession(id, { state: 'uploading', error: null });
+      // Real type + malware scan; the name-derived MIME type from init is replaced
+      const { mimeType } = await vetUpload(partPath(id), path.extname(session.fileName).slice(1).toLowerCase());
+      const preflight = session.preflight || (await preflightFile(partPath(id), session.ordered));
+      await patchSession(id, { mimeType, preflight });
+
+      const file = {
+        fileName: session.fileName,
+        mimeType,
+        parentId,
+        size: session.size,
+        properties: {
+          ...preflightProperties(preflight),
+          // an unproven order code must not keep the file from GC or let finalize take it
+          ...(session.orderCode && { [session.attachToOrder ? 'order_code' : 'claimed_order_code']: session.orderCode }),
+        },
+      };
+      // Reuse the Drive session across retries so Drive resumes instead of restarting
+      // (null on backends without resumable sessions)
+      const sessionUri = session.drive_session_uri || (await startResumableUpload(file));
+      await patchSession(id, { drive_session_uri: sessionUri });
+
+      const result = await uploadFile({ ...file, localPath: partPath(id), sessionUri });
+      await patchSession(id, { state: 'done', result: { ...result, preflight } });
+      uploadDuration.observe({ kind: 'resumable', outcome: 'ok' }, (Date.now() - Date.parse(session.created_at)) / 1000);
+      fs.unlink(partPath(id), () => {});
+      if (session.attachToOrder) {
+        await attachOrderFile(session.orderCode, { driveFileId: result.id, name: result.name });
+      }
+      return { ...result, preflight };
+    } catch (e) {
+      if (e instanceof UploadRejectedError && e.status !== 503) {
+        // Bad content is final: drop the bytes, the client has to start over
+        fs.unlink(partPath(id), () => {});
+        await patchSession(id, { state: 'rejected', error: e.message });
+        uploadDuration.observe({ kind: 'resumable', outcome: 'rejected' }, (Date.now() - Date.parse(session.created_at)) / 1000);
+      } else {
+        await patchSession(id, { state: 'failed', error: String(e?.message || e) });
+      }
+      throw e;
+    } finally {
+      finalizing.delete(id);
+    }
+  })();
+  finalizing.set(id, run);
+  return run;
+}
+
+/**
+ * Abort a session and delete its bytes.
+ * @param {string} id
+ */
+export async function deleteSession(id) {
+  await getSession(id);
+  fs.unlink(partPath(id), () => {});
+  await store.update((doc) => {
+    delete doc.sessions[id];
+  });
+}
+
+/**
+ * Janitor hook: drop expired sessions and delete `.part` files that no session owns.
+ * @returns {Promise<{removed:number}>}
+ */
+export async function sweepOrphanedParts() {
+  await purgeExpired();
+  const { sessions } = store.read();
+  let removed = 0;
+  for (const name of await fs.promises.readdir(partsDir)) {
+    const id = path.basename(name, '.part');
+    if (sessions[id]) continue;
+    await fs.promises.unlink(path.join(partsDir, name)).catch(() => {});
+    removed += 1;
+  }
+  if (removed) log.info('janitor removed orphaned resumable parts', { removed });
+  return { removed };
+}
+
+async function purgeExpired() {
+  const now = new Date();
+  const expired = Object.values(store.read().sessions).filter((s) => new Date(s.expires_at) < now);
+  if (!expired.length) return;
+  expired.forEach((s) => fs.unlink(partPath(s.id), () => {}));
+  await store.update((doc) => expired.forEach((s) => delete doc.sessions[s.id]));
+}
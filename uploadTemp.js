@@ -0,0 +1,201 @@
+// backend/uploadTemp.js
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createLogger } from './logger.js';
+import { config } from './config.js';
+
+/**
+ * Temp storage for uploads in flight:
+ *  - unique, server-generated file names (never the client's name)
+ *  - global / per-IP concurrency caps and a cap on total temp-disk usage
+ *  - a janitor for files orphaned by crashed or aborted requests
+ */
+
+export const UPLOAD_TMP_DIR = path.join(os.tmpdir(), 'printora_uploads');
+fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+
+const MAX_CONCURRENT = config.UPLOAD_MAX_CONCURRENT;
+const MAX_CONCURRENT_PER_IP = config.UPLOAD_MAX_CONCURRENT_PER_IP;
+const MAX_TMP_BYTES = config.UPLOAD_TMP_MAX_MB * 1024 * 1024;
+const RETRY_AFTER_S = config.UPLOAD_RETRY_AFTER_S;
+const ORPHAN_AGE_MS = config.UPLOAD_TMP_MAX_AGE_MIN * 60 * 1000;
+const JANITOR_EVERY_MS = 15 * 60 * 1000;
+
+const log = createLogger('uploads');
+
+/**
+ * Display-safe version of a client file name: no directories, no control or
+ * reserved characters, bounded length. Used for the name shown in Drive only.
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeFileName(name) {
+  const base = String(name || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '_')
+    .replace(/^[.\s]+/, '')
+    .trim();
+  const ext = path.extname(base).slice(0, 10);
+  const stem = base.slice(0, base.length - ext.length).slice(0, 150);
+  return stem ? `${stem}${ext}` : `file${ext}`;
+}
+
+/**
+ * Unique temp file name for a new upload (keeps only a validated extension).
+ * @param {string} originalName
+ * @returns {string}
+ */
+export function tempFileName(originalName) {
+  const ext = path.extname(sanitizeFileName(originalName)).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${crypto.randomUUID()}${ext}`;
+}
+
+/* ------------------------------- limits ------------------------------- */
+
+let active = 0;
+const activeByIp = new Map();
+let usageCache = { bytes: 0, at: 0 };
+
+async function dirSize(dir) {
+  let total = 0;
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const p = path.join(dir, entry.name);
+    try {
+      if (entry.isDirectory()) total += await dirSize(p);
+      else total += (await fs.promises.stat(p)).size;
+    } catch {
+      // file vanished while we were looking
+    }
+  }
+  return total;
+}
+
+/** Bytes currently on disk under the temp dir (cached for a couple of seconds). */
+export async function tempDiskUsage() {
+  if (Date.now() - usageCache.at > 2000) {
+    usageCache = { bytes: await dirSize(UPLOAD_TMP_DIR), at: Date.now() };
+  }
+  return usageCache.bytes;
+}
+
+function busy(res, error) {
+  res.set('Retry-After', String(RETRY_AFTER_S));
+  return res.status(503).json({ error, retry_after: RETRY_AFTER_S });
+}
+
+/**
+ * Express middleware capping concurrent uploads (global and per IP) and temp-disk usage.
+ * The slot is released when the response finishes or the client disconnects.
+ * @param {object} [opts]
+ * @param {(req) => number} [opts.incomingBytes] - Bytes this request will add to disk
+ *   (defaults to Content-Length)
+ */
+export function limitUploads({ incomingBytes = (req) => Number(req.headers['content-length']) || 0 } = {}) {
+  return async (req, res, next) => {
+    const ip = req.ip || 'unknown';
+    if (active >= MAX_CONCURRENT) return busy(res, 'Too many uploads in progress, please retry shortly');
+    if ((activeByIp.get(ip) || 0) >= MAX_CONCURRENT_PER_IP) {
+      return busy(res, 'Too many concurrent uploads from your connection, please retry shortly');
+    }
+
+    // reserve before the async disk check so parallel requests can't overshoot the caps
+    active += 1;
+    activeByIp.set(ip, (activeByIp.get(ip) || 0) + 1);
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      active -= 1;
+      const n = (activeByIp.get(ip) || 1) - 1;
+      if (n) activeByIp.set(ip, n);
+      else activeByIp.delete(ip);
+    };
+    res.on('close', release);
+
+    try {
+      const bytes = incomingBytes(req);
+      if ((await tempDiskUsage()) + bytes > MAX_TMP_BYTES) {
+        release();
+        return busy(res, 'Upload storage is full, please retry shortly');
+      }
+      // account for this upload right away instead of waiting for the next rescan
+      usageCache.bytes += bytes;
+    } catch (e) {
+      release();
+      return next(e);
+    }
+    next();
+  };
+}
+
+/** Current counters (for health/diagnostics). */
+export function uploadLimitStats() {
+  return {
+    active,
+    max_concurrent: MAX_CONCURRENT,
+    max_concurrent_per_ip: MAX_CONCURRENT_PER_IP,
+    tmp_bytes: usageCache.bytes,
+    tmp_max_bytes: MAX_TMP_BYTES,
+  };
+}
+
+/* ------------------------------- janitor ------------------------------- */
+
+const inUse = new Set();
+
+/**
+ * Mark a temp path as owned by a live request so the janitor leaves it alone.
+ * @param {string} p
+ * @returns {() => void} call when the request is done with the file
+ */
+export function holdTempFile(p) {
+  inUse.add(p);
+  return () => inUse.delete(p);
+}
+
+/**
+ * Delete files in the temp dir (top level) older than UPLOAD_TMP_MAX_AGE_MIN that
+ * no live request holds. Sub-directories (e.g. resumable parts) manage their own lifetime.
+ * @returns {Promise<{removed:number, bytes:number}>}
+ */
+export async function sweepTempDir() {
+  const cutoff = Date.now() - ORPHAN_AGE_MS;
+  let removed = 0;
+  let bytes = 0;
+  for (const entry of await fs.promises.readdir(UPLOAD_TMP_DIR, { withFileTypes: true })) {
+    if (!entry.isFile()) continue;
+    const p = path.join(UPLOAD_TMP_DIR, entry.name);
+    if (inUse.has(p)) continue;
+    try {
+      const st = await fs.promises.stat(p);
+      if (st.mtimeMs > cutoff) continue;
+      await fs.promises.unlink(p);
+      removed += 1;
+      bytes += st.size;
+    } catch {
+      // already gone
+    }
+  }
+  if (removed) log.info('janitor removed orphaned temp files', { removed, bytes });
+  return { removed, bytes };
+}
+
+let janitorTimer = null;
+
+/**
+ * Run `sweepTempDir` (plus any extra sweepers) now and every 15 minutes.
+ * @param {Array<() => Promise<unknown>>} [extra]
+ */
+export function startTempJanitor(extra = []) {
+  if (janitorTimer) return;
+  const run = () =>
+    [sweepTempDir, ...extra].forEach((fn) =>
+      fn().catch((e) => log.error('janitor error', { err: e }))
+    );
+  run();
+  janitorTimer = setInterval(run, JANITOR_EVERY_MS);
+  janitorTimer.unref();
+}
@@ -0,0 +1,114 @@
+// backend/webhookEvents.js
+import { createJsonStore } from './store.js';
+import { config } from './config.js';
+
+/**
+ * Durable log of processed Stripe webhook events, keyed by `event.id`.
+ * Stripe retries deliveries (and may deliver twice), so the webhook checks
+ * here before acting and records the outcome of every attempt.
+ *
+ * Record shape:
+ *   { id, type, status: 'processing'|'processed'|'failed', attempts,
+ *     received_at, processed_at, duration_ms, error }
+ *
+ * Payloads are not kept: they carry customer names, addresses and emails, and
+ * a replay fetches the event from Stripe again (stripe.events.retrieve).
+ */
+const store = createJsonStore('webhook-events', () => ({ events: {} }));
+
+const MAX_EVENTS = config.WEBHOOK_EVENTS_MAX;
+// A 'processing' record older than this is assumed to come from a crashed process
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+function prune(doc) {
+  const ids = Object.keys(doc.events);
+  if (ids.length <= MAX_EVENTS) return;
+  ids
+    .sort((a, b) => doc.events[a].received_at.localeCompare(doc.events[b].received_at))
+    .slice(0, ids.length - MAX_EVENTS)
+    .forEach((id) => delete doc.events[id]);
+}
+
+/**
+ * Claim an event for processing.
+ * @param {object} event - Stripe event
+ * @param {object} [opts]
+ * @param {boolean} [opts.force=false] - Reprocess even if already processed (admin replay)
+ * @returns {Promise<{claimed:boolean, record:object}>} claimed=false means skip (duplicate/in flight)
+ */
+export function beginEvent(event, { force = false } = {}) {
+  return store.update((doc) => {
+    const now = new Date();
+    const existing = doc.events[event.id];
+
+    if (existing && !force) {
+      const inFlight =
+        existing.status === 'processing' &&
+        now - new Date(existing.started_at) < STALE_PROCESSING_MS;
+      if (existing.status === 'processed' || inFlight) {
+        return { claimed: false, record: existing };
+      }
+    }
+
+    const record = {
+      id: event.id,
+      type: event.type,
+      status: 'processing',
+      attempts: (existing?.attempts || 0) + 1,
+      received_at: existing?.received_at || now.toISOString(),
+      started_at: now.toISOString(),
+      processed_at: null,
+      duration_ms: null,
+      error: null,
+    };
+    doc.events[event.id] = record;
+    prune(doc);
+    return { claimed: true, record };
+  });
+}
+
+/**
+ * Record the outcome of a claimed event.
+ * @param {string} id - Stripe event id
+ * @param {object} outcome
+ * @param {Error} [outcome.error] - Set when the handler failed
+ */
+export function finishEvent(id, { error } = {}) {
+  return store.update((doc) => {
+    const record = doc.events[id];
+    if (!record) return null;
+    const now = new Date();
+    record.status = error ? 'failed' : 'processed';
+    record.processed_at = now.toISOString();
+    record.duration_ms = now - new Date(record.started_at);
+    record.error = error ? String(error?.message || error) : null;
+    return record;
+  });
+}
+
+/**
+ * Most recent events first.
+ * @param {object} [filter]
+ * @param {string} [filter.status]
+ * @param {string} [filter.type]
+ * @param {number} [filter.limit=50]
+ */
+export function listEvents({ status, type, limit = 50 } = {}) {
+  return Object.values(store.read().events)
+    .filter((r) => (!status || r.status === status) && (!type || r.type === type))
+    .sort((a, b) => b.received_at.localeCompare(a.received_at))
+    .slice(0, limit)
+    .map(withoutPayload);
+}
+
+/**
+ * One record.
+ * @param {string} id
+ */
+export function getEvent(id) {
+  const record = store.read().events[id];
+  return record ? withoutPayload(record) : null;
+}
+
+// records written before payloads were dropped still carry `event`
+const withoutPayload = ({ event, ...record }) => record;